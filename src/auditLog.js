@@ -0,0 +1,100 @@
+// Mirrors audit log entries to a guild's configured log channel
+const { EmbedBuilder } = require('discord.js');
+
+// Colors for each audit category
+const CATEGORY_COLORS = {
+    setting: '#00aaff',
+    xp: '#00ff00',
+    report: '#ff9900',
+    blacklist: '#ff0000'
+};
+
+// Discord embed field values are limited to 1024 characters
+function formatAuditValue(value, maxLength = 1000) {
+    if (value === null || value === undefined) return '*none*';
+
+    const text = String(value);
+    const truncated = text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+    return `\`\`\`${truncated.replace(/`/g, "'")}\`\`\``;
+}
+
+// Build an embed describing a single audit entry
+function buildAuditEmbed(entry) {
+    const category = entry.action.split('.')[0];
+    const isUserTarget = entry.target && /^\d+$/.test(entry.target);
+
+    const embed = new EmbedBuilder()
+        .setColor(CATEGORY_COLORS[category] || '#808080')
+        .setTitle(`Audit: ${entry.action}`)
+        .addFields(
+            { name: 'Actor', value: entry.actorId ? `<@${entry.actorId}>` : 'System', inline: true },
+            { name: 'Target', value: entry.target ? (isUserTarget ? `<@${entry.target}>` : `\`${entry.target}\``) : '*none*', inline: true }
+        )
+        .setFooter({ text: `Audit Entry #${entry.id}` })
+        .setTimestamp(entry.createdAt);
+
+    if (entry.before !== null || entry.after !== null) {
+        embed.addFields(
+            { name: 'Before', value: formatAuditValue(entry.before) },
+            { name: 'After', value: formatAuditValue(entry.after) }
+        );
+    }
+
+    if (entry.details) {
+        embed.addFields({ name: 'Details', value: formatAuditValue(entry.details) });
+    }
+
+    return embed;
+}
+
+/**
+ * Listens for 'audit' events from the database and posts each entry to the
+ * channel stored in the guild's audit_log_channel_id setting.
+ */
+class AuditLogMirror {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     */
+    constructor(client, db) {
+        this.client = client;
+        this.db = db;
+        this.listener = (guildId, entry) => {
+            this.mirrorEntry(guildId, entry).catch(error => {
+                console.error(`Error mirroring audit entry for guild ${guildId}:`, error);
+            });
+        };
+    }
+
+    // Start listening for audit entries
+    start() {
+        this.db.on('audit', this.listener);
+        console.log('Audit log mirror started');
+    }
+
+    // Stop listening for audit entries
+    stop() {
+        this.db.off('audit', this.listener);
+    }
+
+    /**
+     * Post an audit entry to the guild's log channel if one is configured
+     * @param {string} guildId - Guild ID
+     * @param {object} entry - Audit entry from db.addAuditEntry
+     */
+    async mirrorEntry(guildId, entry) {
+        const channelId = this.db.getGuildSetting(guildId, 'audit_log_channel_id', null);
+        if (!channelId) return;
+
+        const channel = this.client.channels.cache.get(channelId);
+        if (!channel || !channel.isTextBased()) return;
+
+        await channel.send({ embeds: [buildAuditEmbed(entry)] });
+    }
+}
+
+module.exports = {
+    AuditLogMirror,
+    buildAuditEmbed,
+    formatAuditValue
+};
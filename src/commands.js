@@ -1,9 +1,20 @@
 // Slash command definitions and handlers
-const { ApplicationCommandOptionType, EmbedBuilder } = require('discord.js');
-const { createProgressBar } = require('./levelingSystem');
+const {
+    ApplicationCommandOptionType,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    StringSelectMenuBuilder
+} = require('discord.js');
+const { createProgressBar, getXPMultiplier } = require('./levelingSystem');
 const config = require('./config');
 const LevelingDatabase = require('./database');
 const { getUserUGCPath } = require('./ugc');
+const { createRankCardAttachment } = require('./rankCard');
+const { getStreakSettings, getStreakDay } = require('./streaks');
+const { getPrestigeSettings, getPrestigeTier, formatPrestigeBadge, syncPrestigeRoles } = require('./prestige');
+const { LEADERBOARD_PERIODS, getPeriodEnd, formatPeriodName } = require('./leaderboardPeriods');
 
 // We'll initialize the database in index.js and pass it to the handlers
 // This is just a reference declaration to prevent errors
@@ -20,6 +31,16 @@ const commandDefinitions = [
                 description: 'The user to check (leave empty for yourself)',
                 type: ApplicationCommandOptionType.User,
                 required: false
+            },
+            {
+                name: 'scope',
+                description: 'Show this server or all servers combined (default: this server)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: [
+                    { name: 'This Server', value: 'guild' },
+                    { name: 'Global', value: 'global' }
+                ]
             }
         ]
     },
@@ -32,6 +53,28 @@ const commandDefinitions = [
                 description: 'The user to check (leave empty for yourself)',
                 type: ApplicationCommandOptionType.User,
                 required: false
+            },
+            {
+                name: 'scope',
+                description: 'Show this server or all servers combined (default: this server)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: [
+                    { name: 'This Server', value: 'guild' },
+                    { name: 'Global', value: 'global' }
+                ]
+            }
+        ]
+    },
+    {
+        name: 'level-global',
+        description: 'Show or hide yourself on the global leaderboard',
+        options: [
+            {
+                name: 'opt_in',
+                description: 'Whether your combined XP from every server is shown globally',
+                type: ApplicationCommandOptionType.Boolean,
+                required: true
             }
         ]
     },
@@ -50,6 +93,34 @@ const commandDefinitions = [
                 type: ApplicationCommandOptionType.Integer,
                 required: false,
                 min_value: 1
+            },
+            {
+                name: 'sort',
+                description: 'What to rank members by (default: XP)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: [
+                    { name: 'XP', value: 'xp' },
+                    { name: 'Level', value: 'level' },
+                    { name: 'Sacrifices', value: 'sacrifices' }
+                ]
+            },
+            {
+                name: 'scope',
+                description: 'Rank this server or everyone who opted in across servers (default: this server)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: [
+                    { name: 'This Server', value: 'guild' },
+                    { name: 'Global', value: 'global' }
+                ]
+            },
+            {
+                name: 'period',
+                description: 'Rank by XP earned today, this week or this month (default: all time)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: Object.entries(LEADERBOARD_PERIODS).map(([value, name]) => ({ name, value }))
             }
         ]
     },
@@ -83,17 +154,76 @@ const commandHandlers = {
         const guildId = interaction.guild.id;
 
         try {
+            if (interaction.options.getString('scope') === 'global') {
+                return await replyGlobalProfile(interaction, targetUser);
+            }
+
             // Get user data
             const userData = db.getUser(userId, guildId);
             const currentXP = userData.xp;
             const currentLevel = userData.level;
-            const nextLevelXP = db.xpForLevel(currentLevel + 1);
+            const nextLevelXP = db.xpForLevel(currentLevel + 1, guildId);
             const xpNeeded = nextLevelXP - currentXP;
 
             // Calculate progress
             const progressPercentage = Math.floor((currentXP / nextLevelXP) * 100);
             const progressBar = createProgressBar(progressPercentage);
 
+            // Role and channel multipliers that apply to the user in this channel
+            const targetMember = interaction.options.getMember('user') || interaction.member;
+            const { multiplier } = getXPMultiplier(db, guildId, targetMember, interaction.channel);
+            const prestigeBadge = formatPrestigeBadge(getPrestigeSettings(db, guildId), userData.sacrifices);
+
+            // Daily streak, if this server tracks them
+            const streakSettings = getStreakSettings(db, guildId);
+            let streakText = null;
+            if (streakSettings.enabled) {
+                const streak = db.getStreak(userId, guildId, getStreakDay(), streakSettings.graceDays);
+                streakText = `🔥 ${streak.current} day${streak.current === 1 ? '' : 's'} (best ${streak.best})`;
+            }
+
+            // Rank on this week's leaderboard, if the user has earned XP this week
+            const weeklyRank = db.getUserPeriodRank(userId, guildId, 'weekly');
+            const weeklyRankText = weeklyRank ? `#${weeklyRank.rank} (${weeklyRank.xp} XP)` : null;
+
+            // Render a rank card image if this server prefers it over the embed
+            const displayMode = db.getGuildSetting(guildId, 'level_display_mode', 'embed');
+            if (displayMode === 'card') {
+                // Rendering can take longer than the 3 second reply window
+                await interaction.deferReply();
+
+                try {
+                    const attachment = await createRankCardAttachment({
+                        bannerSource: db.getUserUGCPath('banner', userId, guildId),
+                        avatarSource: db.getUserUGCPath('avatar', userId, guildId) ||
+                            targetUser.displayAvatarURL({ extension: 'png', size: 512 }),
+                        baseUrl: interaction.client.ugcBaseUrl,
+                        username: targetUser.username,
+                        level: currentLevel,
+                        rank: config.leaderboard.showGlobalRank ? db.getUserRank(userId, guildId) : null,
+                        currentXP,
+                        nextLevelXP,
+                        progressPercentage
+                    });
+
+                    // The card has no room for these, so show them alongside it
+                    const extras = [
+                        prestigeBadge ? `Prestige: ${prestigeBadge}` : null,
+                        multiplier !== 1 ? `XP Multiplier in this channel: **${multiplier}x**` : null,
+                        streakText ? `Streak: ${streakText}` : null,
+                        weeklyRankText ? `Weekly Rank: ${weeklyRankText}` : null
+                    ].filter(Boolean);
+
+                    return await interaction.editReply({
+                        content: extras.length > 0 ? extras.join('\n') : undefined,
+                        files: [attachment]
+                    });
+                } catch (error) {
+                    // Fall back to the embed below if the card can't be rendered
+                    console.error('Error rendering rank card:', error);
+                }
+            }
+
             // Create embed
             const embed = new EmbedBuilder()
                 .setColor('#0099ff')
@@ -157,6 +287,20 @@ const commandHandlers = {
                 }
             }
 
+            if (weeklyRankText) {
+                embed.addFields({ name: 'Weekly Rank', value: weeklyRankText, inline: true });
+            }
+
+            if (prestigeBadge) {
+                embed.addFields({ name: 'Prestige', value: prestigeBadge, inline: true });
+            }
+
+            embed.addFields({ name: 'XP Multiplier', value: `${multiplier}x`, inline: true });
+
+            if (streakText) {
+                embed.addFields({ name: 'Streak', value: streakText, inline: true });
+            }
+
             // Add progress bar
             embed.addFields({
                 name: 'Progress to Next Level',
@@ -167,13 +311,22 @@ const commandHandlers = {
             embed.setFooter({ text: `${xpNeeded} XP needed for next level` })
                 .setTimestamp();
 
-            await interaction.reply({ embeds: [embed] });
+            if (interaction.deferred) {
+                await interaction.editReply({ embeds: [embed] });
+            } else {
+                await interaction.reply({ embeds: [embed] });
+            }
         } catch (error) {
             console.error('Error in level command:', error);
-            await interaction.reply({
-                content: 'There was an error processing your request.',
-                ephemeral: true
-            });
+
+            if (interaction.deferred) {
+                await interaction.editReply('There was an error processing your request.');
+            } else {
+                await interaction.reply({
+                    content: 'There was an error processing your request.',
+                    ephemeral: true
+                });
+            }
         }
     },
 
@@ -188,47 +341,33 @@ const commandHandlers = {
         }
 
         const page = interaction.options.getInteger('page') || 1;
+        const period = interaction.options.getString('period') || 'all';
+        // Period leaderboards only rank by XP earned in the period
+        const sort = period === 'all' ? interaction.options.getString('sort') || 'xp' : 'xp';
+        const scope = interaction.options.getString('scope') || 'guild';
         const guildId = interaction.guild.id;
 
-        try {
-            // Get leaderboard data
-            const leaderboard = db.getLeaderboard(page, config.leaderboard.pageSize, guildId);
-
-            if (leaderboard.users.length === 0) {
-                await interaction.reply('No users found on this page of the leaderboard!');
-                return;
-            }
+        if (scope === 'global' && period !== 'all') {
+            return await interaction.reply({
+                content: 'Daily, weekly and monthly leaderboards are only kept for each server. Leave out `scope` to see this server\'s.',
+                ephemeral: true
+            });
+        }
 
-            // Defer reply since fetching multiple users might take time
+        try {
+            // Uncached usernames may need fetching
             await interaction.deferReply();
 
-            let leaderboardText = '';
+            const leaderboardPage = await buildLeaderboardPage(interaction.client, guildId, page, sort, scope, period);
 
-            // Build leaderboard text
-            for (let i = 0; i < leaderboard.users.length; i++) {
-                const userId = leaderboard.users[i][0];
-                const userData = leaderboard.users[i][1];
-                const position = ((leaderboard.currentPage - 1) * config.leaderboard.pageSize) + i + 1;
-
-                try {
-                    const user = await interaction.client.users.fetch(userId);
-                    leaderboardText += `**${position}.** ${user.username} - Level ${userData.level} (${userData.xp} XP)\n`;
-                } catch (err) {
-                    leaderboardText += `**${position}.** Unknown User - Level ${userData.level} (${userData.xp} XP)\n`;
-                }
+            if (!leaderboardPage) {
+                await interaction.editReply(period !== 'all' && page === 1
+                    ? `Nobody has earned XP ${LEADERBOARD_PERIODS[period].toLowerCase()} yet. Be the first!`
+                    : 'No users found on this page of the leaderboard!');
+                return;
             }
 
-            // Create embed
-            const embed = new EmbedBuilder()
-                .setColor('#0099ff')
-                .setTitle('Level Leaderboard')
-                .setDescription(leaderboardText)
-                .setFooter({
-                    text: `Page ${leaderboard.currentPage}/${leaderboard.totalPages} • ${leaderboard.totalUsers} total users • Keep chatting to earn XP!`
-                })
-                .setTimestamp();
-
-            await interaction.editReply({ embeds: [embed] });
+            await interaction.editReply(leaderboardPage);
         } catch (error) {
             console.error('Error in leaderboard command:', error);
 
@@ -243,6 +382,35 @@ const commandHandlers = {
         }
     },
 
+    async 'level-global'(interaction) {
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        const optIn = interaction.options.getBoolean('opt_in');
+
+        try {
+            db.ensureGlobalUser(interaction.user.id, interaction.user.username);
+            db.setGlobalOptIn(interaction.user.id, optIn);
+
+            return await interaction.reply({
+                content: optIn
+                    ? 'You\'re now on the global leaderboard. Your XP from every taking-part server is combined - see `/leaderboard scope:global`.'
+                    : 'You\'ve been removed from the global leaderboard. Only you can see your combined stats now.',
+                ephemeral: true
+            });
+        } catch (error) {
+            console.error('Error updating global opt-in:', error);
+            return await interaction.reply({
+                content: 'There was an error processing your request.',
+                ephemeral: true
+            });
+        }
+    },
+
     async 'level-sacrifice'(interaction) {
         if (!db) {
             return await interaction.reply({
@@ -255,60 +423,44 @@ const commandHandlers = {
         const guildId = interaction.guild.id;
 
         try {
-            // Attempt to sacrifice
-            const result = await db.sacrificeUser(userId, guildId);
-
-            if (result.success) {
-                // Successful sacrifice
-                const embed = new EmbedBuilder()
-                    .setColor('#FF4500')
-                    .setTitle('🦊 Sacrifice Completed')
-                    .setDescription(result.message)
-                    .addFields(
-                        { name: 'Sacrifice Count', value: `${result.sacrificeCount}`, inline: true },
-                        { name: 'New Level', value: '1', inline: true }
-                    )
-                    .setFooter({ text: 'The path begins anew...' })
-                    .setTimestamp();
-
-                // If there's a sacrifice role, add it to the user
-                if (config.xp.sacrifice.enabled && config.xp.sacrifice.sacrificeRoleId) {
-                    try {
-                        const role = interaction.guild.roles.cache.get(config.xp.sacrifice.sacrificeRoleId);
-                        if (role) {
-                            await interaction.member.roles.add(role);
-                            embed.addFields({ name: 'Reward', value: `You've been granted the ${role.name} role!` });
-                        }
-                    } catch (roleError) {
-                        console.error('Error adding sacrifice role:', roleError);
-                    }
-                }
+            const prestigeSettings = getPrestigeSettings(db, guildId);
 
+            if (!prestigeSettings.enabled) {
                 return await interaction.reply({
-                    content: `<@${userId}>`,
-                    embeds: [embed]
+                    content: 'The fox is sleeping... sacrifices are disabled on this server.',
+                    ephemeral: true
                 });
-            } else {
-                // Not successful - various reasons
-                if (result.needsConfirmation) {
-                    // User needs to confirm
-                    // Set a timeout to reset the pending flag after 2 minutes
-                    setTimeout(() => {
-                        db.resetSacrificePending(userId, guildId);
-                    }, 2 * 60 * 1000);
-
-                    return await interaction.reply({
-                        content: `<@${userId}> ${result.message}`,
-                        ephemeral: false
-                    });
-                } else {
-                    // User is not eligible
-                    return await interaction.reply({
-                        content: result.message,
-                        ephemeral: true
-                    });
-                }
             }
+
+            // Ask for confirmation - nothing is lost until the user presses Confirm
+            const result = await db.sacrificeUser(userId, guildId, { maxPrestige: prestigeSettings.maxPrestige });
+
+            if (!result.needsConfirmation) {
+                // User is not eligible
+                return await interaction.reply({
+                    content: result.message,
+                    ephemeral: true
+                });
+            }
+
+            // Button IDs carry the invoker so the buttons still work after a restart
+            const buttons = new ActionRowBuilder()
+                .addComponents(
+                    new ButtonBuilder()
+                        .setCustomId(`sacrifice_confirm_${userId}`)
+                        .setLabel('Confirm')
+                        .setEmoji('🦊')
+                        .setStyle(ButtonStyle.Danger),
+                    new ButtonBuilder()
+                        .setCustomId(`sacrifice_cancel_${userId}`)
+                        .setLabel('Cancel')
+                        .setStyle(ButtonStyle.Secondary)
+                );
+
+            return await interaction.reply({
+                content: `<@${userId}> ${result.message}\nThe fox will wait until <t:${Math.floor(result.expiresAt / 1000)}:T> (<t:${Math.floor(result.expiresAt / 1000)}:R>).`,
+                components: [buttons]
+            });
         } catch (error) {
             console.error('Error executing sacrifice command:', error);
             return await interaction.reply({
@@ -320,6 +472,22 @@ const commandHandlers = {
 
     // XP Info command handler
     async 'xp-info'(interaction) {
+        const guildId = interaction.guild.id;
+
+        // Show the cooldown that applies in this channel
+        const cooldownOverrides = db.getGuildSetting(guildId, 'xp_cooldown_channels', {}) || {};
+        const cooldownSeconds = cooldownOverrides[interaction.channel.id] !== undefined
+            ? Number(cooldownOverrides[interaction.channel.id])
+            : Number(db.getGuildSetting(guildId, 'xp_cooldown', config.xp.cooldown / 1000));
+
+        // Show the multiplier the user gets in this channel
+        const { multiplier, matches, event, prestige } = getXPMultiplier(db, guildId, interaction.member, interaction.channel);
+        const multiplierSources = matches
+            .map(rule => `${rule.type === 'role' ? `<@&${rule.targetId}>` : `<#${rule.targetId}>`} ${rule.multiplier}x`)
+            .concat(event ? [`${event.name} ${event.multiplier}x`] : [])
+            .concat(prestige ? [`prestige ${prestige.multiplier}x`] : [])
+            .join(', ');
+
         const embed = new EmbedBuilder()
             .setColor('#0099ff')
             .setTitle('XP System Information')
@@ -327,11 +495,17 @@ const commandHandlers = {
             .addFields(
                 {
                     name: '🔹 Earning XP',
-                    value: `Send messages to earn ${config.xp.min}-${config.xp.max} XP with a ${config.xp.cooldown/1000} second cooldown between rewards.`
+                    value: `Send messages to earn ${config.xp.min}-${config.xp.max} XP with a ${cooldownSeconds} second cooldown between rewards.`
+                },
+                {
+                    name: '🔹 Your XP Multiplier',
+                    value: matches.length > 0 || event || prestige
+                        ? `You earn **${multiplier}x** XP in this channel (${multiplierSources}).`
+                        : 'You earn the standard 1x XP in this channel.'
                 },
                 {
                     name: '🔹 Leveling Up',
-                    value: `Each level requires progressively more XP. Level 1 requires ${config.xp.baseXP} XP, and it increases from there.`
+                    value: `Each level requires progressively more XP. Level 1 requires ${Math.round(db.xpForLevel(1, interaction.guild.id))} XP, and it increases from there up to Level ${db.getXPCurve(interaction.guild.id).maxLevel}.`
                 },
                 {
                     name: '🔹 Commands',
@@ -341,6 +515,24 @@ const commandHandlers = {
             .setFooter({ text: 'Happy chatting!' })
             .setTimestamp();
 
+        // Show the running event, or the next one coming up
+        const now = Date.now();
+        const upcomingEvent = (db.getGuildSetting(guildId, 'xp_events', []) || [])
+            .filter(e => e.startsAt > now)
+            .sort((a, b) => a.startsAt - b.startsAt)[0];
+
+        if (event) {
+            embed.addFields({
+                name: '🎉 XP Event Running',
+                value: `**${event.name}**: ${event.multiplier}x XP until <t:${Math.floor(event.endsAt / 1000)}:f> (<t:${Math.floor(event.endsAt / 1000)}:R>)`
+            });
+        } else if (upcomingEvent) {
+            embed.addFields({
+                name: '🕒 Upcoming XP Event',
+                value: `**${upcomingEvent.name}**: ${upcomingEvent.multiplier}x XP starting <t:${Math.floor(upcomingEvent.startsAt / 1000)}:f> (<t:${Math.floor(upcomingEvent.startsAt / 1000)}:R>)`
+            });
+        }
+
         // Add reward roles if any are configured
         const rewards = config.xp.levelUp.rewards;
         if (Object.keys(rewards).length > 0) {
@@ -364,8 +556,438 @@ const commandHandlers = {
 // Map rank command to level handler
 commandHandlers.rank = commandHandlers.level;
 
+// Leaderboard sorts and their labels
+const LEADERBOARD_SORTS = {
+    xp: 'XP',
+    level: 'Level',
+    sacrifices: 'Sacrifices'
+};
+
+// Get a username from the client's user cache or users_global, fetching and caching it if missing
+async function resolveUsername(client, userId, cachedUsername) {
+    // Users the client already knows have their current name, which also corrects a stale one
+    const knownUser = client.users.cache.get(userId);
+    if (knownUser) {
+        if (knownUser.username !== cachedUsername) {
+            db.ensureGlobalUser(userId, knownUser.username);
+        }
+        return knownUser.username;
+    }
+
+    if (cachedUsername) return cachedUsername;
+
+    try {
+        const user = await client.users.fetch(userId);
+        db.ensureGlobalUser(userId, user.username);
+        return user.username;
+    } catch (err) {
+        return null;
+    }
+}
+
+// Show a user's XP combined across every server taking part in global stats
+async function replyGlobalProfile(interaction, targetUser) {
+    const isSelf = targetUser.id === interaction.user.id;
+
+    // Other people's combined stats are private unless they opted in
+    if (!isSelf && !db.isGlobalOptIn(targetUser.id)) {
+        return await interaction.reply({
+            content: `${targetUser.username} hasn't opted in to global stats.`,
+            ephemeral: true
+        });
+    }
+
+    const profile = db.getGlobalProfile(targetUser.id);
+    const progressPercentage = Math.min(100, Math.floor((profile.xp / profile.nextLevelXP) * 100));
+
+    const embed = new EmbedBuilder()
+        .setColor('#9b59b6')
+        .setTitle(`${targetUser.username}'s Global Level`)
+        .setThumbnail(targetUser.displayAvatarURL({ dynamic: true }))
+        .addFields(
+            { name: 'Global Level', value: `${profile.level}`, inline: true },
+            { name: 'Total XP', value: `${profile.xp}/${profile.nextLevelXP}`, inline: true },
+            { name: 'Global Rank', value: profile.rank ? `#${profile.rank}` : 'Not ranked', inline: true },
+            { name: 'Servers', value: `${profile.guilds}`, inline: true },
+            { name: 'Sacrifices', value: `🦊 ${profile.sacrifices}`, inline: true },
+            { name: 'Progress to Next Level', value: `${createProgressBar(progressPercentage)} ${progressPercentage}%` }
+        )
+        .setFooter({
+            text: profile.optedIn
+                ? 'Combined from every server taking part in global stats'
+                : 'Only you can see this • Use /level-global opt_in:true to appear on the global leaderboard'
+        })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: !profile.optedIn });
+}
+
+// Build the leaderboard embed and its controls for one page
+async function buildLeaderboardPage(client, guildId, page, sort, scope = 'guild', period = 'all') {
+    const pageSize = config.leaderboard.pageSize;
+    const isGlobal = scope === 'global';
+    const isPeriod = !isGlobal && period !== 'all';
+    let leaderboard;
+
+    if (isGlobal) {
+        leaderboard = db.getGlobalLeaderboard(page, pageSize, sort);
+    } else if (isPeriod) {
+        leaderboard = db.getPeriodLeaderboard(page, pageSize, guildId, period);
+    } else {
+        leaderboard = db.getLeaderboard(page, pageSize, guildId, sort);
+    }
+
+    if (leaderboard.users.length === 0) {
+        return null;
+    }
+
+    let leaderboardText = '';
+    const prestigeSettings = getPrestigeSettings(db, guildId);
+
+    // Build leaderboard text
+    for (let i = 0; i < leaderboard.users.length; i++) {
+        const [userId, userData] = leaderboard.users[i];
+        const position = ((leaderboard.currentPage - 1) * pageSize) + i + 1;
+        const username = await resolveUsername(client, userId, userData.username) || 'Unknown User';
+
+        // Prestige tiers are per server, so global rows don't get a badge
+        const badge = isGlobal ? null : formatPrestigeBadge(prestigeSettings, userData.sacrifices);
+        const name = badge ? `${username} ${badge}` : username;
+        const servers = isGlobal ? ` • ${userData.guilds} server${userData.guilds === 1 ? '' : 's'}` : '';
+
+        if (isPeriod) {
+            leaderboardText += `**${position}.** ${name} - ${userData.periodXP} XP (Level ${userData.level})\n`;
+        } else if (sort === 'sacrifices') {
+            leaderboardText += `**${position}.** ${name} - 🦊 ${userData.sacrifices} sacrifice${userData.sacrifices === 1 ? '' : 's'} (Level ${userData.level})${servers}\n`;
+        } else {
+            leaderboardText += `**${position}.** ${name} - Level ${userData.level} (${userData.xp} XP)${servers}\n`;
+        }
+    }
+
+    // Create embed
+    let footerText;
+    if (isGlobal) {
+        footerText = `Page ${leaderboard.currentPage}/${leaderboard.totalPages} • ${leaderboard.totalUsers} opted-in users • Sorted by ${LEADERBOARD_SORTS[sort]} • Join with /level-global`;
+    } else if (isPeriod) {
+        footerText = `Page ${leaderboard.currentPage}/${leaderboard.totalPages} • ${leaderboard.totalUsers} users earned XP ${LEADERBOARD_PERIODS[period].toLowerCase()} • Keep chatting to climb!`;
+    } else {
+        footerText = `Page ${leaderboard.currentPage}/${leaderboard.totalPages} • ${leaderboard.totalUsers} total users • Sorted by ${LEADERBOARD_SORTS[sort]} • Keep chatting to earn XP!`;
+    }
+
+    const embed = new EmbedBuilder()
+        .setColor(isGlobal ? '#9b59b6' : '#0099ff')
+        .setTitle(isGlobal ? 'Global Leaderboard' : isPeriod ? `Leaderboard: ${LEADERBOARD_PERIODS[period]}` : 'Level Leaderboard')
+        .setDescription(leaderboardText)
+        .setFooter({ text: footerText })
+        .setTimestamp();
+
+    if (isPeriod) {
+        embed.addFields({
+            name: 'Resets',
+            value: `<t:${Math.floor(getPeriodEnd(period, leaderboard.periodStart) / 1000)}:R>`,
+            inline: true
+        });
+
+        const previous = db.getLatestPeriodWinners(guildId, period);
+        if (previous) {
+            const medals = ['🥇', '🥈', '🥉'];
+            embed.addFields({
+                name: `Previous Winners (${formatPeriodName(period, previous.periodStart)})`,
+                value: previous.winners
+                    .map(winner => `${medals[winner.position - 1] || `**${winner.position}.**`} <@${winner.userId}> - ${winner.xp} XP`)
+                    .join('\n'),
+                inline: true
+            });
+        }
+    }
+
+    // Button IDs carry the sort, target page, scope and period so any message can be paged after a restart
+    // (the all-time server leaderboard keeps the original IDs so older leaderboards still work)
+    const scopeSuffix = isGlobal ? '_global' : isPeriod ? `_guild_${period}` : '';
+    const buttons = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`leaderboard_prev_${sort}_${leaderboard.currentPage - 1}${scopeSuffix}`)
+                .setLabel('Previous')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(leaderboard.currentPage <= 1),
+            new ButtonBuilder()
+                .setCustomId(`leaderboard_next_${sort}_${leaderboard.currentPage + 1}${scopeSuffix}`)
+                .setLabel('Next')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(leaderboard.currentPage >= leaderboard.totalPages),
+            new ButtonBuilder()
+                .setCustomId(`leaderboard_me_${sort}_${leaderboard.currentPage}${scopeSuffix}`)
+                .setLabel('Jump to Me')
+                .setStyle(ButtonStyle.Primary)
+        );
+
+    const components = [buttons];
+
+    // Period leaderboards only rank by XP, so they have nothing to sort
+    if (!isPeriod) {
+        components.push(new ActionRowBuilder()
+            .addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId(`leaderboard_sort${scopeSuffix}`)
+                    .setPlaceholder('Sort by...')
+                    .addOptions(Object.entries(LEADERBOARD_SORTS).map(([value, label]) => ({
+                        label: `Sort by ${label}`,
+                        value,
+                        default: value === sort
+                    })))
+            ));
+    }
+
+    if (!isGlobal) {
+        components.push(new ActionRowBuilder()
+            .addComponents(
+                new StringSelectMenuBuilder()
+                    .setCustomId('leaderboard_period')
+                    .setPlaceholder('Show period...')
+                    .addOptions(Object.entries(LEADERBOARD_PERIODS).map(([value, label]) => ({
+                        label,
+                        value,
+                        default: value === period
+                    })))
+            ));
+    }
+
+    return {
+        content: null,
+        embeds: [embed],
+        components
+    };
+}
+
+// Handle leaderboard buttons and the sort menu
+async function handleLeaderboardComponent(interaction) {
+    const guildId = interaction.guild.id;
+    let sort;
+    let page;
+    let scope;
+    let period;
+
+    if (interaction.customId === 'leaderboard_period') {
+        // Switching period starts from the first page of the server leaderboard
+        period = interaction.values[0];
+        sort = 'xp';
+        page = 1;
+        scope = 'guild';
+    } else if (interaction.isStringSelectMenu()) {
+        // Changing the sort starts from the first page
+        sort = interaction.values[0];
+        page = 1;
+        scope = interaction.customId.split('_')[2] || 'guild';
+        period = 'all';
+    } else {
+        const [, action, buttonSort, buttonPage, buttonScope, buttonPeriod] = interaction.customId.split('_');
+        sort = buttonSort;
+        page = parseInt(buttonPage, 10);
+        scope = buttonScope || 'guild';
+        period = buttonPeriod || 'all';
+
+        if (action === 'me') {
+            let position;
+            if (scope === 'global') {
+                position = db.getGlobalLeaderboardPosition(interaction.user.id, sort);
+            } else if (period !== 'all' && LEADERBOARD_PERIODS[period]) {
+                position = db.getPeriodLeaderboardPosition(interaction.user.id, guildId, period);
+            } else {
+                position = db.getLeaderboardPosition(interaction.user.id, guildId, sort);
+            }
+
+            if (!position) {
+                let content = 'You\'re not on the leaderboard yet. Keep chatting to earn XP!';
+                if (scope === 'global') {
+                    content = 'You\'re not on the global leaderboard. Use `/level-global opt_in:true` to join it.';
+                } else if (period !== 'all') {
+                    content = `You haven't earned any XP ${(LEADERBOARD_PERIODS[period] || '').toLowerCase()} yet. Keep chatting to get on the board!`;
+                }
+
+                return await interaction.reply({ content, ephemeral: true });
+            }
+
+            page = Math.ceil(position / config.leaderboard.pageSize);
+        }
+    }
+
+    if (!LEADERBOARD_SORTS[sort] || !(page >= 1) || !['guild', 'global'].includes(scope) ||
+        !LEADERBOARD_PERIODS[period] || (scope === 'global' && period !== 'all')) {
+        return await interaction.reply({
+            content: 'This leaderboard control is no longer valid. Please run /leaderboard again.',
+            ephemeral: true
+        });
+    }
+
+    await interaction.deferUpdate();
+
+    const leaderboardPage = await buildLeaderboardPage(interaction.client, guildId, page, sort, scope, period);
+
+    if (!leaderboardPage) {
+        return await interaction.followUp({
+            content: 'No users found on this page of the leaderboard!',
+            ephemeral: true
+        });
+    }
+
+    await interaction.editReply(leaderboardPage);
+}
+
+// Handle the sacrifice Confirm and Cancel buttons
+async function handleSacrificeComponent(interaction) {
+    const [, action, ownerId] = interaction.customId.split('_');
+    const guildId = interaction.guild.id;
+
+    if (interaction.user.id !== ownerId) {
+        return await interaction.reply({
+            content: 'The fox isn\'t asking you. Use `/level-sacrifice` to offer yourself.',
+            ephemeral: true
+        });
+    }
+
+    if (action === 'cancel') {
+        db.resetSacrificePending(ownerId, guildId);
+        return await interaction.update({
+            content: `<@${ownerId}> *The fox slinks back into the shadows...* Your progress is safe.`,
+            components: []
+        });
+    }
+
+    const prestigeSettings = getPrestigeSettings(db, guildId);
+
+    if (!prestigeSettings.enabled) {
+        db.resetSacrificePending(ownerId, guildId);
+        return await interaction.update({
+            content: 'The fox is sleeping... sacrifices are disabled on this server.',
+            components: []
+        });
+    }
+
+    const result = await db.sacrificeUser(ownerId, guildId, {
+        maxPrestige: prestigeSettings.maxPrestige,
+        confirmed: true
+    });
+
+    if (!result.success) {
+        return await interaction.update({
+            content: `<@${ownerId}> ${result.message}`,
+            components: []
+        });
+    }
+
+    const tier = getPrestigeTier(prestigeSettings, result.sacrificeCount);
+    const previousTier = getPrestigeTier(prestigeSettings, result.previousCount);
+
+    // Successful sacrifice
+    const embed = new EmbedBuilder()
+        .setColor('#FF4500')
+        .setTitle('🦊 Sacrifice Completed')
+        .setDescription(result.message)
+        .addFields(
+            { name: 'Prestige', value: formatPrestigeBadge(prestigeSettings, result.sacrificeCount), inline: true },
+            { name: 'New Level', value: '1', inline: true },
+            { name: 'Prestige XP Multiplier', value: `${tier ? tier.multiplier : 1}x`, inline: true }
+        )
+        .setFooter({ text: 'The path begins anew...' })
+        .setTimestamp();
+
+    // Move the user onto their new tier's role
+    try {
+        const member = interaction.member || await interaction.guild.members.fetch(ownerId);
+
+        // Sacrificing drops the user back to level 1, so level reward roles go with it
+        if (interaction.client.levelUpService) {
+            await interaction.client.levelUpService.revokeRewards(interaction.guild, member, 1);
+        }
+
+        const rolesAdded = await syncPrestigeRoles(interaction.guild, member, prestigeSettings, result.sacrificeCount);
+        if (rolesAdded.length > 0) {
+            embed.addFields({ name: 'Reward', value: `You've been granted ${rolesAdded.map(role => `the ${role.name} role`).join(' and ')}!` });
+        }
+    } catch (roleError) {
+        console.error('Error updating prestige roles:', roleError);
+    }
+
+    if (tier && (!previousTier || previousTier.sacrifices !== tier.sacrifices)) {
+        embed.addFields({ name: 'New Prestige Tier', value: `You reached the ${tier.badge || '🦊'} tier!` });
+    }
+
+    await interaction.update({
+        content: `<@${ownerId}>`,
+        embeds: [embed],
+        components: []
+    });
+}
+
+// Listen for sacrifice confirmation buttons
+function setupSacrificeHandlers(client) {
+    client.on('interactionCreate', async (interaction) => {
+        if (!interaction.isButton()) return;
+        if (!interaction.customId.startsWith('sacrifice_') || !interaction.guild) return;
+
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            await handleSacrificeComponent(interaction);
+        } catch (error) {
+            console.error('Error handling sacrifice interaction:', error);
+
+            const replyContent = {
+                content: 'There was an error processing your sacrifice. Please try again later.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred || interaction.replied) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        }
+    });
+}
+
+// Listen for leaderboard component interactions
+function setupLeaderboardHandlers(client) {
+    client.on('interactionCreate', async (interaction) => {
+        if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
+        if (!interaction.customId.startsWith('leaderboard_') || !interaction.guild) return;
+
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            await handleLeaderboardComponent(interaction);
+        } catch (error) {
+            console.error('Error handling leaderboard interaction:', error);
+
+            const replyContent = {
+                content: 'There was an error updating the leaderboard.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred || interaction.replied) {
+                await interaction.followUp(replyContent);
+            } else {
+                await interaction.reply(replyContent);
+            }
+        }
+    });
+}
+
 module.exports = {
     definitions: commandDefinitions,
     handlers: commandHandlers,
-    setDatabase
+    setDatabase,
+    setupLeaderboardHandlers,
+    setupSacrificeHandlers
 };
\ No newline at end of file
@@ -1,6 +1,16 @@
 // Admin slash command definitions and handlers
-const { ApplicationCommandOptionType, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    ApplicationCommandOptionType,
+    ChannelType,
+    EmbedBuilder,
+    PermissionFlagsBits,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} = require('discord.js');
 const config = require('./config');
+const { parseEventTime, formatEventWindow } = require('./xpEvents');
+const { XP_SOURCES, getLedgerRetentionDays } = require('./xpLedger');
 
 // We'll initialize the database in index.js and pass it to the handlers
 let db;
@@ -108,24 +118,259 @@ const commandDefinitions = [
                 type: ApplicationCommandOptionType.String,
                 required: true,
                 choices: [
-                    { name: 'Global Blacklist', value: 'gblacklist' }
+                    { name: 'Global Blacklist', value: 'gblacklist' },
+                    { name: 'User Content Lookup', value: 'usercontent' },
+                    { name: 'Purge User Content', value: 'purgecontent' }
                 ]
             },
             {
                 name: 'action',
-                description: 'Action to perform',
+                description: 'Action to perform (for gblacklist)',
                 type: ApplicationCommandOptionType.String,
-                required: true,
+                required: false,
                 choices: [
                     { name: 'Add User', value: 'add' },
-                    { name: 'Remove User', value: 'remove' }
+                    { name: 'Remove User', value: 'remove' },
+                    { name: 'List Users', value: 'list' }
                 ]
             },
             {
                 name: 'userid',
                 description: 'User ID to act upon',
                 type: ApplicationCommandOptionType.String,
-                required: true
+                required: false
+            },
+            {
+                name: 'reason',
+                description: 'Reason recorded with the action',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                max_length: 512
+            }
+        ]
+    },
+    {
+        name: 'xpadmin',
+        description: 'Correct member XP and levels',
+        defaultMemberPermissions: PermissionFlagsBits.ManageGuild,
+        options: [
+            {
+                name: 'action',
+                description: 'What to change',
+                type: ApplicationCommandOptionType.String,
+                required: true,
+                choices: [
+                    { name: 'Give XP', value: 'give' },
+                    { name: 'Take XP', value: 'take' },
+                    { name: 'Set Level', value: 'set_level' },
+                    { name: 'Set XP', value: 'set_xp' },
+                    { name: 'Reset User', value: 'reset_user' },
+                    { name: 'Reset Server', value: 'reset_guild' },
+                    { name: 'View Log', value: 'log' }
+                ]
+            },
+            {
+                name: 'user',
+                description: 'The member to change (not needed for reset server or log)',
+                type: ApplicationCommandOptionType.User,
+                required: false
+            },
+            {
+                name: 'amount',
+                description: 'XP amount or level, depending on the action',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 0
+            },
+            {
+                name: 'revoke_roles',
+                description: 'Remove reward roles above the new level (default: true)',
+                type: ApplicationCommandOptionType.Boolean,
+                required: false
+            },
+            {
+                name: 'reason',
+                description: 'Reason recorded in the XP log',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            }
+        ]
+    },
+    {
+        name: 'sysaudit',
+        description: 'View the server audit log',
+        defaultMemberPermissions: PermissionFlagsBits.ManageGuild,
+        options: [
+            {
+                name: 'action',
+                description: 'What to do',
+                type: ApplicationCommandOptionType.String,
+                required: true,
+                choices: [
+                    { name: 'View Log', value: 'view' },
+                    { name: 'Mirror to Channel', value: 'mirror' },
+                    { name: 'Stop Mirroring', value: 'unmirror' }
+                ]
+            },
+            {
+                name: 'page',
+                description: 'Page number to view',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 1
+            },
+            {
+                name: 'category',
+                description: 'Only show one kind of action',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: [
+                    { name: 'Settings', value: 'setting' },
+                    { name: 'XP Changes', value: 'xp' },
+                    { name: 'Reports', value: 'report' },
+                    { name: 'Blacklist', value: 'blacklist' }
+                ]
+            },
+            {
+                name: 'user',
+                description: 'Only show entries made by or affecting this user',
+                type: ApplicationCommandOptionType.User,
+                required: false
+            },
+            {
+                name: 'channel',
+                description: 'Channel to mirror new audit entries to',
+                type: ApplicationCommandOptionType.Channel,
+                required: false,
+                channel_types: [ChannelType.GuildText]
+            }
+        ]
+    },
+    {
+        name: 'sysevent',
+        description: 'Schedule XP boost events like double-XP weekends',
+        defaultMemberPermissions: PermissionFlagsBits.ManageGuild,
+        options: [
+            {
+                name: 'action',
+                description: 'What to do',
+                type: ApplicationCommandOptionType.String,
+                required: true,
+                choices: [
+                    { name: 'Schedule Event', value: 'schedule' },
+                    { name: 'List Events', value: 'list' },
+                    { name: 'Cancel Event', value: 'cancel' }
+                ]
+            },
+            {
+                name: 'name',
+                description: 'Event name (e.g. Double XP Weekend)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                max_length: 100
+            },
+            {
+                name: 'multiplier',
+                description: 'XP multiplier while the event runs (e.g. 2 for double XP)',
+                type: ApplicationCommandOptionType.Number,
+                required: false,
+                min_value: 0.1,
+                max_value: config.xp.events.maxMultiplier
+            },
+            {
+                name: 'start',
+                description: 'Start time: now, +2h, or a UTC date like 2025-06-13 18:00',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            },
+            {
+                name: 'end',
+                description: 'End time: +48h (after the start) or a UTC date like 2025-06-15 23:59',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            },
+            {
+                name: 'channel',
+                description: 'Channel to announce the event in',
+                type: ApplicationCommandOptionType.Channel,
+                required: false,
+                channel_types: [ChannelType.GuildText, ChannelType.GuildAnnouncement]
+            },
+            {
+                name: 'event_id',
+                description: 'ID of the event to cancel',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            }
+        ]
+    },
+    {
+        name: 'xpledger',
+        description: 'Inspect where members got their XP and roll back XP earned in a time window',
+        defaultMemberPermissions: PermissionFlagsBits.ManageGuild,
+        options: [
+            {
+                name: 'action',
+                description: 'What to do',
+                type: ApplicationCommandOptionType.String,
+                required: true,
+                choices: [
+                    { name: 'View Ledger', value: 'view' },
+                    { name: 'Roll Back XP', value: 'rollback' },
+                    { name: 'Set Retention', value: 'retention' }
+                ]
+            },
+            {
+                name: 'user',
+                description: 'Only show or roll back this member\'s XP',
+                type: ApplicationCommandOptionType.User,
+                required: false
+            },
+            {
+                name: 'source',
+                description: 'Only show XP from one source',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: Object.entries(XP_SOURCES).map(([value, name]) => ({ name, value }))
+            },
+            {
+                name: 'page',
+                description: 'Page number to view',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 1
+            },
+            {
+                name: 'since',
+                description: 'Rollback window start: -2h, -30m, or a UTC date like 2025-06-13 18:00',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            },
+            {
+                name: 'until',
+                description: 'Rollback window end (default: now)',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            },
+            {
+                name: 'revoke_roles',
+                description: 'Remove reward roles above members\' new levels (default: true)',
+                type: ApplicationCommandOptionType.Boolean,
+                required: false
+            },
+            {
+                name: 'reason',
+                description: 'Reason recorded with the rollback',
+                type: ApplicationCommandOptionType.String,
+                required: false
+            },
+            {
+                name: 'days',
+                description: 'Days to keep ledger entries (0 = forever)',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 0,
+                max_value: config.xp.ledger.maxRetentionDays
             }
         ]
     }
@@ -142,9 +387,35 @@ function hasAdminPermissions(interaction) {
     return interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild);
 }
 
+// Join lines for an embed field (1024 characters) or description, leaving out the lines that don't fit
+function joinLinesWithinLimit(lines, limit = 1024) {
+    const kept = [];
+    let length = 0;
+
+    for (const [index, line] of lines.entries()) {
+        const remaining = `...and ${lines.length - index} more`;
+        const nextLength = length + (kept.length > 0 ? 1 : 0) + line.length;
+        const reserved = index < lines.length - 1 ? remaining.length + 1 : 0;
+
+        if (nextLength + reserved > limit) {
+            return [...kept, remaining].join('\n');
+        }
+
+        kept.push(line);
+        length = nextLength;
+    }
+
+    return kept.join('\n');
+}
+
+// Shorten a free-text reason for a one-line summary
+function shortenReason(reason, maxLength = 100) {
+    return reason.length > maxLength ? `${reason.slice(0, maxLength - 3)}...` : reason;
+}
+
 // Check if user is the bot owner
 function isOwner(interaction) {
-    const ownerId = interaction.client.config?.bot?.ownerId || '233055065588367370';
+    const ownerId = interaction.client.config?.bot?.ownerId || config.bot.ownerId || '233055065588367370';
     return interaction.user.id === ownerId;
 }
 
@@ -177,8 +448,8 @@ const commandHandlers = {
             if (mode) {
                 if (mode === 'allow_user') {
                     // Enable user content, disable server-only mode
-                    await db.updateGuildSetting(guildId, `allow_user_${feature}`, true);
-                    await db.updateGuildSetting(guildId, `guild_only_${feature}`, false);
+                    await db.updateGuildSetting(guildId, `allow_user_${feature}`, true, interaction.user.id);
+                    await db.updateGuildSetting(guildId, `guild_only_${feature}`, false, interaction.user.id);
 
                     // Create response embed
                     const embed = new EmbedBuilder()
@@ -191,8 +462,8 @@ const commandHandlers = {
                     await interaction.reply({embeds: [embed]});
                 } else if (mode === 'server_only') {
                     // Enable server-only mode, but keep user content enabled for backward compatibility
-                    await db.updateGuildSetting(guildId, `guild_only_${feature}`, true);
-                    await db.updateGuildSetting(guildId, `allow_user_${feature}`, true);
+                    await db.updateGuildSetting(guildId, `guild_only_${feature}`, true, interaction.user.id);
+                    await db.updateGuildSetting(guildId, `allow_user_${feature}`, true, interaction.user.id);
 
                     // Create response embed
                     const embed = new EmbedBuilder()
@@ -208,7 +479,7 @@ const commandHandlers = {
             // If only enabled/disabled is provided (original behavior)
             else if (enabled !== null) {
                 // Update the setting in the database
-                const result = await db.updateGuildSetting(guildId, `allow_user_${feature}`, enabled);
+                const result = await db.updateGuildSetting(guildId, `allow_user_${feature}`, enabled, interaction.user.id);
 
                 // Create response embed
                 const embed = new EmbedBuilder()
@@ -269,10 +540,25 @@ const commandHandlers = {
                 });
             }
 
+            if (!/^\d+$/.test(userId)) {
+                return await interaction.reply({
+                    content: 'Please provide a valid numeric user ID.',
+                    ephemeral: true
+                });
+            }
+
             try {
                 if (action === 'add') {
                     // Add user to server blacklist
-                    await db.updateGuildSetting(`user_${userId}_${guildId}`, 'content_blacklisted', true);
+                    const wasBlacklisted = db.isUserGuildBlacklisted(userId, guildId);
+                    db.setGuildUserBlacklist(userId, guildId, true);
+                    db.addAuditEntry(guildId, {
+                        actorId: interaction.user.id,
+                        action: 'blacklist.add',
+                        target: userId,
+                        before: wasBlacklisted,
+                        after: true
+                    });
 
                     // Create response embed
                     const embed = new EmbedBuilder()
@@ -285,7 +571,15 @@ const commandHandlers = {
                     await interaction.reply({embeds: [embed]});
                 } else if (action === 'remove') {
                     // Remove user from server blacklist
-                    await db.updateGuildSetting(`user_${userId}_${guildId}`, 'content_blacklisted', false);
+                    const wasBlacklisted = db.isUserGuildBlacklisted(userId, guildId);
+                    db.setGuildUserBlacklist(userId, guildId, false);
+                    db.addAuditEntry(guildId, {
+                        actorId: interaction.user.id,
+                        action: 'blacklist.remove',
+                        target: userId,
+                        before: wasBlacklisted,
+                        after: false
+                    });
 
                     // Create response embed
                     const embed = new EmbedBuilder()
@@ -329,7 +623,7 @@ const commandHandlers = {
             }
 
             // Update the setting in the database
-            const result = await db.updateGuildSetting(guildId, `default_${type}_url`, url);
+            const result = await db.updateGuildSetting(guildId, `default_${type}_url`, url, interaction.user.id);
 
             // Create response embed
             const embed = new EmbedBuilder()
@@ -403,10 +697,10 @@ const commandHandlers = {
                 return await interaction.reply({embeds: [embed]});
             } else if (action === 'fix') {
                 // Turn off guild-only mode and enable user content
-                await db.updateGuildSetting(guildId, 'guild_only_banner', false);
-                await db.updateGuildSetting(guildId, 'allow_user_banner', true);
-                await db.updateGuildSetting(guildId, 'guild_only_avatar', false);
-                await db.updateGuildSetting(guildId, 'allow_user_avatar', true);
+                await db.updateGuildSetting(guildId, 'guild_only_banner', false, interaction.user.id);
+                await db.updateGuildSetting(guildId, 'allow_user_banner', true, interaction.user.id);
+                await db.updateGuildSetting(guildId, 'guild_only_avatar', false, interaction.user.id);
+                await db.updateGuildSetting(guildId, 'allow_user_avatar', true, interaction.user.id);
 
                 // Create response embed
                 const embed = new EmbedBuilder()
@@ -425,7 +719,1129 @@ const commandHandlers = {
                 ephemeral: true
             });
         }
-    }
+    },
+
+    // syscall owner console handler
+    async syscall(interaction) {
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        // Only the bot owner can use system commands
+        if (!isOwner(interaction)) {
+            return await interaction.reply({
+                content: 'This command is restricted to the bot owner.',
+                ephemeral: true
+            });
+        }
+
+        const command = interaction.options.getString('command');
+        const action = interaction.options.getString('action');
+        const userId = interaction.options.getString('userid');
+        const reason = interaction.options.getString('reason');
+
+        // Every command except listing the blacklist needs a valid user ID
+        const needsUser = !(command === 'gblacklist' && action === 'list');
+        if (needsUser && (!userId || !/^\d+$/.test(userId))) {
+            return await interaction.reply({
+                content: 'Please provide a valid numeric user ID.',
+                ephemeral: true
+            });
+        }
+
+        try {
+            switch (command) {
+                case 'gblacklist':
+                    return await handleGlobalBlacklist(interaction, action, userId, reason);
+                case 'usercontent':
+                    return await handleUserContentLookup(interaction, userId);
+                case 'purgecontent':
+                    return await handlePurgeUserContent(interaction, userId, reason);
+                default:
+                    return await interaction.reply({
+                        content: 'Unknown system command.',
+                        ephemeral: true
+                    });
+            }
+        } catch (error) {
+            console.error('Error in syscall command:', error);
+
+            const replyContent = {
+                content: 'There was an error executing the system command.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(replyContent);
+            } else if (!interaction.replied) {
+                await interaction.reply(replyContent);
+            }
+        }
+    },
+
+    // xpadmin command handler
+    async xpadmin(interaction) {
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        // Check if user has permissions
+        if (!hasAdminPermissions(interaction)) {
+            return await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        const action = interaction.options.getString('action');
+        const targetUser = interaction.options.getUser('user');
+        const amount = interaction.options.getInteger('amount');
+        const revokeRoles = interaction.options.getBoolean('revoke_roles') !== false;
+        const reason = interaction.options.getString('reason');
+
+        try {
+            if (action === 'log') {
+                return await handleXPAdminLog(interaction);
+            }
+
+            if (action === 'reset_guild') {
+                return await handleXPAdminResetGuild(interaction, revokeRoles, reason);
+            }
+
+            if (!targetUser) {
+                return await interaction.reply({
+                    content: 'Please provide the user to change.',
+                    ephemeral: true
+                });
+            }
+
+            if (targetUser.bot) {
+                return await interaction.reply({
+                    content: 'Bots do not earn XP.',
+                    ephemeral: true
+                });
+            }
+
+            if (action !== 'reset_user' && amount === null) {
+                return await interaction.reply({
+                    content: 'Please provide an amount for this action.',
+                    ephemeral: true
+                });
+            }
+
+            return await handleXPAdminChange(interaction, action, targetUser, amount, revokeRoles, reason);
+        } catch (error) {
+            console.error('Error in xpadmin command:', error);
+
+            const replyContent = {
+                content: 'There was an error updating XP.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(replyContent);
+            } else if (!interaction.replied) {
+                await interaction.reply(replyContent);
+            }
+        }
+    },
+
+    // sysaudit command handler
+    async sysaudit(interaction) {
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        // Check if user has permissions
+        if (!hasAdminPermissions(interaction)) {
+            return await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        const action = interaction.options.getString('action');
+        const guildId = interaction.guild.id;
+
+        try {
+            if (action === 'mirror') {
+                const channel = interaction.options.getChannel('channel');
+
+                if (!channel) {
+                    return await interaction.reply({
+                        content: 'Please provide a channel to mirror audit entries to.',
+                        ephemeral: true
+                    });
+                }
+
+                await db.updateGuildSetting(guildId, 'audit_log_channel_id', channel.id, interaction.user.id);
+
+                const embed = new EmbedBuilder()
+                    .setColor('#00ff00')
+                    .setTitle('Audit Log Mirroring Enabled')
+                    .setDescription(`New audit log entries will be posted in ${channel}.`)
+                    .setFooter({ text: 'Server Settings' })
+                    .setTimestamp();
+
+                return await interaction.reply({ embeds: [embed] });
+            }
+
+            if (action === 'unmirror') {
+                db.deleteGuildSetting(guildId, 'audit_log_channel_id', interaction.user.id);
+
+                const embed = new EmbedBuilder()
+                    .setColor('#ff9900')
+                    .setTitle('Audit Log Mirroring Disabled')
+                    .setDescription('Audit log entries will no longer be posted to a channel. They are still recorded and can be viewed with `/sysaudit`.')
+                    .setFooter({ text: 'Server Settings' })
+                    .setTimestamp();
+
+                return await interaction.reply({ embeds: [embed] });
+            }
+
+            return await handleAuditView(interaction, guildId);
+        } catch (error) {
+            console.error('Error in sysaudit command:', error);
+
+            if (!interaction.replied) {
+                await interaction.reply({
+                    content: 'There was an error reading the audit log.',
+                    ephemeral: true
+                });
+            }
+        }
+    },
+
+    // sysevent command handler
+    async sysevent(interaction) {
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        // Check if user has permissions
+        if (!hasAdminPermissions(interaction)) {
+            return await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        const action = interaction.options.getString('action');
+        const guildId = interaction.guild.id;
+
+        try {
+            switch (action) {
+                case 'schedule':
+                    return await handleEventSchedule(interaction, guildId);
+                case 'cancel':
+                    return await handleEventCancel(interaction, guildId);
+                case 'list':
+                default:
+                    return await handleEventList(interaction, guildId);
+            }
+        } catch (error) {
+            console.error('Error in sysevent command:', error);
+
+            if (!interaction.replied) {
+                await interaction.reply({
+                    content: 'There was an error managing XP events.',
+                    ephemeral: true
+                });
+            }
+        }
+    },
+
+    // xpledger command handler
+    async xpledger(interaction) {
+        if (!db) {
+            return await interaction.reply({
+                content: 'Database is not initialized. Please try again later.',
+                ephemeral: true
+            });
+        }
+
+        // Check if user has permissions
+        if (!hasAdminPermissions(interaction)) {
+            return await interaction.reply({
+                content: 'You do not have permission to use this command.',
+                ephemeral: true
+            });
+        }
+
+        const action = interaction.options.getString('action');
+        const guildId = interaction.guild.id;
+
+        try {
+            switch (action) {
+                case 'rollback':
+                    return await handleLedgerRollback(interaction, guildId);
+                case 'retention':
+                    return await handleLedgerRetention(interaction, guildId);
+                case 'view':
+                default:
+                    return await handleLedgerView(interaction, guildId);
+            }
+        } catch (error) {
+            console.error('Error in xpledger command:', error);
+
+            const replyContent = {
+                content: 'There was an error reading the XP ledger.',
+                ephemeral: true
+            };
+
+            if (interaction.deferred) {
+                await interaction.editReply(replyContent);
+            } else if (!interaction.replied) {
+                await interaction.reply(replyContent);
+            }
+        }
+    }
+}
+
+// Get a guild's scheduled XP events, sorted by start time
+function getXPEvents(guildId) {
+    const events = db.getGuildSetting(guildId, 'xp_events', []);
+    return Array.isArray(events) ? events.sort((a, b) => a.startsAt - b.startsAt) : [];
+}
+
+// Schedule a new XP boost event
+async function handleEventSchedule(interaction, guildId) {
+    const name = interaction.options.getString('name');
+    const multiplier = interaction.options.getNumber('multiplier');
+    const startInput = interaction.options.getString('start') || 'now';
+    const endInput = interaction.options.getString('end');
+    const channel = interaction.options.getChannel('channel');
+
+    if (!name || multiplier === null || !endInput) {
+        return await interaction.reply({
+            content: 'Please provide a name, a multiplier, and an end time when scheduling an event.',
+            ephemeral: true
+        });
+    }
+
+    const now = Date.now();
+    const startsAt = parseEventTime(startInput, now);
+    // Relative end times count from the start, so "+48h" means a 48 hour event
+    const endsAt = startsAt === null ? null : parseEventTime(endInput, startsAt);
+
+    if (startsAt === null || endsAt === null) {
+        return await interaction.reply({
+            content: 'Could not read the start or end time. Use `now`, a relative time like `+2h`, or a UTC date like `2025-06-13 18:00`.',
+            ephemeral: true
+        });
+    }
+
+    if (endsAt <= startsAt) {
+        return await interaction.reply({
+            content: 'The event must end after it starts.',
+            ephemeral: true
+        });
+    }
+
+    if (endsAt <= now) {
+        return await interaction.reply({
+            content: 'That event would already be over.',
+            ephemeral: true
+        });
+    }
+
+    const events = getXPEvents(guildId);
+
+    if (events.length >= config.xp.events.maxScheduled) {
+        return await interaction.reply({
+            content: `This server already has ${events.length} scheduled events. Cancel one before scheduling another.`,
+            ephemeral: true
+        });
+    }
+
+    const event = {
+        id: Date.now().toString(36),
+        name,
+        multiplier,
+        startsAt,
+        endsAt,
+        channelId: channel ? channel.id : null,
+        createdBy: interaction.user.id,
+        startAnnounced: false
+    };
+
+    events.push(event);
+    await db.updateGuildSetting(guildId, 'xp_events', events, interaction.user.id);
+
+    // Start announcing right away instead of waiting for the next check
+    if (interaction.client.xpEventScheduler && startsAt <= now) {
+        await interaction.client.xpEventScheduler.checkGuild(guildId);
+    }
+
+    console.log(`[sysevent] ${interaction.user.tag} scheduled event ${event.id} (${multiplier}x) in guild ${guildId}`);
+
+    const embed = new EmbedBuilder()
+        .setColor('#00ff00')
+        .setTitle('XP Event Scheduled')
+        .setDescription(`**${name}** will multiply all XP by **${multiplier}x**.`)
+        .addFields(
+            { name: 'When', value: formatEventWindow(event) },
+            { name: 'Announcements', value: channel ? `${channel}` : 'None', inline: true },
+            { name: 'Event ID', value: event.id, inline: true }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+}
+
+// Cancel a scheduled or running XP event
+async function handleEventCancel(interaction, guildId) {
+    const eventId = interaction.options.getString('event_id');
+
+    if (!eventId) {
+        return await interaction.reply({
+            content: 'Please provide the ID of the event to cancel. Use `/sysevent action:list` to see event IDs.',
+            ephemeral: true
+        });
+    }
+
+    const events = getXPEvents(guildId);
+    const event = events.find(e => e.id === eventId);
+
+    if (!event) {
+        return await interaction.reply({
+            content: `No event with ID ${eventId} found.`,
+            ephemeral: true
+        });
+    }
+
+    await db.updateGuildSetting(guildId, 'xp_events', events.filter(e => e.id !== eventId), interaction.user.id);
+
+    // Let members know a running event is over
+    if (event.startAnnounced && interaction.client.xpEventScheduler) {
+        await interaction.client.xpEventScheduler.announce(guildId, event, 'cancelled');
+    }
+
+    console.log(`[sysevent] ${interaction.user.tag} cancelled event ${eventId} in guild ${guildId}`);
+
+    const embed = new EmbedBuilder()
+        .setColor('#ff9900')
+        .setTitle('XP Event Cancelled')
+        .setDescription(`**${event.name}** (${event.multiplier}x) has been cancelled.`)
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
+}
+
+// List scheduled and running XP events
+async function handleEventList(interaction, guildId) {
+    const now = Date.now();
+    const events = getXPEvents(guildId).filter(event => event.endsAt > now);
+
+    if (events.length === 0) {
+        return await interaction.reply({
+            content: 'No XP events are scheduled. Use `/sysevent action:schedule` to create one.',
+            ephemeral: true
+        });
+    }
+
+    const lines = events.map(event => {
+        const status = event.startsAt <= now ? '🟢 Running' : '🕒 Upcoming';
+        return `**${event.name}** • ${event.multiplier}x • ${status}\n` +
+            `↳ ${formatEventWindow(event)} • ID: \`${event.id}\`${event.channelId ? ` • <#${event.channelId}>` : ''}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#00aaff')
+        .setTitle('XP Events')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Handle the global blacklist console (add, remove, list)
+async function handleGlobalBlacklist(interaction, action, userId, reason) {
+    if (!action) {
+        return await interaction.reply({
+            content: 'Please provide an action (add, remove, or list).',
+            ephemeral: true
+        });
+    }
+
+    if (action === 'list') {
+        const entries = db.getGlobalBlacklist();
+
+        if (entries.length === 0) {
+            return await interaction.reply({
+                content: 'No users are globally blacklisted.',
+                ephemeral: true
+            });
+        }
+
+        // Show the most recent entries that fit in one embed
+        const lines = entries.slice(0, 20).map(entry => {
+            const when = entry.blacklisted_at ? `<t:${Math.floor(entry.blacklisted_at / 1000)}:d>` : 'unknown date';
+            const by = entry.blacklisted_by ? `<@${entry.blacklisted_by}>` : 'unknown';
+            return `**${entry.username || 'Unknown User'}** (ID: ${entry.user_id})\n` +
+                `↳ ${entry.blacklist_reason ? shortenReason(entry.blacklist_reason) : 'No reason given'} • by ${by} • ${when}`;
+        });
+
+        const embed = new EmbedBuilder()
+            .setColor('#ff0000')
+            .setTitle('Global Blacklist')
+            .setDescription(joinLinesWithinLimit(lines, 4096))
+            .setFooter({ text: `${entries.length} blacklisted user${entries.length === 1 ? '' : 's'}${entries.length > 20 ? ' • Showing 20 most recent' : ''}` })
+            .setTimestamp();
+
+        return await interaction.reply({ embeds: [embed], ephemeral: true });
+    }
+
+    if (action !== 'add' && action !== 'remove') {
+        return await interaction.reply({
+            content: 'Invalid action. Please use add, remove, or list.',
+            ephemeral: true
+        });
+    }
+
+    const blacklisted = action === 'add';
+
+    // Record the username too so the list stays readable
+    const user = await interaction.client.users.fetch(userId).catch(() => null);
+    db.ensureGlobalUser(userId, user ? user.username : null);
+
+    const previous = db.getGlobalBlacklistEntry(userId);
+    if (previous && (previous.is_blacklisted === 1) === blacklisted) {
+        return await interaction.reply({
+            content: `User with ID ${userId} is ${blacklisted ? 'already' : 'not'} globally blacklisted.`,
+            ephemeral: true
+        });
+    }
+
+    const success = db.setGlobalUserBlacklist(userId, blacklisted, reason, interaction.user.id);
+
+    if (!success) {
+        return await interaction.reply({
+            content: 'Failed to update the global blacklist.',
+            ephemeral: true
+        });
+    }
+
+    db.addSyscallLogEntry({
+        actorId: interaction.user.id,
+        action: blacklisted ? 'blacklist.add' : 'blacklist.remove',
+        target: userId,
+        reason
+    });
+    console.log(`[syscall] ${interaction.user.id} ${blacklisted ? 'added' : 'removed'} ${userId} ${blacklisted ? 'to' : 'from'} the global blacklist. Reason: ${reason || 'none'}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(blacklisted ? '#ff0000' : '#00ff00')
+        .setTitle(blacklisted ? 'User Globally Blacklisted' : 'User Removed from Global Blacklist')
+        .setDescription(blacklisted
+            ? `${user ? user.username : 'User'} (ID: ${userId}) can no longer upload content in any server.`
+            : `${user ? user.username : 'User'} (ID: ${userId}) can upload content again.`)
+        .addFields(
+            { name: 'Reason', value: reason || 'No reason given', inline: true },
+            { name: 'Handled By', value: `${interaction.user}`, inline: true }
+        )
+        .setFooter({ text: 'System Command' })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Show which guilds a user has uploaded content in
+async function handleUserContentLookup(interaction, userId) {
+    const contentGuilds = db.getUserContentGuilds(userId);
+    const blacklistEntry = db.getGlobalBlacklistEntry(userId);
+
+    const embed = new EmbedBuilder()
+        .setColor('#00aaff')
+        .setTitle('User Content Lookup')
+        .setDescription(`User ID: ${userId}\nGlobally blacklisted: ${blacklistEntry && blacklistEntry.is_blacklisted === 1 ? '✅ YES' : '❌ NO'}`)
+        .setFooter({ text: 'System Command' })
+        .setTimestamp();
+
+    if (contentGuilds.length === 0) {
+        embed.addFields({ name: 'Content', value: 'This user has no uploaded content in any server.' });
+    } else {
+        const lines = contentGuilds.map(entry => {
+            const guild = interaction.client.guilds.cache.get(entry.guildId);
+            const types = [entry.bannerUrl ? 'banner' : null, entry.avatarUrl ? 'avatar' : null].filter(Boolean).join(', ');
+            return `**${guild ? guild.name : 'Unknown Server'}** (ID: ${entry.guildId}) - ${types}` +
+                ` • ${entry.warningCount} warning${entry.warningCount === 1 ? '' : 's'}${entry.isBlacklisted ? ' • blacklisted' : ''}`;
+        });
+
+        embed.addFields({
+            name: `Content in ${contentGuilds.length} server${contentGuilds.length === 1 ? '' : 's'}`,
+            value: joinLinesWithinLimit(lines)
+        });
+    }
+
+    // Earlier blacklist changes and purges, including ones since undone
+    const history = db.getSyscallLog(userId, 5);
+    if (history.length > 0) {
+        const actionNames = {
+            'blacklist.add': 'Blacklisted',
+            'blacklist.remove': 'Removed from blacklist',
+            'content.purge': 'Content purged'
+        };
+
+        embed.addFields({
+            name: 'Console History',
+            value: joinLinesWithinLimit(history.map(entry => `**${actionNames[entry.action] || entry.action}** by <@${entry.actorId}> <t:${Math.floor(entry.createdAt / 1000)}:R>` +
+                `${entry.reason ? ` • ${shortenReason(entry.reason)}` : ''}`))
+        });
+    }
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Delete a user's uploaded content in every guild
+async function handlePurgeUserContent(interaction, userId, reason) {
+    // Purging touches the filesystem, so give ourselves some time
+    await interaction.deferReply({ ephemeral: true });
+
+    const { purgeUserContent } = require('./ugc');
+    const result = await purgeUserContent(db, userId);
+
+    db.addSyscallLogEntry({
+        actorId: interaction.user.id,
+        action: 'content.purge',
+        target: userId,
+        reason,
+        details: { guildsCleared: result.guildsCleared, filesDeleted: result.filesDeleted }
+    });
+    console.log(`[syscall] ${interaction.user.id} purged content for ${userId} in ${result.guildsCleared} guild(s), ${result.filesDeleted} file(s) deleted. Reason: ${reason || 'none'}`);
+
+    const embed = new EmbedBuilder()
+        .setColor('#ff9900')
+        .setTitle('User Content Purged')
+        .setDescription(result.guildsCleared > 0
+            ? `Removed content for user ID ${userId} from ${result.guildsCleared} server${result.guildsCleared === 1 ? '' : 's'} (${result.filesDeleted} file${result.filesDeleted === 1 ? '' : 's'} deleted).`
+            : `User ID ${userId} has no uploaded content to purge.`)
+        .addFields(
+            { name: 'Reason', value: reason || 'No reason given', inline: true },
+            { name: 'Handled By', value: `${interaction.user}`, inline: true }
+        )
+        .setFooter({ text: 'System Command' })
+        .setTimestamp();
+
+    return await interaction.editReply({ embeds: [embed] });
+}
+
+// Apply a give/take/set/reset to a single member
+async function handleXPAdminChange(interaction, action, targetUser, amount, revokeRoles, reason) {
+    const guild = interaction.guild;
+    const guildId = guild.id;
+    const { maxLevel } = db.getXPCurve(guildId);
+
+    if (action === 'set_level' && amount > maxLevel) {
+        return await interaction.reply({
+            content: `Level must be between 0 and ${maxLevel}.`,
+            ephemeral: true
+        });
+    }
+
+    // Role changes can take a moment
+    await interaction.deferReply();
+
+    // Recorded in the XP ledger alongside the change
+    const origin = { source: 'admin', channelId: interaction.channelId, actorId: interaction.user.id };
+
+    let result;
+    switch (action) {
+        case 'give':
+            result = db.adjustUserXP(targetUser.id, guildId, amount, origin);
+            break;
+        case 'take':
+            result = db.adjustUserXP(targetUser.id, guildId, -amount, origin);
+            break;
+        case 'set_level':
+            result = db.setUserXP(targetUser.id, guildId, amount > 0 ? db.xpForLevel(amount, guildId) : 0, origin);
+            break;
+        case 'set_xp':
+            result = db.setUserXP(targetUser.id, guildId, amount, origin);
+            break;
+        case 'reset_user':
+            result = db.setUserXP(targetUser.id, guildId, 0, origin);
+            break;
+        default:
+            return await interaction.editReply({ content: 'Unknown XP action.' });
+    }
+
+    // Keep reward roles in step with the new level
+    const levelUpService = interaction.client.levelUpService;
+    const member = await guild.members.fetch(targetUser.id).catch(() => null);
+    let rolesAwarded = [];
+    let rolesRevoked = [];
+
+    if (member && levelUpService) {
+        if (result.leveledUp) {
+            rolesAwarded = await levelUpService.awardRewards(guild, member, result.oldLevel, result.newLevel);
+        } else if (result.leveledDown && revokeRoles) {
+            rolesRevoked = await levelUpService.revokeRewards(guild, member, result.newLevel);
+        }
+    }
+
+    db.addAuditEntry(guildId, {
+        actorId: interaction.user.id,
+        action: `xp.${action}`,
+        target: targetUser.id,
+        before: { xp: result.oldXP, level: result.oldLevel },
+        after: { xp: result.newXP, level: result.newLevel },
+        details: { amount, reason: reason || null }
+    });
+
+    console.log(`[xpadmin] ${interaction.user.id} ran ${action} on ${targetUser.id} in guild ${guildId}: ` +
+        `${result.oldXP} XP (level ${result.oldLevel}) -> ${result.newXP} XP (level ${result.newLevel}). Reason: ${reason || 'none'}`);
+
+    const embed = new EmbedBuilder()
+        .setColor(result.leveledDown ? '#ff9900' : '#00ff00')
+        .setTitle('XP Updated')
+        .setDescription(`Updated XP for ${targetUser}.`)
+        .addFields(
+            { name: 'XP', value: `${result.oldXP} → ${result.newXP}`, inline: true },
+            { name: 'Level', value: `${result.oldLevel} → ${result.newLevel}`, inline: true },
+            { name: 'Reason', value: reason || 'No reason given', inline: true }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    if (rolesAwarded.length > 0) {
+        embed.addFields({ name: 'Roles Added', value: rolesAwarded.map(r => `${r}`).join(', ') });
+    }
+
+    if (rolesRevoked.length > 0) {
+        embed.addFields({ name: 'Roles Removed', value: rolesRevoked.map(r => `${r}`).join(', ') });
+    }
+
+    return await interaction.editReply({ embeds: [embed] });
+}
+
+// Reset every member's XP in the guild after a confirmation button
+async function handleXPAdminResetGuild(interaction, revokeRoles, reason) {
+    const guild = interaction.guild;
+    const guildId = guild.id;
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`xpadmin_reset_confirm_${guildId}`)
+                .setLabel('Reset All XP')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(`xpadmin_reset_cancel_${guildId}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+    const response = await interaction.reply({
+        content: `⚠️ This will reset XP and levels for **every member** of this server${revokeRoles ? ' and remove their reward roles' : ''}. This cannot be undone.`,
+        components: [row],
+        ephemeral: true,
+        fetchReply: true
+    });
+
+    let confirmation;
+    try {
+        confirmation = await response.awaitMessageComponent({
+            filter: i => i.user.id === interaction.user.id && i.customId.startsWith('xpadmin_reset_'),
+            time: 30000
+        });
+    } catch (error) {
+        return await interaction.editReply({
+            content: 'Server XP reset timed out. No changes were made.',
+            components: []
+        });
+    }
+
+    if (confirmation.customId !== `xpadmin_reset_confirm_${guildId}`) {
+        return await confirmation.update({
+            content: 'Server XP reset cancelled.',
+            components: []
+        });
+    }
+
+    await confirmation.update({
+        content: 'Resetting server XP...',
+        components: []
+    });
+
+    const usersReset = db.resetGuildXP(guildId, interaction.user.id);
+
+    // Strip every reward role when requested
+    let rolesRevoked = 0;
+    const levelUpService = interaction.client.levelUpService;
+    if (revokeRoles && levelUpService) {
+        const members = await guild.members.fetch().catch(() => null);
+
+        if (members) {
+            for (const member of members.values()) {
+                if (member.user.bot) continue;
+                rolesRevoked += (await levelUpService.revokeRewards(guild, member, 0)).length;
+            }
+        }
+    }
+
+    db.addAuditEntry(guildId, {
+        actorId: interaction.user.id,
+        action: 'xp.reset_guild',
+        details: { usersReset, revokeRoles, reason: reason || null }
+    });
+
+    console.log(`[xpadmin] ${interaction.user.id} reset XP for ${usersReset} user(s) in guild ${guildId}. Reason: ${reason || 'none'}`);
+
+    const embed = new EmbedBuilder()
+        .setColor('#ff0000')
+        .setTitle('Server XP Reset')
+        .setDescription(`Reset XP and levels for ${usersReset} member${usersReset === 1 ? '' : 's'}.` +
+            (revokeRoles ? `\nRemoved ${rolesRevoked} reward role${rolesRevoked === 1 ? '' : 's'}.` : ''))
+        .addFields(
+            { name: 'Reason', value: reason || 'No reason given', inline: true },
+            { name: 'Handled By', value: `${interaction.user}`, inline: true }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    return await interaction.editReply({ content: null, embeds: [embed] });
+}
+
+// Show the most recent staff XP changes
+async function handleXPAdminLog(interaction) {
+    const { entries, totalEntries } = db.getAuditEntries(interaction.guild.id, { category: 'xp', pageSize: 10 });
+
+    if (entries.length === 0) {
+        return await interaction.reply({
+            content: 'No XP changes have been made by staff in this server.',
+            ephemeral: true
+        });
+    }
+
+    const lines = entries.map(entry => {
+        const when = `<t:${Math.floor(entry.createdAt / 1000)}:R>`;
+        const target = entry.target ? `<@${entry.target}>` : 'all members';
+        const details = entry.details ? JSON.parse(entry.details) : {};
+        let change;
+
+        if (entry.action === 'xp.reset_guild') {
+            change = `${details.usersReset} member${details.usersReset === 1 ? '' : 's'} reset`;
+        } else if (entry.action === 'xp.decay') {
+            change = `${details.xpRemoved} XP decayed from ${details.members} inactive member${details.members === 1 ? '' : 's'}`;
+        } else if (entry.action === 'xp.rollback') {
+            change = `${details.xpRemoved} XP earned ${formatEventWindow({ startsAt: details.since, endsAt: details.until })} ` +
+                `rolled back from ${details.members} member${details.members === 1 ? '' : 's'}`;
+        } else {
+            const before = JSON.parse(entry.before);
+            const after = JSON.parse(entry.after);
+            change = `${before.xp} → ${after.xp} XP (level ${before.level} → ${after.level})`;
+        }
+
+        const actor = entry.actorId ? `<@${entry.actorId}>` : 'the system';
+        return `**${entry.action.slice(3)}** ${target} by ${actor} ${when}\n↳ ${change}${details.reason ? ` • ${details.reason}` : ''}`;
+    });
+
+    const embed = new EmbedBuilder()
+        .setColor('#00aaff')
+        .setTitle('XP Change Log')
+        .setDescription(lines.join('\n'))
+        .setFooter({ text: `${totalEntries} logged change${totalEntries === 1 ? '' : 's'}${totalEntries > 10 ? ' • Showing 10 most recent • Use /sysaudit for more' : ''}` })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Show one page of the audit log with optional filters
+async function handleAuditView(interaction, guildId) {
+    const page = interaction.options.getInteger('page') || 1;
+    const category = interaction.options.getString('category');
+    const filterUser = interaction.options.getUser('user');
+
+    const audit = db.getAuditEntries(guildId, {
+        page,
+        pageSize: 10,
+        category,
+        userId: filterUser ? filterUser.id : null
+    });
+
+    if (audit.entries.length === 0) {
+        return await interaction.reply({
+            content: audit.totalEntries > 0
+                ? `Page ${page} is empty. The audit log has ${audit.totalPages} page${audit.totalPages === 1 ? '' : 's'} for these filters.`
+                : 'No audit entries match these filters.',
+            ephemeral: true
+        });
+    }
+
+    // Keep long setting values from blowing up the embed
+    const shorten = value => {
+        if (value === null) return 'none';
+        return value.length > 60 ? `${value.slice(0, 57)}...` : value;
+    };
+
+    const lines = audit.entries.map(entry => {
+        const when = `<t:${Math.floor(entry.createdAt / 1000)}:R>`;
+        const actor = entry.actorId ? `<@${entry.actorId}>` : 'System';
+        const target = entry.target ? (/^\d+$/.test(entry.target) ? `<@${entry.target}>` : `\`${entry.target}\``) : '';
+        const change = entry.before !== null || entry.after !== null
+            ? `\n↳ \`${shorten(entry.before)}\` → \`${shorten(entry.after)}\``
+            : '';
+
+        return `**#${entry.id}** \`${entry.action}\` ${target} by ${actor} ${when}${change}`;
+    });
+
+    const filters = [
+        category ? `category: ${category}` : null,
+        filterUser ? `user: ${filterUser.username}` : null
+    ].filter(Boolean);
+
+    const embed = new EmbedBuilder()
+        .setColor('#00aaff')
+        .setTitle('Audit Log')
+        .setDescription(lines.join('\n'))
+        .setFooter({
+            text: `Page ${audit.currentPage}/${audit.totalPages} • ${audit.totalEntries} entr${audit.totalEntries === 1 ? 'y' : 'ies'}${filters.length > 0 ? ` • ${filters.join(', ')}` : ''}`
+        })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Show one page of the XP ledger with optional filters
+async function handleLedgerView(interaction, guildId) {
+    const page = interaction.options.getInteger('page') || 1;
+    const source = interaction.options.getString('source');
+    const filterUser = interaction.options.getUser('user');
+
+    const ledger = db.getXPLedger(guildId, {
+        page,
+        pageSize: 15,
+        source,
+        userId: filterUser ? filterUser.id : null
+    });
+
+    if (ledger.entries.length === 0) {
+        return await interaction.reply({
+            content: ledger.totalEntries > 0
+                ? `Page ${page} is empty. The ledger has ${ledger.totalPages} page${ledger.totalPages === 1 ? '' : 's'} for these filters.`
+                : 'No XP ledger entries match these filters.',
+            ephemeral: true
+        });
+    }
+
+    const lines = ledger.entries.map(entry => {
+        const when = `<t:${Math.floor(entry.createdAt / 1000)}:R>`;
+        const amount = entry.amount > 0 ? `+${entry.amount}` : `${entry.amount}`;
+        const where = entry.channelId ? ` in <#${entry.channelId}>` : '';
+        const by = entry.actorId ? ` by <@${entry.actorId}>` : '';
+        const amountText = entry.rolledBack ? `~~${amount} XP~~` : `**${amount} XP**`;
+
+        return `${amountText} <@${entry.userId}> • ${XP_SOURCES[entry.source] || entry.source}${where}${by} ${when}`;
+    });
+
+    const retentionDays = getLedgerRetentionDays(db, guildId);
+    const filters = [
+        source ? `source: ${XP_SOURCES[source]}` : null,
+        filterUser ? `user: ${filterUser.username}` : null
+    ].filter(Boolean);
+
+    const embed = new EmbedBuilder()
+        .setColor('#00aaff')
+        .setTitle('XP Ledger')
+        .setDescription(lines.join('\n'))
+        .setFooter({
+            text: `Page ${ledger.currentPage}/${ledger.totalPages} • ${ledger.totalEntries} entr${ledger.totalEntries === 1 ? 'y' : 'ies'}` +
+                `${filters.length > 0 ? ` • ${filters.join(', ')}` : ''} • ` +
+                (retentionDays > 0 ? `Kept for ${retentionDays} days` : 'Kept forever')
+        })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Preview the XP earned in a time window, then take it back after a confirmation button
+async function handleLedgerRollback(interaction, guildId) {
+    const guild = interaction.guild;
+    const sinceInput = interaction.options.getString('since');
+    const untilInput = interaction.options.getString('until') || 'now';
+    const filterUser = interaction.options.getUser('user');
+    const revokeRoles = interaction.options.getBoolean('revoke_roles') !== false;
+    const reason = interaction.options.getString('reason');
+
+    if (!sinceInput) {
+        return await interaction.reply({
+            content: 'Please provide the start of the window to roll back, e.g. `-2h`.',
+            ephemeral: true
+        });
+    }
+
+    const now = Date.now();
+    const since = parseEventTime(sinceInput, now);
+    const until = parseEventTime(untilInput, now);
+
+    if (since === null || until === null) {
+        return await interaction.reply({
+            content: 'Could not read the window. Use `now`, a relative time like `-2h`, or a UTC date like `2025-06-13 18:00`.',
+            ephemeral: true
+        });
+    }
+
+    if (until <= since) {
+        return await interaction.reply({
+            content: 'The window must end after it starts.',
+            ephemeral: true
+        });
+    }
+
+    const window = { since, until, userId: filterUser ? filterUser.id : null };
+    const candidates = db.getRollbackCandidates(guildId, window);
+
+    if (candidates.length === 0) {
+        return await interaction.reply({
+            content: 'No XP was earned in that window, or it has already been rolled back.',
+            ephemeral: true
+        });
+    }
+
+    const totalXP = candidates.reduce((sum, candidate) => sum + candidate.xp, 0);
+    const preview = candidates.slice(0, 10)
+        .map(candidate => `<@${candidate.userId}>: ${candidate.xp} XP from ${candidate.grants} grant${candidate.grants === 1 ? '' : 's'}`)
+        .join('\n');
+
+    const row = new ActionRowBuilder()
+        .addComponents(
+            new ButtonBuilder()
+                .setCustomId(`xpledger_rollback_confirm_${guildId}`)
+                .setLabel('Roll Back XP')
+                .setStyle(ButtonStyle.Danger),
+            new ButtonBuilder()
+                .setCustomId(`xpledger_rollback_cancel_${guildId}`)
+                .setLabel('Cancel')
+                .setStyle(ButtonStyle.Secondary)
+        );
+
+    const response = await interaction.reply({
+        content: `⚠️ This will remove **${totalXP} XP** earned between ${formatEventWindow({ startsAt: since, endsAt: until })} ` +
+            `from **${candidates.length}** member${candidates.length === 1 ? '' : 's'}` +
+            `${revokeRoles ? ' and remove reward roles above their new levels' : ''}. Staff changes are not rolled back.\n\n${preview}` +
+            `${candidates.length > 10 ? `\n...and ${candidates.length - 10} more` : ''}`,
+        components: [row],
+        ephemeral: true,
+        fetchReply: true
+    });
+
+    let confirmation;
+    try {
+        confirmation = await response.awaitMessageComponent({
+            filter: i => i.user.id === interaction.user.id && i.customId.startsWith('xpledger_rollback_'),
+            time: 30000
+        });
+    } catch (error) {
+        return await interaction.editReply({
+            content: 'XP rollback timed out. No changes were made.',
+            components: []
+        });
+    }
+
+    if (confirmation.customId !== `xpledger_rollback_confirm_${guildId}`) {
+        return await confirmation.update({
+            content: 'XP rollback cancelled.',
+            components: []
+        });
+    }
+
+    await confirmation.update({
+        content: 'Rolling back XP...',
+        components: []
+    });
+
+    const results = db.rollbackXPGrants(guildId, window, interaction.user.id);
+    const xpRemoved = results.reduce((sum, result) => sum + result.removed, 0);
+    const leveledDown = results.filter(result => result.newLevel < result.oldLevel);
+
+    // Keep reward roles in step with the new levels
+    let rolesRevoked = 0;
+    const levelUpService = interaction.client.levelUpService;
+    if (revokeRoles && levelUpService) {
+        for (const result of leveledDown) {
+            const member = await guild.members.fetch(result.userId).catch(() => null);
+            if (member) {
+                rolesRevoked += (await levelUpService.revokeRewards(guild, member, result.newLevel)).length;
+            }
+        }
+    }
+
+    db.addAuditEntry(guildId, {
+        actorId: interaction.user.id,
+        action: 'xp.rollback',
+        target: filterUser ? filterUser.id : null,
+        details: {
+            since,
+            until,
+            members: results.length,
+            xpRemoved,
+            levelsLost: leveledDown.reduce((sum, result) => sum + result.oldLevel - result.newLevel, 0),
+            revokeRoles,
+            reason: reason || null
+        }
+    });
+
+    console.log(`[xpledger] ${interaction.user.id} rolled back ${xpRemoved} XP from ${results.length} user(s) in guild ${guildId}. Reason: ${reason || 'none'}`);
+
+    const embed = new EmbedBuilder()
+        .setColor('#ff9900')
+        .setTitle('XP Rolled Back')
+        .setDescription(`Removed ${xpRemoved} XP earned ${formatEventWindow({ startsAt: since, endsAt: until })} ` +
+            `from ${results.length} member${results.length === 1 ? '' : 's'}.`)
+        .addFields(
+            { name: 'Members Leveled Down', value: `${leveledDown.length}`, inline: true },
+            { name: 'Roles Removed', value: `${rolesRevoked}`, inline: true },
+            { name: 'Reason', value: reason || 'No reason given', inline: true }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    return await interaction.editReply({ content: null, embeds: [embed] });
+}
+
+// Set how long the guild's XP ledger entries are kept
+async function handleLedgerRetention(interaction, guildId) {
+    const days = interaction.options.getInteger('days');
+
+    if (days === null) {
+        const retentionDays = getLedgerRetentionDays(db, guildId);
+
+        return await interaction.reply({
+            content: retentionDays > 0
+                ? `XP ledger entries are kept for ${retentionDays} days. Use the \`days\` option to change this.`
+                : 'XP ledger entries are kept forever. Use the `days` option to change this.',
+            ephemeral: true
+        });
+    }
+
+    await db.updateGuildSetting(guildId, 'xp_ledger_retention_days', days, interaction.user.id);
+
+    const embed = new EmbedBuilder()
+        .setColor('#00ff00')
+        .setTitle('XP Ledger Retention Updated')
+        .setDescription(days > 0
+            ? `XP ledger entries older than ${days} day${days === 1 ? '' : 's'} will be deleted. XP rollbacks can only reach back this far.`
+            : 'XP ledger entries will be kept forever.')
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed] });
 }
 
 module.exports = {
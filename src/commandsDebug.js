@@ -1,5 +1,8 @@
 const { ApplicationCommandOptionType, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
 
+// Database reference (set from index.js)
+let db;
+
 // Command definition for debugging user content
 const debugCommandDefinition = {
     name: 'ugcdebug',
@@ -14,13 +17,19 @@ const debugCommandDefinition = {
         },
         {
             name: 'verbose',
-            description: 'Show all database entries for the user',
+            description: 'Show the user\'s content and moderation record',
             type: ApplicationCommandOptionType.Boolean,
             required: false
         }
     ]
 };
 
+// Shorten a stored value so the record fits in one embed field
+function truncateValue(value, maxLength = 200) {
+    const text = String(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+}
+
 // Command handler for debugging user content
 async function ugcDebugHandler(interaction) {
     if (!db) {
@@ -47,9 +56,10 @@ async function ugcDebugHandler(interaction) {
         // Start fetching settings
         await interaction.deferReply();
 
-        // Get user-specific settings
-        const userBannerPath = db.getGuildSetting(`user_${userId}_${guildId}`, 'banner_url', null);
-        const userAvatarPath = db.getGuildSetting(`user_${userId}_${guildId}`, 'avatar_url', null);
+        // Get user-specific content (read-only, so debugging a user never creates their row)
+        const record = db.getUserModerationRecord(userId, guildId);
+        const userBannerPath = record ? record.bannerUrl : null;
+        const userAvatarPath = record ? record.avatarUrl : null;
 
         // Get guild settings
         const guildOnlyBanner = db.getGuildSetting(guildId, 'guild_only_banner', false);
@@ -118,32 +128,25 @@ async function ugcDebugHandler(interaction) {
             }
         }
 
-        // For verbose mode, get all database entries for this user
+        // For verbose mode, show the user's content and moderation state for this guild
         if (verbose) {
             try {
-                // Get all settings with this user's ID prefix
-                const allSettings = db.getAllGuildSettings(guildId);
-                const userSettings = {};
-
-                for (const [key, value] of Object.entries(allSettings)) {
-                    if (key.includes(`user_${userId}`)) {
-                        userSettings[key] = value;
-                    }
-                }
-
-                if (Object.keys(userSettings).length > 0) {
-                    let settingsText = '';
-                    for (const [key, value] of Object.entries(userSettings)) {
-                        settingsText += `${key}: ${value}\n`;
-                    }
-
-                    embed.addFields({ name: '🔍 All User Settings', value: settingsText || 'No settings found' });
-                } else {
-                    embed.addFields({ name: '🔍 All User Settings', value: 'No settings found for this user' });
-                }
+                const globalEntry = db.getGlobalBlacklistEntry(userId);
+                const globallyBlacklisted = Boolean(globalEntry && globalEntry.is_blacklisted === 1);
+
+                const recordText = record
+                    ? `Banner URL: ${truncateValue(record.bannerUrl || 'None')}\n` +
+                        `Avatar URL: ${truncateValue(record.avatarUrl || 'None')}\n` +
+                        `Warnings: ${record.warningCount}\n` +
+                        `Blacklisted here: ${record.isBlacklisted ? '✅ YES' : '❌ NO'}\n` +
+                        `Blacklisted globally: ${globallyBlacklisted ? '✅ YES' : '❌ NO'}` +
+                        (globallyBlacklisted && globalEntry.blacklist_reason ? `\nGlobal reason: ${truncateValue(globalEntry.blacklist_reason)}` : '')
+                    : 'No record found for this user';
+
+                embed.addFields({ name: '🔍 User Record', value: recordText });
             } catch (error) {
-                console.error('Error getting all settings:', error);
-                embed.addFields({ name: '⚠️ Error', value: 'Could not retrieve all user settings' });
+                console.error('Error getting user record:', error);
+                embed.addFields({ name: '⚠️ Error', value: 'Could not retrieve the user record' });
             }
         }
 
@@ -1,6 +1,24 @@
 // Admin setup slash command definitions and handlers
-const { ApplicationCommandOptionType, EmbedBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const {
+    ApplicationCommandOptionType,
+    EmbedBuilder,
+    PermissionFlagsBits,
+    ChannelType,
+    ActionRowBuilder,
+    ChannelSelectMenuBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
 const config = require('./config');
+const { combineMultipliers } = require('./levelingSystem');
+const { REJECTION_REASONS, getQualitySettings, getRejectionCounts } = require('./messageQuality');
+const { getEngagementSettings } = require('./engagementXP');
+const { getStreakSettings } = require('./streaks');
+const { getDecaySettings } = require('./xpDecay');
+const { getPrestigeSettings } = require('./prestige');
+const { getDigestSettings } = require('./leaderboardDigest');
+const { REWARD_STACKING_MODES } = require('./levelUpService');
 
 // We'll initialize the database in index.js and pass it to the handlers
 let db;
@@ -22,35 +40,54 @@ const commandDefinitions = [
                     { name: 'Level Up Settings', value: 'levelup' },
                     { name: 'Level Rewards', value: 'levelrewards' },
                     { name: 'User Commands Restrictions', value: 'usercommands' },
-                    { name: 'XP Channels', value: 'xpchannels' }
+                    { name: 'XP Channels', value: 'xpchannels' },
+                    { name: 'XP Curve', value: 'xpcurve' },
+                    { name: 'Level Card Style', value: 'levelcard' },
+                    { name: 'Voice XP', value: 'voicexp' },
+                    { name: 'XP Cooldown', value: 'cooldown' },
+                    { name: 'XP Multipliers', value: 'multipliers' },
+                    { name: 'Message Quality Filter', value: 'quality' },
+                    { name: 'Engagement XP', value: 'engagement' },
+                    { name: 'Activity Streaks', value: 'streaks' },
+                    { name: 'Inactivity XP Decay', value: 'decay' },
+                    { name: 'Prestige (Fox Sacrifice)', value: 'prestige' },
+                    { name: 'Global Leaderboard', value: 'global' },
+                    { name: 'Leaderboard Digest', value: 'digest' }
                 ]
             },
             // Common options for different features
             {
                 name: 'channel',
-                description: 'Channel to use (for reports, levelup, or usercommands)',
+                description: 'Channel to use (reports, levelup, usercommands, cooldown, multipliers or digest)',
                 type: ApplicationCommandOptionType.Channel,
                 required: false,
-                channel_types: [ChannelType.GuildText]
+                channel_types: [
+                    ChannelType.GuildText,
+                    ChannelType.GuildAnnouncement,
+                    ChannelType.GuildVoice,
+                    ChannelType.GuildForum,
+                    ChannelType.GuildCategory
+                ]
             },
             {
                 name: 'mode',
-                description: 'Mode setting (for usercommands or xpchannels)',
+                description: 'Mode setting (for usercommands, xpchannels, levelcard, multipliers or levelrewards)',
                 type: ApplicationCommandOptionType.String,
                 required: false,
                 choices: [
                     { name: 'Enable', value: 'enable' },
                     { name: 'Disable', value: 'disable' },
                     { name: 'Whitelist', value: 'whitelist' },
-                    { name: 'Blacklist', value: 'blacklist' }
+                    { name: 'Blacklist', value: 'blacklist' },
+                    { name: 'Rank Card Image', value: 'card' },
+                    { name: 'Embed', value: 'embed' },
+                    { name: 'Highest Multiplier', value: 'max' },
+                    { name: 'Sum of Bonuses', value: 'sum' },
+                    { name: 'Product of Multipliers', value: 'product' },
+                    { name: 'Keep All Reward Tiers', value: 'stack' },
+                    { name: 'Highest Reward Tier Only', value: 'highest' }
                 ]
             },
-            {
-                name: 'channels',
-                description: 'Comma-separated list of channel names/IDs (for xpchannels)',
-                type: ApplicationCommandOptionType.String,
-                required: false
-            },
             // Level up options
             {
                 name: 'dm',
@@ -67,13 +104,16 @@ const commandDefinitions = [
             // Level rewards options
             {
                 name: 'action',
-                description: 'Action for rewards (add, remove, list)',
+                description: 'Action (add/remove/list for rewards, multipliers, streaks, prestige; or edit/preview/reset)',
                 type: ApplicationCommandOptionType.String,
                 required: false,
                 choices: [
-                    { name: 'Add Reward', value: 'add' },
-                    { name: 'Remove Reward', value: 'remove' },
-                    { name: 'List Rewards', value: 'list' }
+                    { name: 'Add', value: 'add' },
+                    { name: 'Remove', value: 'remove' },
+                    { name: 'List', value: 'list' },
+                    { name: 'Edit', value: 'edit' },
+                    { name: 'Preview', value: 'preview' },
+                    { name: 'Reset to Default', value: 'reset' }
                 ]
             },
             {
@@ -82,11 +122,11 @@ const commandDefinitions = [
                 type: ApplicationCommandOptionType.Integer,
                 required: false,
                 min_value: 1,
-                max_value: 100
+                max_value: 1000
             },
             {
                 name: 'role',
-                description: 'Role to award (for levelrewards add)',
+                description: 'Role to award (levelrewards, streaks, prestige add, digest Top Chatter) or boost (multipliers)',
                 type: ApplicationCommandOptionType.Role,
                 required: false
             },
@@ -96,6 +136,40 @@ const commandDefinitions = [
                 type: ApplicationCommandOptionType.String,
                 required: false
             },
+            // Generic feature options
+            {
+                name: 'enabled',
+                description: 'Turn the feature on or off (voicexp, quality, engagement, streaks, decay, prestige, global, digest)',
+                type: ApplicationCommandOptionType.Boolean,
+                required: false
+            },
+            {
+                name: 'amount',
+                description: 'Value (voicexp: XP/min, cooldown: secs, multipliers/prestige: 1.5, streaks: XP, digest: top N)',
+                type: ApplicationCommandOptionType.Number,
+                required: false,
+                min_value: 0
+            },
+            // Voice XP options
+            {
+                name: 'min_members',
+                description: 'Minimum members in the voice channel to earn XP (for voicexp)',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 1
+            },
+            {
+                name: 'exclude_muted',
+                description: 'Muted or deafened members do not earn XP (for voicexp)',
+                type: ApplicationCommandOptionType.Boolean,
+                required: false
+            },
+            {
+                name: 'exclude_afk',
+                description: 'Members in the AFK channel do not earn XP (for voicexp)',
+                type: ApplicationCommandOptionType.Boolean,
+                required: false
+            },
             {
                 name: 'destination',
                 description: 'Where to send reward list (for levelrewards list)',
@@ -105,6 +179,56 @@ const commandDefinitions = [
                     { name: 'DM', value: 'dm' },
                     { name: 'Current Channel', value: 'channel' }
                 ]
+            },
+            // Streak options
+            {
+                name: 'days',
+                description: 'Streak length in days for a milestone (for streaks add/remove)',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 1,
+                max_value: 3650
+            },
+            {
+                name: 'grace',
+                description: 'Allow one missed day without breaking a streak (for streaks)',
+                type: ApplicationCommandOptionType.Boolean,
+                required: false
+            },
+            // Prestige options
+            {
+                name: 'sacrifices',
+                description: 'Sacrifices needed for a prestige tier (for prestige add/remove)',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 1,
+                max_value: 1000
+            },
+            {
+                name: 'badge',
+                description: 'Emoji or short text shown for a prestige tier (for prestige add)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                max_length: 32
+            },
+            {
+                name: 'max_prestige',
+                description: 'Most times a member can sacrifice, 0 for no limit (for prestige)',
+                type: ApplicationCommandOptionType.Integer,
+                required: false,
+                min_value: 0,
+                max_value: 1000
+            },
+            {
+                name: 'frequency',
+                description: 'How often the digest is posted (for digest)',
+                type: ApplicationCommandOptionType.String,
+                required: false,
+                choices: [
+                    { name: 'Daily', value: 'daily' },
+                    { name: 'Weekly', value: 'weekly' },
+                    { name: 'Monthly', value: 'monthly' }
+                ]
             }
         ]
     }
@@ -121,6 +245,21 @@ function hasAdminPermissions(interaction) {
     return interaction.memberPermissions && interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild);
 }
 
+// Announcements and command restrictions need a channel members can type in
+function isTextChannel(channel) {
+    return channel.type === ChannelType.GuildText || channel.type === ChannelType.GuildAnnouncement;
+}
+
+// How matching multiplier rules are combined
+const MULTIPLIER_COMBINE_MODES = {
+    max: 'Highest Multiplier',
+    sum: 'Sum of Bonuses',
+    product: 'Product of Multipliers'
+};
+
+// Upper bound for a single multiplier rule
+const MAX_XP_MULTIPLIER = 10;
+
 // Command handlers
 const commandHandlers = {
     async syssetup(interaction) {
@@ -154,6 +293,30 @@ const commandHandlers = {
                 return await handleUserCommandsSetup(interaction, guildId);
             case 'xpchannels':
                 return await handleXPChannelsSetup(interaction, guildId);
+            case 'xpcurve':
+                return await handleXPCurveSetup(interaction, guildId);
+            case 'levelcard':
+                return await handleLevelCardSetup(interaction, guildId);
+            case 'voicexp':
+                return await handleVoiceXPSetup(interaction, guildId);
+            case 'cooldown':
+                return await handleCooldownSetup(interaction, guildId);
+            case 'multipliers':
+                return await handleMultipliersSetup(interaction, guildId);
+            case 'quality':
+                return await handleQualitySetup(interaction, guildId);
+            case 'engagement':
+                return await handleEngagementSetup(interaction, guildId);
+            case 'streaks':
+                return await handleStreaksSetup(interaction, guildId);
+            case 'decay':
+                return await handleDecaySetup(interaction, guildId);
+            case 'prestige':
+                return await handlePrestigeSetup(interaction, guildId);
+            case 'global':
+                return await handleGlobalSetup(interaction, guildId);
+            case 'digest':
+                return await handleDigestSetup(interaction, guildId);
             default:
                 return await interaction.reply({
                     content: 'Unknown feature. Please try again.',
@@ -174,9 +337,16 @@ async function handleReportsSetup(interaction, guildId) {
         });
     }
 
+    if (!isTextChannel(channel)) {
+        return await interaction.reply({
+            content: 'The reports channel must be a text channel.',
+            ephemeral: true
+        });
+    }
+
     try {
         // Update the setting in the database
-        await db.updateGuildSetting(guildId, 'report_channel_id', channel.id);
+        await db.updateGuildSetting(guildId, 'report_channel_id', channel.id, interaction.user.id);
 
         // Create response embed
         const embed = new EmbedBuilder()
@@ -210,6 +380,13 @@ async function handleLevelUpSetup(interaction, guildId) {
         });
     }
 
+    if (channel && !isTextChannel(channel)) {
+        return await interaction.reply({
+            content: 'The level up channel must be a text channel.',
+            ephemeral: true
+        });
+    }
+
     try {
         // Prepare the settings to update
         const settings = {};
@@ -228,7 +405,7 @@ async function handleLevelUpSetup(interaction, guildId) {
 
         // Update settings in database
         for (const [key, value] of Object.entries(settings)) {
-            await db.updateGuildSetting(guildId, key, value);
+            await db.updateGuildSetting(guildId, key, value, interaction.user.id);
         }
 
         // Create response embed
@@ -264,10 +441,15 @@ async function handleLevelUpSetup(interaction, guildId) {
 // Handle LevelRewards setup
 async function handleLevelRewardsSetup(interaction, guildId) {
     const action = interaction.options.getString('action');
+    const mode = interaction.options.getString('mode');
+
+    if (mode) {
+        return await handleRewardStackingSetup(interaction, guildId, mode);
+    }
 
     if (!action) {
         return await interaction.reply({
-            content: 'Please provide an action (add, remove, or list).',
+            content: 'Please provide an action (add, remove, or list), or a mode to choose how reward roles stack.',
             ephemeral: true
         });
     }
@@ -295,6 +477,15 @@ async function handleLevelRewardsSetup(interaction, guildId) {
                     });
                 }
 
+                // Members can't reach levels past the end of this server's XP curve
+                const { maxLevel } = db.getXPCurve(guildId);
+                if (level > maxLevel) {
+                    return await interaction.reply({
+                        content: `Level ${level} is above this server's maximum level (${maxLevel}). Raise it with /syssetup feature:xpcurve first.`,
+                        ephemeral: true
+                    });
+                }
+
                 // Create the level entry if it doesn't exist
                 if (!rewards[level]) {
                     rewards[level] = [];
@@ -314,7 +505,7 @@ async function handleLevelRewardsSetup(interaction, guildId) {
                 });
 
                 // Save back to database
-                await db.updateGuildSetting(guildId, 'level_rewards', rewards);
+                await db.updateGuildSetting(guildId, 'level_rewards', rewards, interaction.user.id);
 
                 // Create response embed
                 const addEmbed = new EmbedBuilder()
@@ -388,7 +579,7 @@ async function handleLevelRewardsSetup(interaction, guildId) {
                 }
 
                 // Save back to database
-                await db.updateGuildSetting(guildId, 'level_rewards', rewards);
+                await db.updateGuildSetting(guildId, 'level_rewards', rewards, interaction.user.id);
 
                 // Create response embed
                 const removeEmbed = new EmbedBuilder()
@@ -431,11 +622,18 @@ async function handleLevelRewardsSetup(interaction, guildId) {
                 }
 
                 // Create response embed
+                const stackingMode = interaction.client.levelUpService
+                    ? interaction.client.levelUpService.getRewardStackingMode(guildId)
+                    : config.xp.levelUp.rewardStacking;
+
                 const listEmbed = new EmbedBuilder()
                     .setColor('#00ff00')
                     .setTitle('Level Rewards')
                     .setDescription('These roles will be awarded when users reach the specified levels:')
-                    .addFields({ name: 'Rewards', value: rewardText })
+                    .addFields(
+                        { name: 'Rewards', value: rewardText },
+                        { name: 'Stacking', value: REWARD_STACKING_MODES[stackingMode] }
+                    )
                     .setFooter({ text: 'Server Settings • Use /syssetup feature:levelrewards to manage these rewards' })
                     .setTimestamp();
 
@@ -474,6 +672,69 @@ async function handleLevelRewardsSetup(interaction, guildId) {
     }
 }
 
+// Choose whether members keep every reward tier or only the highest, and update existing members
+async function handleRewardStackingSetup(interaction, guildId, mode) {
+    if (!REWARD_STACKING_MODES[mode]) {
+        return await interaction.reply({
+            content: 'Invalid mode for level rewards. Please use Keep All Reward Tiers or Highest Reward Tier Only.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await db.updateGuildSetting(guildId, 'reward_stacking_mode', mode, interaction.user.id);
+
+        // Fetching every member can take a while
+        await interaction.deferReply();
+
+        // Members who hold a reward role may now have too many, or be missing lower tiers
+        let membersUpdated = 0;
+        const levelUpService = interaction.client.levelUpService;
+        if (levelUpService) {
+            const rewardRoleIds = new Set(levelUpService.getRewardLevels(guildId)
+                .flatMap(level => levelUpService.getRewardRoleIds(guildId, level)));
+            const members = await interaction.guild.members.fetch().catch(() => null);
+
+            if (members) {
+                for (const member of members.values()) {
+                    if (member.user.bot || !member.roles.cache.some(role => rewardRoleIds.has(role.id))) continue;
+
+                    const { level } = db.getUser(member.id, guildId);
+                    const { added, removed } = await levelUpService.syncRewardRoles(interaction.guild, member, level);
+                    if (added.length > 0 || removed.length > 0) {
+                        membersUpdated++;
+                    }
+                }
+            }
+        }
+
+        const embed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('Reward Stacking Updated')
+            .setDescription(mode === 'highest'
+                ? 'Members now keep only the reward role for the highest level they have reached. Lower tier roles are removed as they level up.'
+                : 'Members now keep the reward roles for every level they have reached.')
+            .addFields({ name: 'Members Updated', value: `${membersUpdated}`, inline: true })
+            .setFooter({ text: 'Server Settings' })
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error in reward stacking setup:', error);
+
+        const replyContent = {
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        };
+
+        if (interaction.deferred) {
+            await interaction.editReply(replyContent);
+        } else {
+            await interaction.reply(replyContent);
+        }
+    }
+}
+
 // Handle UserCommands setup
 async function handleUserCommandsSetup(interaction, guildId) {
     const mode = interaction.options.getString('mode');
@@ -486,6 +747,13 @@ async function handleUserCommandsSetup(interaction, guildId) {
         });
     }
 
+    if (channel && !isTextChannel(channel)) {
+        return await interaction.reply({
+            content: 'The command channel must be a text channel.',
+            ephemeral: true
+        });
+    }
+
     try {
         if (mode === 'enable' && !channel) {
             return await interaction.reply({
@@ -495,10 +763,10 @@ async function handleUserCommandsSetup(interaction, guildId) {
         }
 
         // Update settings
-        await db.updateGuildSetting(guildId, 'command_restrictions_enabled', mode === 'enable');
+        await db.updateGuildSetting(guildId, 'command_restrictions_enabled', mode === 'enable', interaction.user.id);
 
         if (channel) {
-            await db.updateGuildSetting(guildId, 'command_channel_id', channel.id);
+            await db.updateGuildSetting(guildId, 'command_channel_id', channel.id, interaction.user.id);
         }
 
         // Create response embed
@@ -521,93 +789,370 @@ async function handleUserCommandsSetup(interaction, guildId) {
     }
 }
 
+// Channel types that can be picked for XP channel rules
+const XP_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildVoice,
+    ChannelType.GuildStageVoice,
+    ChannelType.GuildForum,
+    ChannelType.GuildCategory,
+    ChannelType.PublicThread,
+    ChannelType.PrivateThread,
+    ChannelType.AnnouncementThread
+];
+
+// Describe what an XP channel rule covers
+function describeXPChannelRule(rule) {
+    switch (rule.type) {
+        case ChannelType.GuildCategory:
+            return `<#${rule.id}> (category: every channel and thread inside)`;
+        case ChannelType.GuildForum:
+            return `<#${rule.id}> (forum: every post)`;
+        case ChannelType.PublicThread:
+        case ChannelType.PrivateThread:
+        case ChannelType.AnnouncementThread:
+            return `<#${rule.id}> (thread)`;
+        default:
+            return `<#${rule.id}> (and its threads)`;
+    }
+}
+
+// Join rule lines into one embed field value, leaving out whole lines past the 1024 character limit
+function joinRuleLines(lines) {
+    const kept = [];
+    let length = 0;
+
+    for (const [index, line] of lines.entries()) {
+        // Leave room for the "...and N more" line unless this is the last line
+        const isLast = index === lines.length - 1;
+        const reserved = isLast ? 0 : `\n...and ${lines.length - index - 1} more`.length;
+        if (length + line.length + reserved > 1024) {
+            kept.push(`...and ${lines.length - index} more`);
+            break;
+        }
+        kept.push(line);
+        length += line.length + 1;
+    }
+
+    return kept.join('\n');
+}
+
+// Build an embed showing the XP channel mode and the channels it applies to
+function buildXPChannelsEmbed(mode, rules, title) {
+    const embed = new EmbedBuilder()
+        .setColor('#00ff00')
+        .setTitle(title)
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+
+    if (mode === 'disable') {
+        return embed.setDescription('XP channel filtering is disabled. Users can earn XP in all channels.');
+    }
+
+    embed.setDescription(`XP channel mode is **${mode}**. Rules on a category, forum or channel also apply to the channels, posts and threads inside it.`);
+
+    if (rules.length > 0) {
+        embed.addFields({
+            name: mode === 'whitelist' ? 'XP Allowed In' : 'XP Blocked In',
+            value: joinRuleLines(rules.map(describeXPChannelRule))
+        });
+    } else {
+        embed.addFields({
+            name: 'No Channels Configured',
+            value: mode === 'whitelist'
+                ? 'Warning: No channels are currently whitelisted. Users cannot earn XP anywhere.'
+                : 'No channels are blacklisted. Users can earn XP everywhere.'
+        });
+    }
+
+    return embed;
+}
+
 // Handle XPChannels setup
 async function handleXPChannelsSetup(interaction, guildId) {
     const mode = interaction.options.getString('mode');
-    const channelsInput = interaction.options.getString('channels');
+    const action = interaction.options.getString('action');
+    const currentMode = db.getGuildSetting(guildId, 'xp_channels_mode', 'disable');
+    const currentRules = db.getGuildSetting(guildId, 'xp_channels_list', []) || [];
 
-    if (!mode) {
+    if (action === 'list' && !mode) {
+        return await interaction.reply({
+            embeds: [buildXPChannelsEmbed(currentMode, currentRules, 'XP Channel Rules')]
+        });
+    }
+
+    if (!['whitelist', 'blacklist', 'disable'].includes(mode)) {
         return await interaction.reply({
-            content: 'Please provide a mode (whitelist, blacklist, or disable).',
+            content: 'Please provide a mode (whitelist, blacklist, or disable), or use action:list to see the current rules.',
             ephemeral: true
         });
     }
 
     try {
-        // Update mode setting
-        await db.updateGuildSetting(guildId, 'xp_channels_mode', mode);
+        if (mode === 'disable') {
+            // Clear the channel list if disabling
+            await db.updateGuildSetting(guildId, 'xp_channels_mode', mode, interaction.user.id);
+            await db.updateGuildSetting(guildId, 'xp_channels_list', [], interaction.user.id);
 
-        let processedChannels = [];
+            return await interaction.reply({
+                embeds: [buildXPChannelsEmbed(mode, [], 'XP Channel Settings Updated')]
+            });
+        }
 
-        // Process channels if provided
-        if (channelsInput && mode !== 'disable') {
-            // Split by commas and trim whitespace
-            const channelNames = channelsInput.split(',').map(c => c.trim());
+        // Pick the channels with a select menu, starting from the current list
+        const selectId = `xpchannels_select_${guildId}`;
+        const select = new ChannelSelectMenuBuilder()
+            .setCustomId(selectId)
+            .setPlaceholder(mode === 'whitelist' ? 'Channels where XP is allowed' : 'Channels where XP is blocked')
+            .setChannelTypes(...XP_CHANNEL_TYPES)
+            .setMinValues(0)
+            .setMaxValues(25);
+
+        // The picker can only show 25 cached channels. Rules it can't show (such as
+        // archived threads) are kept as they are, so saving never drops them silently
+        const shownRules = currentRules.filter(rule => interaction.guild.channels.cache.has(rule.id)).slice(0, 25);
+        const shownIds = new Set(shownRules.map(rule => rule.id));
+        const hiddenRules = currentRules.filter(rule => !shownIds.has(rule.id));
+
+        if (shownRules.length > 0) {
+            select.setDefaultChannels(...shownRules.map(rule => rule.id));
+        }
 
-            // Process each channel
-            for (const channelRef of channelNames) {
-                // Try to find the channel (by name or ID)
-                let channel;
+        let content = `Select the channels for the XP **${mode}**. Categories and forums cover everything inside them, and channels cover their threads.`;
+        if (hiddenRules.length > 0) {
+            content += `\n${hiddenRules.length} saved rule(s) can't be shown here (archived threads or past the 25 channel limit) and will be kept. Use mode:disable to clear every rule.`;
+        }
 
-                // Check if it's an ID (strip <# and > if present for mentions)
-                const cleanId = channelRef.replace(/^<#|>$/g, '');
-                if (/^\d+$/.test(cleanId)) {
-                    channel = interaction.guild.channels.cache.get(cleanId);
-                }
+        const response = await interaction.reply({
+            content,
+            components: [new ActionRowBuilder().addComponents(select)],
+            ephemeral: true,
+            fetchReply: true
+        });
 
-                // If not found by ID, try by name
-                if (!channel) {
-                    channel = interaction.guild.channels.cache.find(
-                        c => c.name.toLowerCase() === channelRef.toLowerCase() && c.type === ChannelType.GuildText
-                    );
-                }
+        let selection;
+        try {
+            selection = await response.awaitMessageComponent({
+                filter: i => i.user.id === interaction.user.id && i.customId === selectId,
+                time: 120000
+            });
+        } catch (error) {
+            return await interaction.editReply({
+                content: 'Channel selection timed out. No changes were made.',
+                components: []
+            });
+        }
 
-                if (channel) {
-                    processedChannels.push({
-                        id: channel.id,
-                        name: channel.name
-                    });
-                }
-            }
+        const selectedRules = [...selection.channels.values()].map(channel => ({
+            id: channel.id,
+            name: channel.name,
+            type: channel.type
+        }));
+        const selectedIds = new Set(selectedRules.map(rule => rule.id));
+        const rules = [...hiddenRules.filter(rule => !selectedIds.has(rule.id)), ...selectedRules];
+
+        await db.updateGuildSetting(guildId, 'xp_channels_mode', mode, interaction.user.id);
+        await db.updateGuildSetting(guildId, 'xp_channels_list', rules, interaction.user.id);
+
+        await selection.update({
+            content: null,
+            embeds: [buildXPChannelsEmbed(mode, rules, 'XP Channel Settings Updated')],
+            components: []
+        });
+    } catch (error) {
+        console.error('Error in XP channels setup:', error);
 
-            // Save the processed channels
-            await db.updateGuildSetting(guildId, 'xp_channels_list', processedChannels);
-        } else if (mode === 'disable') {
-            // Clear the channel list if disabling
-            await db.updateGuildSetting(guildId, 'xp_channels_list', []);
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+                content: 'There was an error updating the settings.',
+                ephemeral: true
+            });
         }
+    }
+}
+
+// Handle LevelCard setup
+async function handleLevelCardSetup(interaction, guildId) {
+    const mode = interaction.options.getString('mode');
+
+    if (mode !== 'card' && mode !== 'embed') {
+        return await interaction.reply({
+            content: 'Please provide a mode (Rank Card Image or Embed).',
+            ephemeral: true
+        });
+    }
+
+    try {
+        await db.updateGuildSetting(guildId, 'level_display_mode', mode, interaction.user.id);
 
         // Create response embed
         const embed = new EmbedBuilder()
             .setColor('#00ff00')
-            .setTitle('XP Channel Settings Updated')
+            .setTitle('Level Card Style Updated')
+            .setDescription(mode === 'card'
+                ? '`/level` will now show a rendered rank card image.'
+                : '`/level` will now show a standard embed.')
             .setFooter({ text: 'Server Settings' })
             .setTimestamp();
 
-        if (mode === 'disable') {
-            embed.setDescription('XP channel filtering has been disabled. Users can earn XP in all channels.');
-        } else {
-            embed.setDescription(`XP channel mode set to **${mode}**`);
+        await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error in level card setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle VoiceXP setup
+async function handleVoiceXPSetup(interaction, guildId) {
+    const enabled = interaction.options.getBoolean('enabled');
+    const amount = interaction.options.getNumber('amount');
+    const minMembers = interaction.options.getInteger('min_members');
+    const excludeMuted = interaction.options.getBoolean('exclude_muted');
+    const excludeAfk = interaction.options.getBoolean('exclude_afk');
+
+    try {
+        // Prepare the settings to update
+        const settings = {};
+
+        if (enabled !== null) {
+            settings.voice_xp_enabled = enabled;
+        }
+
+        if (amount !== null) {
+            settings.voice_xp_per_minute = amount;
+        }
+
+        if (minMembers !== null) {
+            settings.voice_xp_min_members = minMembers;
+        }
+
+        if (excludeMuted !== null) {
+            settings.voice_xp_exclude_muted = excludeMuted;
+        }
+
+        if (excludeAfk !== null) {
+            settings.voice_xp_exclude_afk = excludeAfk;
+        }
+
+        // Update settings in database
+        for (const [key, value] of Object.entries(settings)) {
+            await db.updateGuildSetting(guildId, key, value, interaction.user.id);
+        }
+
+        // Show the resulting configuration
+        const defaults = config.xp.voice;
+        const current = {
+            enabled: db.getGuildSetting(guildId, 'voice_xp_enabled', defaults.enabled),
+            xpPerMinute: db.getGuildSetting(guildId, 'voice_xp_per_minute', defaults.xpPerMinute),
+            minMembers: db.getGuildSetting(guildId, 'voice_xp_min_members', defaults.minMembers),
+            excludeMuted: db.getGuildSetting(guildId, 'voice_xp_exclude_muted', defaults.excludeMuted),
+            excludeAfk: db.getGuildSetting(guildId, 'voice_xp_exclude_afk', defaults.excludeAfk)
+        };
+
+        const embed = new EmbedBuilder()
+            .setColor(current.enabled ? '#00ff00' : '#ff9900')
+            .setTitle(Object.keys(settings).length > 0 ? 'Voice XP Settings Updated' : 'Voice XP Settings')
+            .addFields(
+                { name: 'Voice XP', value: current.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+                { name: 'XP per Minute', value: `${current.xpPerMinute}`, inline: true },
+                { name: 'Minimum Members', value: `${current.minMembers}`, inline: true },
+                { name: 'Exclude Muted/Deafened', value: current.excludeMuted ? 'Yes' : 'No', inline: true },
+                { name: 'Exclude AFK Channel', value: current.excludeAfk ? 'Yes' : 'No', inline: true }
+            )
+            .setFooter({ text: 'Server Settings' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error in voice XP setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle XP cooldown setup
+async function handleCooldownSetup(interaction, guildId) {
+    const action = interaction.options.getString('action');
+    const channel = interaction.options.getChannel('channel');
+    const amount = interaction.options.getNumber('amount');
+
+    // Cooldowns are tracked per message channel, so categories and forums can't have overrides
+    if (channel && (channel.type === ChannelType.GuildCategory || channel.type === ChannelType.GuildForum)) {
+        return await interaction.reply({
+            content: 'Cooldown overrides can only be set on text, announcement, or voice channels.',
+            ephemeral: true
+        });
+    }
 
-            if (processedChannels.length > 0) {
-                const channelList = processedChannels.map(c => `<#${c.id}>`).join(', ');
-                embed.addFields({
-                    name: mode === 'whitelist' ? 'XP Allowed In' : 'XP Blocked In',
-                    value: channelList
+    try {
+        const overrides = db.getGuildSetting(guildId, 'xp_cooldown_channels', {}) || {};
+        let title = 'XP Cooldown Settings';
+
+        if (action === 'reset') {
+            // Back to the bot's default cooldown everywhere
+            db.deleteGuildSetting(guildId, 'xp_cooldown', interaction.user.id);
+            db.deleteGuildSetting(guildId, 'xp_cooldown_channels', interaction.user.id);
+            title = 'XP Cooldown Reset';
+        } else if (action === 'remove') {
+            if (!channel) {
+                return await interaction.reply({
+                    content: 'Please provide the channel whose cooldown override should be removed.',
+                    ephemeral: true
                 });
-            } else {
-                embed.addFields({
-                    name: 'No Channels Configured',
-                    value: mode === 'whitelist'
-                        ? 'Warning: No channels are currently whitelisted. Users cannot earn XP anywhere.'
-                        : 'No channels are blacklisted. Users can earn XP everywhere.'
+            }
+
+            if (overrides[channel.id] === undefined) {
+                return await interaction.reply({
+                    content: `${channel} does not have a cooldown override.`,
+                    ephemeral: true
                 });
             }
+
+            delete overrides[channel.id];
+            await db.updateGuildSetting(guildId, 'xp_cooldown_channels', overrides, interaction.user.id);
+            title = 'Channel Cooldown Removed';
+        } else if (action) {
+            return await interaction.reply({
+                content: 'Invalid action for cooldown. Please use remove or reset.',
+                ephemeral: true
+            });
+        } else if (amount !== null) {
+            if (channel) {
+                overrides[channel.id] = amount;
+                await db.updateGuildSetting(guildId, 'xp_cooldown_channels', overrides, interaction.user.id);
+                title = 'Channel Cooldown Updated';
+            } else {
+                await db.updateGuildSetting(guildId, 'xp_cooldown', amount, interaction.user.id);
+                title = 'XP Cooldown Updated';
+            }
         }
 
+        // Show the resulting configuration
+        const guildCooldown = Number(db.getGuildSetting(guildId, 'xp_cooldown', config.xp.cooldown / 1000));
+        const currentOverrides = db.getGuildSetting(guildId, 'xp_cooldown_channels', {}) || {};
+        const overrideLines = Object.entries(currentOverrides)
+            .map(([channelId, seconds]) => `<#${channelId}>: ${seconds} seconds`);
+
+        const embed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(title)
+            .setDescription('Members can earn message XP once per cooldown. Channels with an override have their own separate cooldown.')
+            .addFields(
+                { name: 'Server Cooldown', value: `${guildCooldown} seconds`, inline: true },
+                { name: 'Channel Overrides', value: overrideLines.length > 0 ? overrideLines.join('\n') : 'None' }
+            )
+            .setFooter({ text: 'Server Settings' })
+            .setTimestamp();
+
         await interaction.reply({ embeds: [embed] });
     } catch (error) {
-        console.error('Error in XP channels setup:', error);
+        console.error('Error in cooldown setup:', error);
         await interaction.reply({
             content: 'There was an error updating the settings.',
             ephemeral: true
@@ -615,6 +1160,1388 @@ async function handleXPChannelsSetup(interaction, guildId) {
     }
 }
 
+// Handle XP multiplier setup
+async function handleMultipliersSetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'list';
+    const mode = interaction.options.getString('mode');
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+    const amount = interaction.options.getNumber('amount');
+
+    if (mode && !MULTIPLIER_COMBINE_MODES[mode]) {
+        return await interaction.reply({
+            content: 'Invalid mode for multipliers. Please use Highest Multiplier, Sum of Bonuses, or Product of Multipliers.',
+            ephemeral: true
+        });
+    }
+
+    try {
+        let settings = db.getGuildSetting(guildId, 'xp_multipliers', null);
+
+        if (typeof settings !== 'object' || settings === null || !Array.isArray(settings.rules)) {
+            settings = { combine: 'max', rules: [] };
+        }
+
+        let title = 'XP Multipliers';
+
+        switch (action) {
+            case 'add': {
+                if ((!role && !channel) || (role && channel) || amount === null) {
+                    return await interaction.reply({
+                        content: 'Please provide either a role or a channel, and an amount (e.g. 1.5) when adding a multiplier.',
+                        ephemeral: true
+                    });
+                }
+
+                if (amount > MAX_XP_MULTIPLIER) {
+                    return await interaction.reply({
+                        content: `Multipliers can be at most ${MAX_XP_MULTIPLIER}x.`,
+                        ephemeral: true
+                    });
+                }
+
+                const type = role ? 'role' : 'channel';
+                const targetId = role ? role.id : channel.id;
+
+                // Adding a rule for the same target replaces its multiplier
+                settings.rules = settings.rules.filter(rule => !(rule.type === type && rule.targetId === targetId));
+                settings.rules.push({ type, targetId, multiplier: amount });
+                title = 'XP Multiplier Added';
+                break;
+            }
+
+            case 'remove': {
+                if (!role && !channel) {
+                    return await interaction.reply({
+                        content: 'Please provide the role or channel whose multiplier should be removed.',
+                        ephemeral: true
+                    });
+                }
+
+                const targetId = role ? role.id : channel.id;
+                const remaining = settings.rules.filter(rule => rule.targetId !== targetId);
+
+                if (remaining.length === settings.rules.length) {
+                    return await interaction.reply({
+                        content: `${role || channel} does not have a multiplier.`,
+                        ephemeral: true
+                    });
+                }
+
+                settings.rules = remaining;
+                title = 'XP Multiplier Removed';
+                break;
+            }
+
+            case 'reset':
+                settings.rules = [];
+                title = 'XP Multipliers Reset';
+                break;
+
+            case 'list':
+                break;
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for multipliers. Please use add, remove, list, or reset.',
+                    ephemeral: true
+                });
+        }
+
+        if (mode) {
+            settings.combine = mode;
+        }
+
+        if (action !== 'list' || mode) {
+            await db.updateGuildSetting(guildId, 'xp_multipliers', settings, interaction.user.id);
+        }
+
+        const formatRule = rule => `${rule.type === 'role' ? `<@&${rule.targetId}>` : `<#${rule.targetId}>`}: ${rule.multiplier}x`;
+        const roleRules = settings.rules.filter(rule => rule.type === 'role').map(formatRule);
+        const channelRules = settings.rules.filter(rule => rule.type === 'channel').map(formatRule);
+
+        // Show how stacking works with an example of two 1.5x rules
+        const combine = settings.combine || 'max';
+        const example = combineMultipliers([1.5, 1.5], combine);
+
+        const embed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle(title)
+            .setDescription('Message and voice XP are multiplied by matching role and channel rules. Channel rules also apply to threads and channels inside a category.')
+            .addFields(
+                { name: 'Combine Mode', value: `${MULTIPLIER_COMBINE_MODES[combine]} (two 1.5x rules = ${example}x)` },
+                { name: 'Role Multipliers', value: roleRules.length > 0 ? roleRules.join('\n') : 'None' },
+                { name: 'Channel Multipliers', value: channelRules.length > 0 ? channelRules.join('\n') : 'None' }
+            )
+            .setFooter({ text: 'Server Settings' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error in multipliers setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle message quality filter setup
+async function handleQualitySetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'preview';
+    const enabled = interaction.options.getBoolean('enabled');
+
+    try {
+        if (enabled !== null) {
+            const settings = { ...getSavedQualitySettings(guildId), enabled };
+            await db.updateGuildSetting(guildId, 'xp_quality_filter', settings, interaction.user.id);
+
+            // Turning the filter on or off is all that was asked for
+            if (!interaction.options.getString('action')) {
+                return await interaction.reply({
+                    embeds: [buildQualityEmbed(guildId, enabled ? 'Message Quality Filter Enabled' : 'Message Quality Filter Disabled')]
+                });
+            }
+        }
+
+        switch (action) {
+            case 'edit':
+                return await showQualityModal(interaction, guildId);
+
+            case 'preview':
+                return await interaction.reply({
+                    embeds: [buildQualityEmbed(guildId, 'Message Quality Filter')]
+                });
+
+            case 'reset':
+                db.deleteGuildSetting(guildId, 'xp_quality_filter', interaction.user.id);
+                return await interaction.reply({
+                    embeds: [buildQualityEmbed(guildId, 'Message Quality Filter Reset')]
+                });
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for quality. Please use edit, preview, or reset.',
+                    ephemeral: true
+                });
+        }
+    } catch (error) {
+        console.error('Error in quality filter setup:', error);
+
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+                content: 'There was an error updating the settings.',
+                ephemeral: true
+            });
+        }
+    }
+}
+
+// Get the quality filter settings this server has saved, without defaults
+function getSavedQualitySettings(guildId) {
+    const saved = db.getGuildSetting(guildId, 'xp_quality_filter', null);
+    return saved && typeof saved === 'object' ? saved : {};
+}
+
+// Show the quality filter editor modal and save the submitted settings
+async function showQualityModal(interaction, guildId) {
+    const settings = getQualitySettings(db, guildId);
+    const modalId = `quality_modal_${guildId}_${interaction.user.id}`;
+
+    const modal = new ModalBuilder()
+        .setCustomId(modalId)
+        .setTitle('Edit Message Quality Filter');
+
+    const minLengthInput = new TextInputBuilder()
+        .setCustomId('min_length')
+        .setLabel('Minimum characters (emoji and links ignored)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.minLength))
+        .setRequired(true);
+
+    const minWordsInput = new TextInputBuilder()
+        .setCustomId('min_words')
+        .setLabel('Minimum distinct words')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.minWords))
+        .setRequired(true);
+
+    const duplicateInput = new TextInputBuilder()
+        .setCustomId('duplicate_window')
+        .setLabel('Ignore repeats within seconds (0 = off)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.duplicateWindow))
+        .setRequired(true);
+
+    const dailyCapInput = new TextInputBuilder()
+        .setCustomId('daily_cap')
+        .setLabel('Daily message XP cap per user (0 = no cap)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.dailyCap))
+        .setRequired(true);
+
+    const minAgeInput = new TextInputBuilder()
+        .setCustomId('min_age')
+        .setLabel('Minimum account age, server age (days)')
+        .setPlaceholder('7, 1')
+        .setStyle(TextInputStyle.Short)
+        .setValue(`${settings.minAccountAgeDays}, ${settings.minMemberAgeDays}`)
+        .setRequired(true);
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(minLengthInput),
+        new ActionRowBuilder().addComponents(minWordsInput),
+        new ActionRowBuilder().addComponents(duplicateInput),
+        new ActionRowBuilder().addComponents(dailyCapInput),
+        new ActionRowBuilder().addComponents(minAgeInput)
+    );
+
+    await interaction.showModal(modal);
+
+    let submission;
+    try {
+        submission = await interaction.awaitModalSubmit({
+            filter: i => i.customId === modalId && i.user.id === interaction.user.id,
+            time: 300000 // 5 minutes
+        });
+    } catch (error) {
+        if (error.code === 'InteractionCollectorError') {
+            console.log('Quality filter modal timed out');
+            return;
+        }
+        throw error;
+    }
+
+    const parsed = parseQualitySubmission(submission);
+
+    if (parsed.error) {
+        return await submission.reply({
+            content: parsed.error,
+            ephemeral: true
+        });
+    }
+
+    // Saving the editor turns the filter on
+    const updated = { ...getSavedQualitySettings(guildId), ...parsed.settings, enabled: true };
+    await db.updateGuildSetting(guildId, 'xp_quality_filter', updated, interaction.user.id);
+
+    await submission.reply({ embeds: [buildQualityEmbed(guildId, 'Message Quality Filter Updated')] });
+}
+
+// Validate the quality filter modal fields
+function parseQualitySubmission(submission) {
+    const minLength = Number(submission.fields.getTextInputValue('min_length'));
+    const minWords = Number(submission.fields.getTextInputValue('min_words'));
+    const duplicateWindow = Number(submission.fields.getTextInputValue('duplicate_window'));
+    const dailyCap = Number(submission.fields.getTextInputValue('daily_cap'));
+    const ages = submission.fields.getTextInputValue('min_age').split(/[,\s]+/).filter(Boolean).map(Number);
+
+    if (!Number.isInteger(minLength) || minLength < 0 || minLength > 500) {
+        return { error: 'Minimum characters must be a whole number between 0 and 500.' };
+    }
+
+    if (!Number.isInteger(minWords) || minWords < 0 || minWords > 50) {
+        return { error: 'Minimum words must be a whole number between 0 and 50.' };
+    }
+
+    if (!Number.isInteger(duplicateWindow) || duplicateWindow < 0 || duplicateWindow > 86400) {
+        return { error: 'The repeat window must be a whole number of seconds between 0 and 86400 (one day).' };
+    }
+
+    if (!Number.isInteger(dailyCap) || dailyCap < 0) {
+        return { error: 'The daily XP cap must be a whole number (0 for no cap).' };
+    }
+
+    if (ages.length !== 2 || ages.some(age => !Number.isFinite(age) || age < 0)) {
+        return { error: 'Enter the minimum account age and server age in days, separated by a comma (e.g. `7, 1`).' };
+    }
+
+    return {
+        settings: {
+            minLength,
+            minWords,
+            duplicateWindow,
+            dailyCap,
+            minAccountAgeDays: ages[0],
+            minMemberAgeDays: ages[1]
+        }
+    };
+}
+
+// Build an embed describing the quality filter and how many messages it has blocked
+function buildQualityEmbed(guildId, title) {
+    const settings = getQualitySettings(db, guildId);
+    const counts = getRejectionCounts(db, guildId);
+    const totalBlocked = Object.values(counts).reduce((total, count) => total + count, 0);
+
+    const blockedText = Object.entries(REJECTION_REASONS)
+        .map(([reason, label]) => `${label}: ${counts[reason]}`)
+        .join('\n');
+
+    return new EmbedBuilder()
+        .setColor(settings.enabled ? '#00ff00' : '#808080')
+        .setTitle(title)
+        .setDescription('Messages that fail these checks don\'t earn XP and don\'t use up the XP cooldown.')
+        .addFields(
+            { name: 'Filter', value: settings.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+            { name: 'Minimum Characters', value: `${settings.minLength}`, inline: true },
+            { name: 'Minimum Words', value: `${settings.minWords}`, inline: true },
+            { name: 'Repeat Window', value: settings.duplicateWindow > 0 ? `${settings.duplicateWindow} seconds` : 'Off', inline: true },
+            { name: 'Daily XP Cap', value: settings.dailyCap > 0 ? `${settings.dailyCap} XP` : 'None', inline: true },
+            { name: 'Minimum Ages', value: `Account: ${settings.minAccountAgeDays} days\nServer: ${settings.minMemberAgeDays} days`, inline: true },
+            { name: `Messages Blocked (${totalBlocked})`, value: blockedText }
+        )
+        .setFooter({ text: 'Server Settings • Use /syssetup feature:quality action:edit to change the filter' })
+        .setTimestamp();
+}
+
+// Handle engagement XP setup
+async function handleEngagementSetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'preview';
+    const enabled = interaction.options.getBoolean('enabled');
+
+    try {
+        if (enabled !== null) {
+            const saved = db.getGuildSetting(guildId, 'engagement_xp', null) || {};
+            await db.updateGuildSetting(guildId, 'engagement_xp', { ...saved, enabled }, interaction.user.id);
+
+            // Turning engagement XP on or off is all that was asked for
+            if (!interaction.options.getString('action')) {
+                return await interaction.reply({
+                    embeds: [buildEngagementEmbed(guildId, enabled ? 'Engagement XP Enabled' : 'Engagement XP Disabled')]
+                });
+            }
+        }
+
+        switch (action) {
+            case 'edit':
+                return await showEngagementModal(interaction, guildId);
+
+            case 'preview':
+                return await interaction.reply({
+                    embeds: [buildEngagementEmbed(guildId, 'Engagement XP')]
+                });
+
+            case 'reset':
+                db.deleteGuildSetting(guildId, 'engagement_xp', interaction.user.id);
+                return await interaction.reply({
+                    embeds: [buildEngagementEmbed(guildId, 'Engagement XP Reset')]
+                });
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for engagement. Please use edit, preview, or reset.',
+                    ephemeral: true
+                });
+        }
+    } catch (error) {
+        console.error('Error in engagement XP setup:', error);
+
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+                content: 'There was an error updating the settings.',
+                ephemeral: true
+            });
+        }
+    }
+}
+
+// Show the engagement XP editor modal and save the submitted settings
+async function showEngagementModal(interaction, guildId) {
+    const settings = getEngagementSettings(db, guildId);
+    const modalId = `engagement_modal_${guildId}_${interaction.user.id}`;
+
+    const modal = new ModalBuilder()
+        .setCustomId(modalId)
+        .setTitle('Edit Engagement XP');
+
+    const reactionsInput = new TextInputBuilder()
+        .setCustomId('reactions')
+        .setLabel('XP per reaction received, daily cap')
+        .setPlaceholder('2, 40')
+        .setStyle(TextInputStyle.Short)
+        .setValue(`${settings.reactions.xp}, ${settings.reactions.dailyCap}`)
+        .setRequired(true);
+
+    const repliesInput = new TextInputBuilder()
+        .setCustomId('replies')
+        .setLabel('XP per reply received, daily cap')
+        .setPlaceholder('5, 50')
+        .setStyle(TextInputStyle.Short)
+        .setValue(`${settings.replies.xp}, ${settings.replies.dailyCap}`)
+        .setRequired(true);
+
+    const threadsInput = new TextInputBuilder()
+        .setCustomId('threads')
+        .setLabel('XP per new thread participant, daily cap')
+        .setPlaceholder('10, 50')
+        .setStyle(TextInputStyle.Short)
+        .setValue(`${settings.threads.xp}, ${settings.threads.dailyCap}`)
+        .setRequired(true);
+
+    const pairLimitInput = new TextInputBuilder()
+        .setCustomId('pair_limit')
+        .setLabel('Times one member can reward another per day')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.pairDailyLimit))
+        .setRequired(true);
+
+    const maxAgeInput = new TextInputBuilder()
+        .setCustomId('max_age')
+        .setLabel('Ignore messages older than (hours)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.maxMessageAgeHours))
+        .setRequired(true);
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(reactionsInput),
+        new ActionRowBuilder().addComponents(repliesInput),
+        new ActionRowBuilder().addComponents(threadsInput),
+        new ActionRowBuilder().addComponents(pairLimitInput),
+        new ActionRowBuilder().addComponents(maxAgeInput)
+    );
+
+    await interaction.showModal(modal);
+
+    let submission;
+    try {
+        submission = await interaction.awaitModalSubmit({
+            filter: i => i.customId === modalId && i.user.id === interaction.user.id,
+            time: 300000 // 5 minutes
+        });
+    } catch (error) {
+        if (error.code === 'InteractionCollectorError') {
+            console.log('Engagement XP modal timed out');
+            return;
+        }
+        throw error;
+    }
+
+    const parsed = parseEngagementSubmission(submission);
+
+    if (parsed.error) {
+        return await submission.reply({
+            content: parsed.error,
+            ephemeral: true
+        });
+    }
+
+    // Saving the editor turns engagement XP on
+    const saved = db.getGuildSetting(guildId, 'engagement_xp', null) || {};
+    await db.updateGuildSetting(guildId, 'engagement_xp', { ...saved, ...parsed.settings, enabled: true }, interaction.user.id);
+
+    await submission.reply({ embeds: [buildEngagementEmbed(guildId, 'Engagement XP Updated')] });
+}
+
+// Validate the engagement XP modal fields
+function parseEngagementSubmission(submission) {
+    const labels = {
+        reactions: 'reactions',
+        replies: 'replies',
+        threads: 'thread participants'
+    };
+
+    const settings = {};
+
+    // Each type is entered as "xp, daily cap"
+    for (const [type, label] of Object.entries(labels)) {
+        const values = submission.fields.getTextInputValue(type).split(/[,\s]+/).filter(Boolean).map(Number);
+
+        if (values.length !== 2 || values.some(value => !Number.isInteger(value) || value < 0)) {
+            return { error: `Enter the XP and daily cap for ${label} as two whole numbers separated by a comma (e.g. \`5, 50\`).` };
+        }
+
+        settings[type] = { xp: values[0], dailyCap: values[1] };
+    }
+
+    const pairDailyLimit = Number(submission.fields.getTextInputValue('pair_limit'));
+    const maxMessageAgeHours = Number(submission.fields.getTextInputValue('max_age'));
+
+    if (!Number.isInteger(pairDailyLimit) || pairDailyLimit < 1 || pairDailyLimit > 100) {
+        return { error: 'The per-member limit must be a whole number between 1 and 100.' };
+    }
+
+    if (!Number.isFinite(maxMessageAgeHours) || maxMessageAgeHours <= 0 || maxMessageAgeHours > 720) {
+        return { error: 'The message age limit must be between 1 and 720 hours (30 days).' };
+    }
+
+    return {
+        settings: {
+            ...settings,
+            pairDailyLimit,
+            maxMessageAgeHours
+        }
+    };
+}
+
+// Build an embed describing the engagement XP settings
+function buildEngagementEmbed(guildId, title) {
+    const settings = getEngagementSettings(db, guildId);
+    const formatType = ({ xp, dailyCap }) => `${xp} XP each\n${dailyCap > 0 ? `Up to ${dailyCap} XP per day` : 'No daily cap'}`;
+
+    return new EmbedBuilder()
+        .setColor(settings.enabled ? '#00ff00' : '#808080')
+        .setTitle(title)
+        .setDescription('Members earn XP when others react to or reply to their messages, and when new people join threads they start. Reacting to or replying to yourself never counts.')
+        .addFields(
+            { name: 'Engagement XP', value: settings.enabled ? '✅ Enabled' : '❌ Disabled' },
+            { name: 'Reactions', value: formatType(settings.reactions), inline: true },
+            { name: 'Replies', value: formatType(settings.replies), inline: true },
+            { name: 'Thread Participants', value: `${formatType(settings.threads)}\nFirst ${settings.maxThreadParticipants} per thread`, inline: true },
+            { name: 'Per-Member Limit', value: `${settings.pairDailyLimit} rewards per day from the same member`, inline: true },
+            { name: 'Message Age Limit', value: `${settings.maxMessageAgeHours} hours`, inline: true }
+        )
+        .setFooter({ text: 'Server Settings • Use /syssetup feature:engagement action:edit to change amounts and caps' })
+        .setTimestamp();
+}
+
+// Handle activity streak setup
+async function handleStreaksSetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'list';
+    const enabled = interaction.options.getBoolean('enabled');
+    const grace = interaction.options.getBoolean('grace');
+    const days = interaction.options.getInteger('days');
+    const amount = interaction.options.getNumber('amount');
+    const role = interaction.options.getRole('role');
+
+    try {
+        const settings = getStreakSettings(db, guildId);
+        const milestones = { ...settings.milestones };
+        let title = 'Activity Streaks';
+
+        switch (action) {
+            case 'add':
+                if (!days || (amount === null && !role)) {
+                    return await interaction.reply({
+                        content: 'Please provide the streak length in days, and bonus XP (amount) and/or a role when adding a milestone.',
+                        ephemeral: true
+                    });
+                }
+
+                // Adding to an existing milestone only replaces what was provided
+                milestones[days] = {
+                    xp: amount !== null ? Math.round(amount) : (milestones[days] ? milestones[days].xp : 0),
+                    roleId: role ? role.id : (milestones[days] ? milestones[days].roleId : null)
+                };
+                title = 'Streak Milestone Saved';
+                break;
+
+            case 'remove':
+                if (!days || !milestones[days]) {
+                    return await interaction.reply({
+                        content: days ? `There is no milestone for a ${days}-day streak.` : 'Please provide the streak length (days) of the milestone to remove.',
+                        ephemeral: true
+                    });
+                }
+
+                delete milestones[days];
+                title = 'Streak Milestone Removed';
+                break;
+
+            case 'reset':
+                db.deleteGuildSetting(guildId, 'streak_settings', interaction.user.id);
+                return await interaction.reply({
+                    embeds: [buildStreaksEmbed(guildId, 'Activity Streaks Reset')]
+                });
+
+            case 'list':
+                break;
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for streaks. Please use add, remove, list, or reset.',
+                    ephemeral: true
+                });
+        }
+
+        if (action !== 'list' || enabled !== null || grace !== null) {
+            await db.updateGuildSetting(guildId, 'streak_settings', {
+                enabled: enabled !== null ? enabled : settings.enabled,
+                graceDays: grace !== null ? (grace ? 1 : 0) : settings.graceDays,
+                milestones
+            }, interaction.user.id);
+
+            if (action === 'list') {
+                title = 'Activity Streaks Updated';
+            }
+        }
+
+        await interaction.reply({ embeds: [buildStreaksEmbed(guildId, title)] });
+    } catch (error) {
+        console.error('Error in streaks setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Build an embed describing the streak settings and milestones
+function buildStreaksEmbed(guildId, title) {
+    const settings = getStreakSettings(db, guildId);
+
+    const milestoneLines = Object.entries(settings.milestones)
+        .sort((a, b) => Number(a[0]) - Number(b[0]))
+        .map(([days, milestone]) => {
+            const rewards = [
+                milestone.xp > 0 ? `${milestone.xp} XP` : null,
+                milestone.roleId ? `<@&${milestone.roleId}>` : null
+            ].filter(Boolean).join(' + ');
+
+            return `${days} day${days === '1' ? '' : 's'}: ${rewards || 'nothing'}`;
+        });
+
+    return new EmbedBuilder()
+        .setColor(settings.enabled ? '#00ff00' : '#808080')
+        .setTitle(title)
+        .setDescription('Members build a streak by earning XP from messages, voice or engagement on consecutive days (UTC). ' +
+            'Each milestone grants its rewards the first time a member reaches it.')
+        .addFields(
+            { name: 'Streaks', value: settings.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+            { name: 'Grace Day', value: settings.graceDays > 0 ? 'One missed day is forgiven' : 'Off', inline: true },
+            { name: 'Milestones', value: milestoneLines.length > 0 ? milestoneLines.join('\n') : 'None' }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+}
+
+// Handle prestige (fox sacrifice) setup
+async function handlePrestigeSetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'list';
+    const enabled = interaction.options.getBoolean('enabled');
+    const maxPrestige = interaction.options.getInteger('max_prestige');
+    const sacrifices = interaction.options.getInteger('sacrifices');
+    const amount = interaction.options.getNumber('amount');
+    const role = interaction.options.getRole('role');
+    const badge = interaction.options.getString('badge');
+
+    try {
+        const settings = getPrestigeSettings(db, guildId);
+        const tiers = { ...settings.tiers };
+        let title = 'Prestige';
+
+        switch (action) {
+            case 'add': {
+                if (!sacrifices || (amount === null && !role && !badge)) {
+                    return await interaction.reply({
+                        content: 'Please provide the number of sacrifices, and a multiplier (amount), role and/or badge when adding a prestige tier.',
+                        ephemeral: true
+                    });
+                }
+
+                if (amount !== null && (amount <= 0 || amount > MAX_XP_MULTIPLIER)) {
+                    return await interaction.reply({
+                        content: `Prestige multipliers must be more than 0 and at most ${MAX_XP_MULTIPLIER}x.`,
+                        ephemeral: true
+                    });
+                }
+
+                // Adding to an existing tier only replaces what was provided
+                const existing = tiers[sacrifices] || {};
+                tiers[sacrifices] = {
+                    multiplier: amount !== null ? Math.round(amount * 100) / 100 : (existing.multiplier || 1),
+                    roleId: role ? role.id : (existing.roleId || null),
+                    badge: badge || existing.badge || null
+                };
+                title = 'Prestige Tier Saved';
+                break;
+            }
+
+            case 'remove':
+                if (!sacrifices || !tiers[sacrifices]) {
+                    return await interaction.reply({
+                        content: sacrifices ? `There is no prestige tier at ${sacrifices} sacrifice${sacrifices === 1 ? '' : 's'}.` : 'Please provide the number of sacrifices of the tier to remove.',
+                        ephemeral: true
+                    });
+                }
+
+                delete tiers[sacrifices];
+                title = 'Prestige Tier Removed';
+                break;
+
+            case 'reset':
+                db.deleteGuildSetting(guildId, 'prestige_settings', interaction.user.id);
+                return await interaction.reply({
+                    embeds: [buildPrestigeEmbed(guildId, 'Prestige Reset')]
+                });
+
+            case 'list':
+                break;
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for prestige. Please use add, remove, list, or reset.',
+                    ephemeral: true
+                });
+        }
+
+        if (action !== 'list' || enabled !== null || maxPrestige !== null) {
+            await db.updateGuildSetting(guildId, 'prestige_settings', {
+                enabled: enabled !== null ? enabled : settings.enabled,
+                maxPrestige: maxPrestige !== null ? maxPrestige : settings.maxPrestige,
+                tiers
+            }, interaction.user.id);
+
+            if (action === 'list') {
+                title = 'Prestige Updated';
+            }
+        }
+
+        await interaction.reply({ embeds: [buildPrestigeEmbed(guildId, title)] });
+    } catch (error) {
+        console.error('Error in prestige setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Build an embed describing the prestige settings and tiers
+function buildPrestigeEmbed(guildId, title) {
+    const settings = getPrestigeSettings(db, guildId);
+
+    const tierLines = Object.entries(settings.tiers)
+        .sort((a, b) => Number(a[0]) - Number(b[0]))
+        .map(([count, tier]) => {
+            const rewards = [
+                `${tier.multiplier || 1}x XP`,
+                tier.roleId ? `<@&${tier.roleId}>` : null
+            ].filter(Boolean).join(' + ');
+
+            return `${tier.badge || '🦊'} ${count} sacrifice${count === '1' ? '' : 's'}: ${rewards}`;
+        });
+
+    return new EmbedBuilder()
+        .setColor(settings.enabled ? '#00ff00' : '#808080')
+        .setTitle(title)
+        .setDescription('Members at the max level can sacrifice their progress to the fox with `/level-sacrifice`. ' +
+            'Each tier applies from its number of sacrifices until the next tier is reached.')
+        .addFields(
+            { name: 'Sacrifices', value: settings.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+            { name: 'Max Prestige', value: settings.maxPrestige > 0 ? `${settings.maxPrestige}` : 'No limit', inline: true },
+            { name: 'Tiers', value: tierLines.length > 0 ? tierLines.join('\n') : 'None' }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+}
+
+// Handle whether this server's XP counts towards global stats
+async function handleGlobalSetup(interaction, guildId) {
+    const enabled = interaction.options.getBoolean('enabled');
+
+    try {
+        if (enabled !== null) {
+            await db.updateGuildSetting(guildId, 'global_aggregation_enabled', enabled, interaction.user.id);
+        }
+
+        const included = db.getGuildSetting(guildId, 'global_aggregation_enabled', true) !== false;
+
+        const embed = new EmbedBuilder()
+            .setColor(included ? '#00ff00' : '#808080')
+            .setTitle(enabled !== null ? 'Global Leaderboard Updated' : 'Global Leaderboard')
+            .setDescription('Members can opt in with `/level-global` to have their XP from every taking-part server ' +
+                'combined on `/level scope:global` and `/leaderboard scope:global`.')
+            .addFields({
+                name: 'This Server',
+                value: included ? '✅ XP here counts towards global stats' : '❌ XP here is left out of global stats'
+            })
+            .setFooter({ text: 'Server Settings' })
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed] });
+    } catch (error) {
+        console.error('Error in global leaderboard setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Handle leaderboard digest setup
+async function handleDigestSetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'list';
+    const enabled = interaction.options.getBoolean('enabled');
+    const channel = interaction.options.getChannel('channel');
+    const frequency = interaction.options.getString('frequency');
+    const amount = interaction.options.getNumber('amount');
+    const role = interaction.options.getRole('role');
+    const maxTopCount = config.leaderboard.digest.maxTopCount;
+
+    try {
+        const settings = getDigestSettings(db, guildId);
+        let title = 'Leaderboard Digest';
+
+        switch (action) {
+            case 'preview': {
+                if (!interaction.client.leaderboardDigest) {
+                    return await interaction.reply({
+                        content: 'The digest service is not running. Please try again later.',
+                        ephemeral: true
+                    });
+                }
+
+                return await interaction.reply({
+                    embeds: [interaction.client.leaderboardDigest.buildPreviewEmbed(guildId)],
+                    ephemeral: true
+                });
+            }
+
+            case 'remove':
+                // Stop giving out the Top Chatter role
+                settings.roleId = null;
+                title = 'Top Chatter Role Removed';
+                break;
+
+            case 'reset':
+                db.deleteGuildSetting(guildId, 'leaderboard_digest', interaction.user.id);
+                return await interaction.reply({
+                    embeds: [buildDigestEmbed(guildId, 'Leaderboard Digest Reset')]
+                });
+
+            case 'list':
+                break;
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for the digest. Please use list, preview, remove (Top Chatter role), or reset.',
+                    ephemeral: true
+                });
+        }
+
+        if (channel && !isTextChannel(channel)) {
+            return await interaction.reply({
+                content: 'The digest channel must be a text channel.',
+                ephemeral: true
+            });
+        }
+
+        if (amount !== null && (amount < 1 || amount > maxTopCount)) {
+            return await interaction.reply({
+                content: `The digest can show between 1 and ${maxTopCount} members per section.`,
+                ephemeral: true
+            });
+        }
+
+        if (enabled === true && !channel && !settings.channelId) {
+            return await interaction.reply({
+                content: 'Please provide a channel to post the digest in.',
+                ephemeral: true
+            });
+        }
+
+        if (action !== 'list' || enabled !== null || channel || frequency || amount !== null || role) {
+            await db.updateGuildSetting(guildId, 'leaderboard_digest', {
+                enabled: enabled !== null ? enabled : settings.enabled,
+                channelId: channel ? channel.id : settings.channelId,
+                frequency: frequency || settings.frequency,
+                topCount: amount !== null ? Math.round(amount) : settings.topCount,
+                roleId: role ? role.id : settings.roleId
+            }, interaction.user.id);
+
+            if (action === 'list') {
+                title = 'Leaderboard Digest Updated';
+            }
+        }
+
+        await interaction.reply({ embeds: [buildDigestEmbed(guildId, title)] });
+    } catch (error) {
+        console.error('Error in digest setup:', error);
+        await interaction.reply({
+            content: 'There was an error updating the settings.',
+            ephemeral: true
+        });
+    }
+}
+
+// Build an embed describing the digest settings
+function buildDigestEmbed(guildId, title) {
+    const settings = getDigestSettings(db, guildId);
+
+    return new EmbedBuilder()
+        .setColor(settings.enabled ? '#00ff00' : '#808080')
+        .setTitle(title)
+        .setDescription('When each period ends, a digest of its top XP gainers, biggest level jumps, new reward roles and ' +
+            'sacrifices is posted. The Top Chatter role moves to the winner until the next digest. ' +
+            'Use `action:preview` to see the current period so far.')
+        .addFields(
+            { name: 'Digest', value: settings.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+            { name: 'Channel', value: settings.channelId ? `<#${settings.channelId}>` : 'Not set', inline: true },
+            { name: 'Frequency', value: settings.frequency.charAt(0).toUpperCase() + settings.frequency.slice(1), inline: true },
+            { name: 'Members Shown', value: `${settings.topCount}`, inline: true },
+            { name: 'Top Chatter Role', value: settings.roleId ? `<@&${settings.roleId}>` : 'None', inline: true }
+        )
+        .setFooter({ text: 'Server Settings' })
+        .setTimestamp();
+}
+
+// Handle inactivity XP decay setup
+async function handleDecaySetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'preview';
+    const enabled = interaction.options.getBoolean('enabled');
+
+    try {
+        if (enabled !== null) {
+            const settings = { ...getSavedDecaySettings(guildId), enabled };
+            await db.updateGuildSetting(guildId, 'xp_decay', settings, interaction.user.id);
+
+            // Turning decay on or off is all that was asked for
+            if (!interaction.options.getString('action')) {
+                return await interaction.reply({
+                    embeds: [buildDecayEmbed(guildId, enabled ? 'Inactivity XP Decay Enabled' : 'Inactivity XP Decay Disabled')]
+                });
+            }
+        }
+
+        switch (action) {
+            case 'edit':
+                return await showDecayModal(interaction, guildId);
+
+            case 'preview':
+                return await interaction.reply({
+                    embeds: [buildDecayEmbed(guildId, 'Inactivity XP Decay')]
+                });
+
+            case 'reset':
+                db.deleteGuildSetting(guildId, 'xp_decay', interaction.user.id);
+                return await interaction.reply({
+                    embeds: [buildDecayEmbed(guildId, 'Inactivity XP Decay Reset')]
+                });
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action for decay. Please use edit, preview, or reset.',
+                    ephemeral: true
+                });
+        }
+    } catch (error) {
+        console.error('Error in XP decay setup:', error);
+
+        if (!interaction.replied && !interaction.deferred) {
+            await interaction.reply({
+                content: 'There was an error updating the settings.',
+                ephemeral: true
+            });
+        }
+    }
+}
+
+// Get the decay settings this server has saved, without defaults
+function getSavedDecaySettings(guildId) {
+    const saved = db.getGuildSetting(guildId, 'xp_decay', null);
+    return saved && typeof saved === 'object' ? saved : {};
+}
+
+// Show the decay editor modal and save the submitted settings
+async function showDecayModal(interaction, guildId) {
+    const settings = getDecaySettings(db, guildId);
+    const modalId = `decay_modal_${guildId}_${interaction.user.id}`;
+
+    const modal = new ModalBuilder()
+        .setCustomId(modalId)
+        .setTitle('Edit Inactivity XP Decay');
+
+    const inactiveDaysInput = new TextInputBuilder()
+        .setCustomId('inactive_days')
+        .setLabel('Days without XP before decay starts')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.inactiveDays))
+        .setRequired(true);
+
+    const percentInput = new TextInputBuilder()
+        .setCustomId('percent_per_day')
+        .setLabel('Percentage of XP lost per day')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.percentPerDay))
+        .setRequired(true);
+
+    const floorInput = new TextInputBuilder()
+        .setCustomId('floor_level')
+        .setLabel('Lowest level decay can take members to')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.floorLevel))
+        .setRequired(true);
+
+    const warningInput = new TextInputBuilder()
+        .setCustomId('warning_days')
+        .setLabel('Warn by DM this many days before (0 = off)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(settings.warningDays))
+        .setRequired(true);
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(inactiveDaysInput),
+        new ActionRowBuilder().addComponents(percentInput),
+        new ActionRowBuilder().addComponents(floorInput),
+        new ActionRowBuilder().addComponents(warningInput)
+    );
+
+    await interaction.showModal(modal);
+
+    let submission;
+    try {
+        submission = await interaction.awaitModalSubmit({
+            filter: i => i.customId === modalId && i.user.id === interaction.user.id,
+            time: 300000 // 5 minutes
+        });
+    } catch (error) {
+        if (error.code === 'InteractionCollectorError') {
+            console.log('XP decay modal timed out');
+            return;
+        }
+        throw error;
+    }
+
+    const parsed = parseDecaySubmission(submission);
+
+    if (parsed.error) {
+        return await submission.reply({
+            content: parsed.error,
+            ephemeral: true
+        });
+    }
+
+    // Saving the editor turns decay on
+    const updated = { ...getSavedDecaySettings(guildId), ...parsed.settings, enabled: true };
+    await db.updateGuildSetting(guildId, 'xp_decay', updated, interaction.user.id);
+
+    await submission.reply({ embeds: [buildDecayEmbed(guildId, 'Inactivity XP Decay Updated')] });
+}
+
+// Validate the decay modal fields
+function parseDecaySubmission(submission) {
+    const inactiveDays = Number(submission.fields.getTextInputValue('inactive_days'));
+    const percentPerDay = Number(submission.fields.getTextInputValue('percent_per_day'));
+    const floorLevel = Number(submission.fields.getTextInputValue('floor_level'));
+    const warningDays = Number(submission.fields.getTextInputValue('warning_days'));
+
+    if (!Number.isInteger(inactiveDays) || inactiveDays < 1 || inactiveDays > 365) {
+        return { error: 'Days before decay starts must be a whole number between 1 and 365.' };
+    }
+
+    if (!Number.isFinite(percentPerDay) || percentPerDay <= 0 || percentPerDay > 50) {
+        return { error: 'The daily percentage must be more than 0 and at most 50.' };
+    }
+
+    if (!Number.isInteger(floorLevel) || floorLevel < 0) {
+        return { error: 'The lowest level must be a whole number (0 lets members decay all the way).' };
+    }
+
+    if (!Number.isInteger(warningDays) || warningDays < 0 || warningDays >= inactiveDays) {
+        return { error: 'Warning days must be a whole number less than the days before decay starts.' };
+    }
+
+    return {
+        settings: {
+            inactiveDays,
+            percentPerDay,
+            floorLevel,
+            warningDays
+        }
+    };
+}
+
+// Build an embed describing the decay policy
+function buildDecayEmbed(guildId, title) {
+    const settings = getDecaySettings(db, guildId);
+
+    return new EmbedBuilder()
+        .setColor(settings.enabled ? '#00ff00' : '#808080')
+        .setTitle(title)
+        .setDescription('Members who stop earning XP lose some of it each day until they\'re active again. ' +
+            'Reward roles above their new level are removed.')
+        .addFields(
+            { name: 'Decay', value: settings.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+            { name: 'Starts After', value: `${settings.inactiveDays} day${settings.inactiveDays === 1 ? '' : 's'} inactive`, inline: true },
+            { name: 'Daily Loss', value: `${settings.percentPerDay}% of XP`, inline: true },
+            { name: 'Lowest Level', value: settings.floorLevel > 0 ? `Level ${settings.floorLevel}` : 'None', inline: true },
+            { name: 'DM Warning', value: settings.warningDays > 0 ? `${settings.warningDays} day${settings.warningDays === 1 ? '' : 's'} before` : 'Off', inline: true }
+        )
+        .setFooter({ text: 'Server Settings • Use /syssetup feature:decay action:edit to change the policy' })
+        .setTimestamp();
+}
+
+// Handle XPCurve setup
+async function handleXPCurveSetup(interaction, guildId) {
+    const action = interaction.options.getString('action') || 'preview';
+
+    try {
+        switch (action) {
+            case 'edit':
+                return await showXPCurveModal(interaction, guildId);
+
+            case 'preview':
+                return await interaction.reply({
+                    embeds: [buildXPCurveEmbed(guildId, db.getXPCurve(guildId), 'XP Curve Preview')]
+                });
+
+            case 'reset': {
+                db.deleteGuildSetting(guildId, 'xp_curve', interaction.user.id);
+                const recalculated = db.recalculateGuildLevels(guildId);
+
+                // Fetching members who lost levels can take a while
+                await interaction.deferReply();
+                const rolesRevoked = await revokeLoweredRewards(interaction, guildId, recalculated.lowered);
+
+                const embed = buildXPCurveEmbed(guildId, db.getXPCurve(guildId), 'XP Curve Reset')
+                    .setDescription(`This server now uses the default XP curve.\n${recalculated.updated} of ${recalculated.total} users had their level recalculated.` +
+                        formatRolesRevoked(rolesRevoked));
+
+                return await interaction.editReply({ embeds: [embed] });
+            }
+
+            default:
+                return await interaction.reply({
+                    content: 'Invalid action. Please use edit, preview, or reset.',
+                    ephemeral: true
+                });
+        }
+    } catch (error) {
+        console.error('Error in XP curve setup:', error);
+
+        if (interaction.deferred) {
+            await interaction.editReply({ content: 'There was an error updating the XP curve.' });
+        } else if (!interaction.replied) {
+            await interaction.reply({
+                content: 'There was an error updating the XP curve.',
+                ephemeral: true
+            });
+        }
+    }
+}
+
+// Show the XP curve editor modal and save the submitted curve
+async function showXPCurveModal(interaction, guildId) {
+    const curve = db.getXPCurve(guildId);
+    const modalId = `xpcurve_modal_${guildId}_${interaction.user.id}`;
+
+    // Format thresholds as "level:xp" pairs, one per line
+    const thresholdsText = curve.useCustomThresholds && curve.customLevelThresholds
+        ? Object.entries(curve.customLevelThresholds)
+            .sort((a, b) => Number(a[0]) - Number(b[0]))
+            .map(([level, xp]) => `${level}:${xp}`)
+            .join('\n')
+        : '';
+
+    const modal = new ModalBuilder()
+        .setCustomId(modalId)
+        .setTitle('Edit XP Curve');
+
+    const baseXPInput = new TextInputBuilder()
+        .setCustomId('base_xp')
+        .setLabel('Formula base XP (baseXP * level^curve)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(curve.baseXP))
+        .setRequired(true);
+
+    const curveInput = new TextInputBuilder()
+        .setCustomId('curve')
+        .setLabel('Formula curve exponent')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(curve.curve))
+        .setRequired(true);
+
+    const maxLevelInput = new TextInputBuilder()
+        .setCustomId('max_level')
+        .setLabel('Maximum level')
+        .setStyle(TextInputStyle.Short)
+        .setValue(String(curve.maxLevel))
+        .setRequired(true);
+
+    const thresholdsInput = new TextInputBuilder()
+        .setCustomId('thresholds')
+        .setLabel('Custom thresholds (level:xp, blank = formula)')
+        .setPlaceholder('1:5\n10:1000\n20:5000')
+        .setStyle(TextInputStyle.Paragraph)
+        .setRequired(false);
+
+    if (thresholdsText) {
+        thresholdsInput.setValue(thresholdsText);
+    }
+
+    const interpolateInput = new TextInputBuilder()
+        .setCustomId('interpolate')
+        .setLabel('Interpolate between thresholds? (yes/no)')
+        .setStyle(TextInputStyle.Short)
+        .setValue(curve.interpolateXP ? 'yes' : 'no')
+        .setRequired(true);
+
+    modal.addComponents(
+        new ActionRowBuilder().addComponents(baseXPInput),
+        new ActionRowBuilder().addComponents(curveInput),
+        new ActionRowBuilder().addComponents(maxLevelInput),
+        new ActionRowBuilder().addComponents(thresholdsInput),
+        new ActionRowBuilder().addComponents(interpolateInput)
+    );
+
+    await interaction.showModal(modal);
+
+    let submission;
+    try {
+        submission = await interaction.awaitModalSubmit({
+            filter: i => i.customId === modalId && i.user.id === interaction.user.id,
+            time: 300000 // 5 minutes
+        });
+    } catch (error) {
+        if (error.code === 'InteractionCollectorError') {
+            console.log('XP curve modal timed out');
+            return;
+        }
+        throw error;
+    }
+
+    const parsed = parseXPCurveSubmission(submission);
+
+    if (parsed.error) {
+        return await submission.reply({
+            content: parsed.error,
+            ephemeral: true
+        });
+    }
+
+    await db.updateGuildSetting(guildId, 'xp_curve', parsed.curve, interaction.user.id);
+    const recalculated = db.recalculateGuildLevels(guildId);
+
+    await submission.deferReply();
+    const rolesRevoked = await revokeLoweredRewards(submission, guildId, recalculated.lowered);
+
+    const embed = buildXPCurveEmbed(guildId, db.getXPCurve(guildId), 'XP Curve Updated')
+        .setDescription(`The XP curve for this server has been updated.\n${recalculated.updated} of ${recalculated.total} users had their level recalculated.` +
+            formatRolesRevoked(rolesRevoked));
+
+    await submission.editReply({ embeds: [embed] });
+}
+
+// Remove reward roles above the new level from members whose level dropped after a curve change
+async function revokeLoweredRewards(interaction, guildId, lowered) {
+    const levelUpService = interaction.client.levelUpService;
+    if (!levelUpService || lowered.length === 0) return 0;
+
+    let rolesRevoked = 0;
+    for (const user of lowered) {
+        const member = await interaction.guild.members.fetch(user.userId).catch(() => null);
+        if (member) {
+            rolesRevoked += (await levelUpService.revokeRewards(interaction.guild, member, user.newLevel)).length;
+        }
+    }
+
+    return rolesRevoked;
+}
+
+// Note how many reward roles a curve change removed
+function formatRolesRevoked(rolesRevoked) {
+    return rolesRevoked > 0 ? `\nRemoved ${rolesRevoked} reward role${rolesRevoked === 1 ? '' : 's'} above members' new levels.` : '';
+}
+
+// Validate the XP curve modal fields
+function parseXPCurveSubmission(submission) {
+    const baseXP = Number(submission.fields.getTextInputValue('base_xp'));
+    const curveExponent = Number(submission.fields.getTextInputValue('curve'));
+    const maxLevel = Number(submission.fields.getTextInputValue('max_level'));
+    const thresholdsText = (submission.fields.getTextInputValue('thresholds') || '').trim();
+    const interpolateText = submission.fields.getTextInputValue('interpolate').trim().toLowerCase();
+
+    if (!Number.isFinite(baseXP) || baseXP <= 0) {
+        return { error: 'Base XP must be a number greater than 0.' };
+    }
+
+    if (!Number.isFinite(curveExponent) || curveExponent <= 0) {
+        return { error: 'Curve exponent must be a number greater than 0.' };
+    }
+
+    if (!Number.isInteger(maxLevel) || maxLevel < 1 || maxLevel > 1000) {
+        return { error: 'Maximum level must be a whole number between 1 and 1000.' };
+    }
+
+    if (!['yes', 'no', 'true', 'false'].includes(interpolateText)) {
+        return { error: 'Interpolation must be "yes" or "no".' };
+    }
+
+    // Parse "level:xp" pairs separated by commas or new lines
+    const thresholds = {};
+    if (thresholdsText) {
+        const pairs = thresholdsText.split(/[\n,]+/).map(p => p.trim()).filter(Boolean);
+
+        for (const pair of pairs) {
+            const match = pair.match(/^(\d+)\s*:\s*(\d+)$/);
+            if (!match) {
+                return { error: `Invalid threshold \`${pair}\`. Use the format level:xp (e.g. 10:1000).` };
+            }
+
+            const level = parseInt(match[1], 10);
+            if (level < 1 || level > maxLevel) {
+                return { error: `Threshold level ${level} must be between 1 and the maximum level (${maxLevel}).` };
+            }
+
+            thresholds[level] = parseInt(match[2], 10);
+        }
+
+        // XP requirements must never go down as levels go up
+        const sorted = Object.entries(thresholds).sort((a, b) => Number(a[0]) - Number(b[0]));
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i][1] < sorted[i - 1][1]) {
+                return { error: `Level ${sorted[i][0]} requires less XP than level ${sorted[i - 1][0]}.` };
+            }
+        }
+    }
+
+    return {
+        curve: {
+            baseXP,
+            curve: curveExponent,
+            maxLevel,
+            useCustomThresholds: Object.keys(thresholds).length > 0,
+            customLevelThresholds: thresholds,
+            interpolateXP: interpolateText === 'yes' || interpolateText === 'true'
+        }
+    };
+}
+
+// Build an embed describing an XP curve with sample level requirements
+function buildXPCurveEmbed(guildId, curve, title) {
+    const sampleLevels = [...new Set([1, 2, 5, 10, 25, 50, 75, curve.maxLevel])]
+        .filter(level => level <= curve.maxLevel)
+        .sort((a, b) => a - b);
+
+    const previewText = sampleLevels
+        .map(level => `Level ${level}: ${Math.round(db.xpForLevel(level, guildId))} XP`)
+        .join('\n');
+
+    const thresholdCount = curve.useCustomThresholds && curve.customLevelThresholds
+        ? Object.keys(curve.customLevelThresholds).length
+        : 0;
+
+    return new EmbedBuilder()
+        .setColor('#00ff00')
+        .setTitle(title)
+        .addFields(
+            {
+                name: 'Formula',
+                value: `${curve.baseXP} * level^${curve.curve}`,
+                inline: true
+            },
+            {
+                name: 'Maximum Level',
+                value: `${curve.maxLevel}`,
+                inline: true
+            },
+            {
+                name: 'Custom Thresholds',
+                value: thresholdCount > 0
+                    ? `${thresholdCount} defined (interpolation ${curve.interpolateXP ? 'on' : 'off'})`
+                    : 'None (formula only)',
+                inline: true
+            },
+            {
+                name: 'Total XP Required',
+                value: previewText
+            }
+        )
+        .setFooter({ text: 'Server Settings • Use /syssetup feature:xpcurve action:edit to change the curve' })
+        .setTimestamp();
+}
+
 module.exports = {
     definitions: commandDefinitions,
     handlers: commandHandlers,
@@ -49,6 +49,8 @@ module.exports = {
     // XP system configuration
     xp: {
         cooldown: 60000, // Cooldown in milliseconds between XP rewards (default: 1 minute)
+        cooldownSweepInterval: 300000, // How often expired cooldowns are cleaned up (ms)
+        cooldownMaxEntries: 100000,    // Maximum cooldowns kept in memory before the oldest are dropped
         min: 15,         // Minimum XP per message
         max: 25,         // Maximum XP per message
         baseXP: 100,     // Base XP required for level 1 (used for formula fallback)
@@ -86,6 +88,87 @@ module.exports = {
             // Role ID given to users who have sacrificed (leave empty if none)
             sacrificeRoleId: "",  // Add a role ID if you want to give a special role
             // The number of times a user has sacrificed is tracked in the database
+            maxPrestige: 0,       // Most times a user can sacrifice (0 = no limit)
+            confirmWindow: 120000, // How long the Confirm button works after /level-sacrifice (ms)
+            // Prestige tiers reached at a number of sacrifices (servers change them with /syssetup feature:prestige)
+            // Format: { sacrifices: { multiplier, roleId, badge } }
+            tiers: {
+                1: { multiplier: 1.05, roleId: null, badge: '🦊' },
+                3: { multiplier: 1.1, roleId: null, badge: '🔥' },
+                5: { multiplier: 1.25, roleId: null, badge: '👑' }
+            }
+        },
+
+        // Voice channel XP (servers opt in with /syssetup feature:voicexp)
+        voice: {
+            enabled: false,         // Default for servers that haven't configured voice XP
+            xpPerMinute: 5,         // XP earned for each minute spent in a voice channel
+            minMembers: 2,          // Minimum non-bot members in the channel to earn XP
+            excludeMuted: true,     // Muted or deafened members don't earn XP
+            excludeAfk: true,       // Members in the server's AFK channel don't earn XP
+            checkInterval: 60000    // How often voice sessions are checked (ms)
+        },
+
+        // Scheduled XP boost events (admins schedule them with /sysevent)
+        events: {
+            checkInterval: 60000,   // How often events are checked for starting or ending (ms)
+            maxMultiplier: 10,      // Highest multiplier an event can use
+            maxScheduled: 25        // Maximum scheduled events per server
+        },
+
+        // Message quality filter (servers configure it with /syssetup feature:quality)
+        qualityFilter: {
+            enabled: false,          // Default for servers that haven't configured the filter
+            minLength: 5,            // Minimum characters, ignoring emoji, mentions, links and repeated letters
+            minWords: 2,             // Minimum distinct words
+            duplicateWindow: 600,    // Seconds a message is compared against a user's recent messages (0 = off)
+            duplicateThreshold: 0.8, // Similarity (0-1) at which a message counts as a near-duplicate
+            historySize: 5,          // Recent messages remembered per user for duplicate checks
+            dailyCap: 0,             // Maximum message XP per user per day (0 = no cap)
+            minAccountAgeDays: 0,    // Minimum Discord account age to earn XP
+            minMemberAgeDays: 0,     // Minimum time in the server to earn XP
+            sweepInterval: 600000    // How often old message history is cleaned up (ms)
+        },
+
+        // Engagement XP for reactions, replies and threads (servers opt in with /syssetup feature:engagement)
+        engagement: {
+            enabled: false,             // Default for servers that haven't configured engagement XP
+            reactions: { xp: 2, dailyCap: 40 },  // XP per reaction received, and the most a user can earn per day
+            replies: { xp: 5, dailyCap: 50 },    // XP per reply received
+            threads: { xp: 10, dailyCap: 50 },   // XP per new participant in a thread the user started
+            pairDailyLimit: 3,          // Times one member can give another engagement XP per day
+            maxMessageAgeHours: 24,     // Reactions and replies to older messages don't earn XP
+            maxThreadParticipants: 10   // Participants per thread that earn the starter XP
+        },
+
+        // Daily activity streaks (servers opt in with /syssetup feature:streaks)
+        streaks: {
+            enabled: false,     // Default for servers that haven't configured streaks
+            graceDays: 0,       // Missed days allowed without breaking a streak
+            // Bonus XP and optional role granted when a streak reaches a milestone
+            // Format: { days: { xp, roleId } }
+            milestones: {
+                7: { xp: 100, roleId: null },
+                30: { xp: 500, roleId: null },
+                100: { xp: 2000, roleId: null }
+            }
+        },
+
+        // Inactivity XP decay (servers opt in with /syssetup feature:decay)
+        decay: {
+            enabled: false,         // Default for servers that haven't configured decay
+            inactiveDays: 30,       // Days without earning XP before decay starts
+            percentPerDay: 2,       // Percentage of XP lost for each day of decay
+            floorLevel: 5,          // Decay never takes members below this level
+            warningDays: 3,         // Days before decay starts that members are warned by DM (0 = no warning)
+            checkInterval: 3600000  // How often to check whether today's decay has run (ms)
+        },
+
+        // XP ledger recording every XP change (moderators inspect and roll it back with /xpledger)
+        ledger: {
+            retentionDays: 90,      // Default days entries are kept for servers that haven't set their own (0 = forever)
+            maxRetentionDays: 365,  // Longest retention a server can choose
+            pruneInterval: 3600000  // How often old entries are deleted (ms)
         },
 
         // Level up notification options
@@ -95,6 +178,10 @@ module.exports = {
             dm: false,              // Whether to send level up messages via DM instead of in the channel
             pingUser: true,         // Whether to ping the user in level up messages
 
+            // How reward roles stack: 'stack' keeps every tier reached, 'highest' keeps only the top one
+            // (servers choose with /syssetup feature:levelrewards mode:...)
+            rewardStacking: 'stack',
+
             // Custom level rewards (role IDs assigned at specific levels)
             // Format: { level: "roleId" }
             rewards: {
@@ -107,6 +194,16 @@ module.exports = {
     leaderboard: {
         pageSize: 10,         // Number of users per leaderboard page
         showGlobalRank: true, // Show user's global rank position in /level command
+        periodWinners: 3,     // Top members archived when a daily, weekly or monthly leaderboard resets
+        periodCheckInterval: 600000, // How often ended leaderboard periods are rolled over (ms)
+
+        // Digest posted when a leaderboard period ends (servers opt in with /syssetup feature:digest)
+        digest: {
+            enabled: false,         // Default for servers that haven't configured the digest
+            frequency: 'weekly',    // 'daily', 'weekly' or 'monthly'
+            topCount: 5,            // Members shown in each section
+            maxTopCount: 10         // Most members a server can show in each section
+        }
     },
 
     // Progress bar configuration
@@ -1,11 +1,35 @@
 // SQLite database implementation for the leveling system with guild-specific tables
 const Database = require('better-sqlite3');
+const EventEmitter = require('events');
 const fs = require('fs');
 const path = require('path');
 const config = require('./config');
+const { migrations, LATEST_SCHEMA_VERSION } = require('./migrations');
+const { TRACKED_PERIODS, getPeriodStart } = require('./leaderboardPeriods');
+
+// ORDER BY clauses for each leaderboard sort (user_id keeps ties in a stable order)
+const LEADERBOARD_ORDER = {
+    xp: 'u.xp DESC, u.user_id ASC',
+    level: 'u.level DESC, u.xp DESC, u.user_id ASC',
+    sacrifices: 'u.sacrifices DESC, u.xp DESC, u.user_id ASC'
+};
+
+// ORDER BY clauses for the global leaderboard (levels come from total XP, so level sorts by XP)
+const GLOBAL_LEADERBOARD_ORDER = {
+    xp: 't.xp DESC, t.user_id ASC',
+    level: 't.xp DESC, t.user_id ASC',
+    sacrifices: 't.sacrifices DESC, t.xp DESC, t.user_id ASC'
+};
+
+// Whole days between two UTC dates (YYYY-MM-DD)
+function getDaysBetween(fromDay, toDay) {
+    return Math.round((Date.parse(toDay) - Date.parse(fromDay)) / (24 * 60 * 60 * 1000));
+}
 
-class LevelingDatabase {
+class LevelingDatabase extends EventEmitter {
     constructor() {
+        super();
+
         this.config = config.database.sqlite;
         this.db = null;
         this.saveInterval = null;
@@ -44,6 +68,9 @@ class LevelingDatabase {
             // Create core tables
             this.createCoreTables();
 
+            // Bring existing tables up to the current schema
+            this.runMigrations();
+
             // Setup auto-save interval for WAL mode
             this.setupAutoSave();
 
@@ -156,6 +183,12 @@ class LevelingDatabase {
                 return;
             }
 
+            // Guilds that already have tables were migrated at startup
+            const isNewGuild = !this.db.prepare(`
+                SELECT name FROM sqlite_master
+                WHERE type = 'table' AND name = ?
+            `).get(`users_${guildId}`);
+
             // Create settings table for guild
             this.db.exec(`
                 CREATE TABLE IF NOT EXISTS settings_${guildId} (
@@ -187,6 +220,11 @@ class LevelingDatabase {
                 CREATE INDEX IF NOT EXISTS idx_${guildId}_users_level ON users_${guildId}(level DESC);
             `);
 
+            // New guild tables start at the base schema, so apply every guild migration
+            if (isNewGuild) {
+                this.applyGuildMigrations(guildId);
+            }
+
             // Add to cache so we don't check again
             this.guildTablesCache.set(guildId, true);
 
@@ -324,9 +362,10 @@ class LevelingDatabase {
      * @param {string} guildId - Guild ID
      * @param {string} settingKey - Setting key
      * @param {any} settingValue - Setting value
+     * @param {string|null} actorId - User who made the change (recorded in the audit log)
      * @returns {object} Result object
      */
-    async updateGuildSetting(guildId, settingKey, settingValue) {
+    async updateGuildSetting(guildId, settingKey, settingValue, actorId = null) {
         try {
 
             // Handle global settings specially
@@ -373,37 +412,17 @@ class LevelingDatabase {
             }
 
             // Regular guild setting
-            // Validate the guild ID
-            if (!/^\d+$/.test(guildId)) {
-                console.warn(`Invalid guild ID format in updateGuildSetting: ${guildId}`);
-                throw new Error(`Invalid guild ID format: ${guildId}`);
-            }
-
-            // Ensure guild tables exist
-            this.ensureGuildTables(guildId);
-
-            const now = Date.now();
-
-            // Convert objects or arrays to JSON strings
-            if (typeof settingValue === 'object' && settingValue !== null) {
-                settingValue = JSON.stringify(settingValue);
+            const { before, after } = this.storeGuildSetting(guildId, settingKey, settingValue);
+            if (before !== after) {
+                this.addAuditEntry(guildId, {
+                    actorId,
+                    action: 'setting.update',
+                    target: settingKey,
+                    before,
+                    after
+                });
             }
 
-            // Convert booleans to strings
-            if (typeof settingValue === 'boolean') {
-                settingValue = settingValue.toString();
-            }
-
-            const stmt = this.db.prepare(`
-                INSERT INTO settings_${guildId} (setting_key, setting_value, created_at, updated_at)
-                VALUES (?, ?, ?, ?)
-                ON CONFLICT(setting_key) DO UPDATE SET
-                setting_value = excluded.setting_value,
-                updated_at = excluded.updated_at
-            `);
-
-            stmt.run(settingKey, settingValue, now, now);
-
             return {
                 success: true,
                 guildId,
@@ -416,6 +435,54 @@ class LevelingDatabase {
         }
     }
 
+    /**
+     * Write a guild setting without recording it in the audit log
+     * Used directly for state the bot keeps for itself (report records, scheduler and digest state)
+     * @param {string} guildId - Guild ID
+     * @param {string} settingKey - Setting key
+     * @param {any} settingValue - Setting value
+     * @returns {object} Stored value before and after the write ({ before, after })
+     */
+    storeGuildSetting(guildId, settingKey, settingValue) {
+        // Validate the guild ID
+        if (!/^\d+$/.test(guildId)) {
+            console.warn(`Invalid guild ID format in storeGuildSetting: ${guildId}`);
+            throw new Error(`Invalid guild ID format: ${guildId}`);
+        }
+
+        // Ensure guild tables exist
+        this.ensureGuildTables(guildId);
+
+        const now = Date.now();
+
+        // Convert objects or arrays to JSON strings
+        if (typeof settingValue === 'object' && settingValue !== null) {
+            settingValue = JSON.stringify(settingValue);
+        }
+
+        // Convert booleans to strings
+        if (typeof settingValue === 'boolean') {
+            settingValue = settingValue.toString();
+        }
+
+        const previous = this.db.prepare(`SELECT setting_value FROM settings_${guildId} WHERE setting_key = ?`).get(settingKey);
+
+        const stmt = this.db.prepare(`
+            INSERT INTO settings_${guildId} (setting_key, setting_value, created_at, updated_at)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(setting_key) DO UPDATE SET
+            setting_value = excluded.setting_value,
+            updated_at = excluded.updated_at
+        `);
+
+        stmt.run(settingKey, settingValue, now, now);
+
+        return {
+            before: previous ? previous.setting_value : null,
+            after: settingValue === null || settingValue === undefined ? null : String(settingValue)
+        };
+    }
+
     /**
      * Get all settings for a guild
      * @param {string} guildId - Guild ID
@@ -461,16 +528,29 @@ class LevelingDatabase {
      * Delete a guild setting
      * @param {string} guildId - Guild ID
      * @param {string} settingKey - Setting key
+     * @param {string|null} actorId - User who made the change (recorded in the audit log)
      * @returns {object} Result object
      */
-    deleteGuildSetting(guildId, settingKey) {
+    deleteGuildSetting(guildId, settingKey, actorId = null) {
         try {
             // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
+            const previous = this.db.prepare(`SELECT setting_value FROM settings_${guildId} WHERE setting_key = ?`).get(settingKey);
+
             const stmt = this.db.prepare(`DELETE FROM settings_${guildId} WHERE setting_key = ?`);
             const result = stmt.run(settingKey);
 
+            if (result.changes > 0) {
+                this.addAuditEntry(guildId, {
+                    actorId,
+                    action: 'setting.delete',
+                    target: settingKey,
+                    before: previous ? previous.setting_value : null,
+                    after: null
+                });
+            }
+
             return {
                 success: result.changes > 0,
                 guildId,
@@ -482,6 +562,344 @@ class LevelingDatabase {
         }
     }
 
+    /**
+     * Record an entry in the guild's audit log and emit an 'audit' event
+     * @param {string} guildId - Guild ID
+     * @param {object} entry - Audit entry
+     * @param {string|null} entry.actorId - User who performed the action
+     * @param {string} entry.action - Action name, namespaced by category (e.g. 'setting.update', 'xp.give')
+     * @param {string|null} entry.target - User ID or setting key the action applied to
+     * @param {any} entry.before - Value before the change
+     * @param {any} entry.after - Value after the change
+     * @param {any} entry.details - Extra context such as a reason
+     * @returns {object|null} The stored entry, or null if it could not be recorded
+     */
+    addAuditEntry(guildId, { actorId = null, action, target = null, before = null, after = null, details = null }) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Store everything as text so values of any type can be compared later
+            const serialize = value => {
+                if (value === null || value === undefined) return null;
+                if (typeof value === 'object') return JSON.stringify(value);
+                return String(value);
+            };
+
+            const entry = {
+                actorId,
+                action,
+                target,
+                before: serialize(before),
+                after: serialize(after),
+                details: serialize(details),
+                createdAt: Date.now()
+            };
+
+            const stmt = this.db.prepare(`
+                INSERT INTO audit_${guildId} (actor_id, action, target, before_value, after_value, details, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `);
+
+            const result = stmt.run(entry.actorId, entry.action, entry.target, entry.before, entry.after, entry.details, entry.createdAt);
+            entry.id = result.lastInsertRowid;
+
+            this.emit('audit', guildId, entry);
+
+            return entry;
+        } catch (error) {
+            // Auditing should never break the change being audited
+            console.error(`Error recording audit entry ${action} for guild ${guildId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get a page of the guild's audit log, newest first
+     * @param {string} guildId - Guild ID
+     * @param {object} options - Paging and filter options
+     * @param {number} options.page - Page number
+     * @param {number} options.pageSize - Entries per page
+     * @param {string|null} options.category - Only include actions in this category (e.g. 'setting', 'xp')
+     * @param {string|null} options.userId - Only include entries where this user is the actor or target
+     * @returns {object} Audit entries and paging information
+     */
+    getAuditEntries(guildId, { page = 1, pageSize = 10, category = null, userId = null } = {}) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const conditions = [];
+            const params = [];
+
+            if (category) {
+                conditions.push('action LIKE ?');
+                params.push(`${category}.%`);
+            }
+
+            if (userId) {
+                conditions.push('(actor_id = ? OR target = ?)');
+                params.push(userId, userId);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const { count } = this.db.prepare(`
+                SELECT COUNT(*) as count
+                FROM audit_${guildId}
+                ${where}
+            `).get(...params);
+
+            const rows = this.db.prepare(`
+                SELECT *
+                FROM audit_${guildId}
+                ${where}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `).all(...params, pageSize, (page - 1) * pageSize);
+
+            return {
+                entries: rows.map(row => ({
+                    id: row.id,
+                    actorId: row.actor_id,
+                    action: row.action,
+                    target: row.target,
+                    before: row.before_value,
+                    after: row.after_value,
+                    details: row.details,
+                    createdAt: row.created_at
+                })),
+                currentPage: page,
+                totalPages: Math.ceil(count / pageSize),
+                totalEntries: count
+            };
+        } catch (error) {
+            console.error(`Error getting audit entries for guild ${guildId}:`, error);
+            return { entries: [], currentPage: page, totalPages: 0, totalEntries: 0 };
+        }
+    }
+
+    /**
+     * Append an entry to a guild's XP ledger
+     * Call inside the transaction that changes the user's balance
+     * @param {string} guildId - Guild ID
+     * @param {object} entry - Ledger entry
+     * @param {string} entry.userId - User whose XP changed
+     * @param {number} entry.amount - XP added (negative when removed)
+     * @param {string} entry.source - Where the change came from
+     * @param {string|null} entry.channelId - Channel the XP was earned in
+     * @param {string|null} entry.actorId - Staff member who made the change
+     * @param {number} createdAt - When the change happened
+     */
+    recordXPEvent(guildId, { userId, amount, source, channelId = null, actorId = null }, createdAt = Date.now()) {
+        this.db.prepare(`
+            INSERT INTO xp_events_${guildId} (user_id, amount, source, channel_id, actor_id, created_at)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(userId, amount, source, channelId, actorId, createdAt);
+    }
+
+    /**
+     * Get a page of a guild's XP ledger, newest first
+     * @param {string} guildId - Guild ID
+     * @param {object} options - Paging and filter options
+     * @param {number} options.page - Page number
+     * @param {number} options.pageSize - Entries per page
+     * @param {string|null} options.userId - Only include this user's entries
+     * @param {string|null} options.source - Only include entries from this source
+     * @returns {object} Ledger entries and paging information
+     */
+    getXPLedger(guildId, { page = 1, pageSize = 10, userId = null, source = null } = {}) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const conditions = [];
+            const params = [];
+
+            if (userId) {
+                conditions.push('user_id = ?');
+                params.push(userId);
+            }
+
+            if (source) {
+                conditions.push('source = ?');
+                params.push(source);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const { count } = this.db.prepare(`
+                SELECT COUNT(*) as count
+                FROM xp_events_${guildId}
+                ${where}
+            `).get(...params);
+
+            const rows = this.db.prepare(`
+                SELECT *
+                FROM xp_events_${guildId}
+                ${where}
+                ORDER BY created_at DESC, id DESC
+                LIMIT ? OFFSET ?
+            `).all(...params, pageSize, (page - 1) * pageSize);
+
+            return {
+                entries: rows.map(row => ({
+                    id: row.id,
+                    userId: row.user_id,
+                    amount: row.amount,
+                    source: row.source,
+                    channelId: row.channel_id,
+                    actorId: row.actor_id,
+                    rolledBack: row.rolled_back === 1,
+                    createdAt: row.created_at
+                })),
+                currentPage: page,
+                totalPages: Math.ceil(count / pageSize),
+                totalEntries: count
+            };
+        } catch (error) {
+            console.error(`Error getting XP ledger for guild ${guildId}:`, error);
+            return { entries: [], currentPage: page, totalPages: 0, totalEntries: 0 };
+        }
+    }
+
+    /**
+     * Total the earned XP in a time window that a rollback would remove, per user
+     * Staff changes and earlier rollbacks are never rolled back
+     * @param {string} guildId - Guild ID
+     * @param {object} window - Rollback window
+     * @param {number} window.since - Start of the window (inclusive)
+     * @param {number} window.until - End of the window (inclusive)
+     * @param {string|null} window.userId - Only include this user's grants
+     * @returns {Array} Users ({ userId, xp, grants }), most XP first
+     */
+    getRollbackCandidates(guildId, { since, until, userId = null }) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            return this.db.prepare(`
+                SELECT user_id, SUM(amount) AS xp, COUNT(*) AS grants
+                FROM xp_events_${guildId}
+                WHERE created_at >= ? AND created_at <= ?
+                AND amount > 0 AND rolled_back = 0
+                AND source NOT IN ('admin', 'rollback')
+                ${userId ? 'AND user_id = ?' : ''}
+                GROUP BY user_id
+                ORDER BY xp DESC
+            `).all(...[since, until, userId].filter(value => value !== null))
+                .map(row => ({ userId: row.user_id, xp: row.xp, grants: row.grants }));
+        } catch (error) {
+            console.error(`Error getting rollback candidates for guild ${guildId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Take back the XP earned in a time window (e.g. after a spam raid)
+     * Rolled back grants are marked so running the same rollback again changes nothing
+     * @param {string} guildId - Guild ID
+     * @param {object} window - Rollback window (see getRollbackCandidates)
+     * @param {string|null} actorId - Staff member running the rollback
+     * @returns {Array} Per-user results ({ userId, removed, oldXP, newXP, oldLevel, newLevel })
+     */
+    rollbackXPGrants(guildId, { since, until, userId = null }, actorId = null) {
+        try {
+            const now = Date.now();
+
+            const getUserStmt = this.db.prepare(`
+                SELECT xp, level FROM users_${guildId} WHERE user_id = ?
+            `);
+
+            const updateUserStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET xp = ?, level = ?, updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            const getGrantsStmt = this.db.prepare(`
+                SELECT amount, created_at
+                FROM xp_events_${guildId}
+                WHERE created_at >= ? AND created_at <= ?
+                AND amount > 0 AND rolled_back = 0
+                AND source NOT IN ('admin', 'rollback')
+                AND user_id = ?
+            `);
+
+            const markStmt = this.db.prepare(`
+                UPDATE xp_events_${guildId}
+                SET rolled_back = 1
+                WHERE created_at >= ? AND created_at <= ?
+                AND amount > 0 AND rolled_back = 0
+                AND source NOT IN ('admin', 'rollback')
+                AND user_id = ?
+            `);
+
+            const transaction = this.db.transaction(() => {
+                const results = [];
+
+                for (const candidate of this.getRollbackCandidates(guildId, { since, until, userId })) {
+                    const user = getUserStmt.get(candidate.userId);
+                    if (!user) continue;
+
+                    const newXP = Math.max(0, user.xp - candidate.xp);
+                    const newLevel = this.calculateLevel(newXP, guildId);
+
+                    updateUserStmt.run(newXP, newLevel, now, candidate.userId);
+
+                    // Take the grants back off the period leaderboards they were counted on
+                    for (const grant of getGrantsStmt.all(since, until, candidate.userId)) {
+                        this.recordPeriodXP(guildId, candidate.userId, -grant.amount, grant.created_at);
+                    }
+
+                    markStmt.run(since, until, candidate.userId);
+
+                    if (newXP !== user.xp) {
+                        this.recordXPEvent(guildId, {
+                            userId: candidate.userId,
+                            amount: newXP - user.xp,
+                            source: 'rollback',
+                            actorId
+                        }, now);
+                    }
+
+                    results.push({
+                        userId: candidate.userId,
+                        removed: user.xp - newXP,
+                        oldXP: user.xp,
+                        newXP,
+                        oldLevel: user.level,
+                        newLevel
+                    });
+                }
+
+                return results;
+            });
+
+            return transaction();
+        } catch (error) {
+            console.error(`Error rolling back XP in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete XP ledger entries older than a time
+     * @param {string} guildId - Guild ID
+     * @param {number} before - Entries created before this time are deleted
+     * @returns {number} Number of entries deleted
+     */
+    pruneXPEvents(guildId, before) {
+        try {
+            return this.db.prepare(`
+                DELETE FROM xp_events_${guildId} WHERE created_at < ?
+            `).run(before).changes;
+        } catch (error) {
+            console.error(`Error pruning XP ledger for guild ${guildId}:`, error);
+            return 0;
+        }
+    }
+
     /**
      * Ensure a user exists in the global user table
      * @param {string} userId - User ID
@@ -621,13 +1039,18 @@ class LevelingDatabase {
     }
 
     /**
-     * Add XP to user and update level
+     * Add XP to user and update level (a negative amount can lower the level)
+     * The grant is recorded in the guild's XP ledger in the same transaction
      * @param {string} userId - User ID
      * @param {number} xpAmount - Amount of XP to add
      * @param {string} guildId - Guild ID
-     * @returns {object} Result with level up information
+     * @param {object} origin - Where the XP came from
+     * @param {string} origin.source - Ledger source (e.g. 'message', 'voice', 'engagement', 'streak')
+     * @param {string|null} origin.channelId - Channel the XP was earned in
+     * @param {string|null} origin.actorId - Staff member who granted it, if any
+     * @returns {object} Result with level up/down information
      */
-    addXP(userId, xpAmount, guildId) {
+    addXP(userId, xpAmount, guildId, { source = 'message', channelId = null, actorId = null } = {}) {
         try {
             // Ensure the user exists first
             this.ensureGuildUser(userId, guildId);
@@ -637,7 +1060,7 @@ class LevelingDatabase {
             // Prepare statements
             const updateXPStmt = this.db.prepare(`
                 UPDATE users_${guildId}
-                SET xp = xp + ?,
+                SET xp = MAX(0, xp + ?),
                     last_message = ?,
                     updated_at = ?
                 WHERE user_id = ?
@@ -658,28 +1081,47 @@ class LevelingDatabase {
 
             // Execute transaction for atomic operations
             const transaction = this.db.transaction(() => {
+                const previousXP = getUserStmt.get(userId).xp;
+
                 // Add XP
                 updateXPStmt.run(xpAmount, now, now, userId);
 
                 // Get updated user data
                 const userData = getUserStmt.get(userId);
 
+                // XP can't go below 0, so record what was actually applied
+                if (userData.xp !== previousXP) {
+                    this.recordXPEvent(guildId, {
+                        userId,
+                        amount: userData.xp - previousXP,
+                        source,
+                        channelId,
+                        actorId
+                    }, now);
+                }
+
+                // Period leaderboards only count XP members earned themselves
+                if (userData.xp > previousXP && source !== 'admin') {
+                    this.recordPeriodXP(guildId, userId, userData.xp - previousXP, now);
+                }
+
                 // Calculate new level
                 const oldLevel = userData.level;
-                const newLevel = this.calculateLevel(userData.xp);
+                const newLevel = this.calculateLevel(userData.xp, guildId);
 
                 // Update level if it changed
-                if (newLevel > oldLevel) {
+                if (newLevel !== oldLevel) {
                     updateLevelStmt.run(newLevel, now, userId);
                     userData.level = newLevel;
                 }
 
                 return {
                     leveledUp: newLevel > oldLevel,
+                    leveledDown: newLevel < oldLevel,
                     oldLevel,
                     newLevel,
                     currentXP: userData.xp,
-                    xpToNextLevel: this.xpForLevel(newLevel + 1) - userData.xp
+                    xpToNextLevel: this.xpForLevel(newLevel + 1, guildId) - userData.xp
                 };
             });
 
@@ -696,20 +1138,23 @@ class LevelingDatabase {
      * @param {number} page - Page number
      * @param {number} pageSize - Number of users per page
      * @param {string} guildId - Guild ID
+     * @param {string} sort - Sort order ('xp', 'level' or 'sacrifices')
      * @returns {object} Leaderboard data
      */
-    getLeaderboard(page = 1, pageSize = 10, guildId) {
+    getLeaderboard(page = 1, pageSize = 10, guildId, sort = 'xp') {
         try {
             // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
             const offset = (page - 1) * pageSize;
+            const orderBy = LEADERBOARD_ORDER[sort] || LEADERBOARD_ORDER.xp;
 
-            // Get users for this page
+            // Get users for this page, with cached usernames
             const getUsersStmt = this.db.prepare(`
-                SELECT user_id, xp, level
-                FROM users_${guildId}
-                ORDER BY xp DESC
+                SELECT u.user_id, u.xp, u.level, u.sacrifices, g.username
+                FROM users_${guildId} u
+                LEFT JOIN users_global g ON g.user_id = u.user_id
+                ORDER BY ${orderBy}
                 LIMIT ? OFFSET ?
             `);
 
@@ -725,7 +1170,7 @@ class LevelingDatabase {
             // Convert to the expected format
             const formattedUsers = users.map(user => [
                 user.user_id,
-                { xp: user.xp, level: user.level }
+                { xp: user.xp, level: user.level, sacrifices: user.sacrifices, username: user.username }
             ]);
 
             // Get total count
@@ -745,561 +1190,2039 @@ class LevelingDatabase {
     }
 
     /**
-     * Calculate required XP for a level with interpolation
-     * @param {number} level - Level to calculate XP for
-     * @returns {number} XP required
+     * Get a user's 1-based position on the guild leaderboard
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} sort - Sort order ('xp', 'level' or 'sacrifices')
+     * @returns {number|null} Position, or null if the user isn't on the leaderboard
      */
-    xpForLevel(level) {
-        // Make sure level is within bounds
-        const maxLevel = config.xp.maxLevel || 100;
-        if (level > maxLevel) {
-            level = maxLevel;
-        }
-
-        // Check if we're using custom thresholds
-        if (config.xp.useCustomThresholds && config.xp.customLevelThresholds) {
-            // If this exact level has a threshold, return it
-            if (config.xp.customLevelThresholds[level] !== undefined) {
-                return config.xp.customLevelThresholds[level];
-            }
-
-            // If we should interpolate between defined levels
-            if (config.xp.interpolateXP) {
-                // Get all defined levels
-                const definedLevels = Object.keys(config.xp.customLevelThresholds)
-                    .map(l => parseInt(l, 10))
-                    .sort((a, b) => a - b);
+    getLeaderboardPosition(userId, guildId, sort = 'xp') {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
 
-                // Find the two defined levels that our target is between
-                let lowerLevel = definedLevels[0];
-                let upperLevel = definedLevels[definedLevels.length - 1];
+            const orderBy = LEADERBOARD_ORDER[sort] || LEADERBOARD_ORDER.xp;
 
-                for (let i = 0; i < definedLevels.length - 1; i++) {
-                    if (definedLevels[i] <= level && level <= definedLevels[i + 1]) {
-                        lowerLevel = definedLevels[i];
-                        upperLevel = definedLevels[i + 1];
-                        break;
-                    }
-                }
+            const stmt = this.db.prepare(`
+                SELECT position FROM (
+                    SELECT u.user_id, ROW_NUMBER() OVER (ORDER BY ${orderBy}) AS position
+                    FROM users_${guildId} u
+                )
+                WHERE user_id = ?
+            `);
 
-                // If the level is below our lowest defined level
-                if (level < lowerLevel) {
-                    return Math.floor((level / lowerLevel) * config.xp.customLevelThresholds[lowerLevel]);
-                }
+            const result = stmt.get(userId);
+            return result ? result.position : null;
+        } catch (error) {
+            console.error(`Error getting leaderboard position for user ${userId} in guild ${guildId}:`, error);
+            return null;
+        }
+    }
 
-                // If the level is above our highest defined level
-                if (level > upperLevel) {
-                    return config.xp.customLevelThresholds[upperLevel];
-                }
+    /**
+     * Add XP to a user's daily, weekly and monthly totals
+     * Call inside the transaction that changes the user's balance
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {number} amount - XP earned (negative to take it back)
+     * @param {number} earnedAt - When the XP was earned
+     */
+    recordPeriodXP(guildId, userId, amount, earnedAt = Date.now()) {
+        const addStmt = this.db.prepare(`
+            INSERT INTO xp_periods_${guildId} (period, period_start, user_id, xp)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(period, period_start, user_id) DO UPDATE SET xp = xp + excluded.xp
+        `);
 
-                // Get the XP values for the bounding levels
-                const lowerXP = config.xp.customLevelThresholds[lowerLevel];
-                const upperXP = config.xp.customLevelThresholds[upperLevel];
+        // Periods that already rolled over have no totals left to take XP from
+        const takeStmt = this.db.prepare(`
+            UPDATE xp_periods_${guildId}
+            SET xp = MAX(0, xp + ?)
+            WHERE period = ? AND period_start = ? AND user_id = ?
+        `);
 
-                // Calculate the interpolated XP
-                const levelRange = upperLevel - lowerLevel;
-                const xpRange = upperXP - lowerXP;
-                const levelProgress = level - lowerLevel;
+        for (const period of TRACKED_PERIODS) {
+            const periodStart = getPeriodStart(period, earnedAt);
 
-                return Math.floor(lowerXP + (xpRange * levelProgress / levelRange));
+            if (amount > 0) {
+                addStmt.run(period, periodStart, userId, amount);
+            } else {
+                takeStmt.run(amount, period, periodStart, userId);
             }
         }
+    }
 
-        // Fall back to formula
-        return config.xp.baseXP * Math.pow(level, config.xp.curve);
+    /**
+     * Get a page of the leaderboard for the current day, week or month
+     * @param {number} page - Page number
+     * @param {number} pageSize - Number of users per page
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {number} now - Time inside the period
+     * @returns {object} Leaderboard data in the same shape as getLeaderboard, with XP earned this period
+     */
+    getPeriodLeaderboard(page = 1, pageSize = 10, guildId, period, now = Date.now()) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const periodStart = getPeriodStart(period, now);
+
+            const users = this.db.prepare(`
+                SELECT p.user_id, p.xp AS period_xp, u.xp, u.level, u.sacrifices, g.username
+                FROM xp_periods_${guildId} p
+                LEFT JOIN users_${guildId} u ON u.user_id = p.user_id
+                LEFT JOIN users_global g ON g.user_id = p.user_id
+                WHERE p.period = ? AND p.period_start = ? AND p.xp > 0
+                ORDER BY p.xp DESC, p.user_id ASC
+                LIMIT ? OFFSET ?
+            `).all(period, periodStart, pageSize, (page - 1) * pageSize);
+
+            const { count } = this.db.prepare(`
+                SELECT COUNT(*) as count
+                FROM xp_periods_${guildId}
+                WHERE period = ? AND period_start = ? AND xp > 0
+            `).get(period, periodStart);
+
+            return {
+                users: users.map(user => [
+                    user.user_id,
+                    {
+                        xp: user.xp || 0,
+                        periodXP: user.period_xp,
+                        level: user.level || 0,
+                        sacrifices: user.sacrifices || 0,
+                        username: user.username
+                    }
+                ]),
+                currentPage: page,
+                totalPages: Math.ceil(count / pageSize),
+                totalUsers: count,
+                periodStart
+            };
+        } catch (error) {
+            console.error(`Error getting ${period} leaderboard for guild ${guildId}:`, error);
+            throw error;
+        }
     }
 
     /**
-     * Calculate level from XP
-     * @param {number} xp - XP amount
-     * @returns {number} Level
+     * Get a user's 1-based position on the current day, week or month's leaderboard
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {number} now - Time inside the period
+     * @returns {number|null} Position, or null if the user hasn't earned XP this period
      */
-    calculateLevel(xp) {
-        const maxLevel = config.xp.maxLevel || 100;
+    getPeriodLeaderboardPosition(userId, guildId, period, now = Date.now()) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
 
-        // If using custom thresholds
-        if (config.xp.useCustomThresholds && config.xp.customLevelThresholds) {
-            // Get all defined levels and their XP requirements
-            const levelData = Object.entries(config.xp.customLevelThresholds)
-                .map(([level, requiredXP]) => ({
-                    level: parseInt(level, 10),
-                    requiredXP
-                }))
-                .sort((a, b) => a.level - b.level); // Sort lowest to highest
+            const result = this.db.prepare(`
+                SELECT position FROM (
+                    SELECT user_id, ROW_NUMBER() OVER (ORDER BY xp DESC, user_id ASC) AS position
+                    FROM xp_periods_${guildId}
+                    WHERE period = ? AND period_start = ? AND xp > 0
+                )
+                WHERE user_id = ?
+            `).get(period, getPeriodStart(period, now), userId);
 
-            // Check if user has enough XP for each level
-            let userLevel = 0;
+            return result ? result.position : null;
+        } catch (error) {
+            console.error(`Error getting ${period} leaderboard position for user ${userId} in guild ${guildId}:`, error);
+            return null;
+        }
+    }
 
-            for (const { level, requiredXP } of levelData) {
-                if (xp >= requiredXP) {
-                    userLevel = level;
-                } else {
-                    break;
+    /**
+     * Get a user's rank and XP for the current day, week or month (members with equal XP share a rank)
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {number} now - Time inside the period
+     * @returns {object|null} Rank and XP ({ rank, xp }), or null if the user hasn't earned XP this period
+     */
+    getUserPeriodRank(userId, guildId, period, now = Date.now()) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const periodStart = getPeriodStart(period, now);
+
+            const row = this.db.prepare(`
+                SELECT xp FROM xp_periods_${guildId}
+                WHERE period = ? AND period_start = ? AND user_id = ? AND xp > 0
+            `).get(period, periodStart, userId);
+
+            if (!row) return null;
+
+            const { rank } = this.db.prepare(`
+                SELECT COUNT(*) + 1 as rank
+                FROM xp_periods_${guildId}
+                WHERE period = ? AND period_start = ? AND xp > ?
+            `).get(period, periodStart, row.xp);
+
+            return { rank, xp: row.xp };
+        } catch (error) {
+            console.error(`Error getting ${period} rank for user ${userId} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the start dates of periods that have ended but still have totals
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {string} currentStart - Start date of the current period
+     * @returns {Array<string>} Start dates, oldest first
+     */
+    getEndedPeriodStarts(guildId, period, currentStart) {
+        try {
+            return this.db.prepare(`
+                SELECT DISTINCT period_start
+                FROM xp_periods_${guildId}
+                WHERE period = ? AND period_start < ?
+                ORDER BY period_start ASC
+            `).all(period, currentStart).map(row => row.period_start);
+        } catch (error) {
+            console.error(`Error getting ended ${period} periods for guild ${guildId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Archive the top members of an ended period and clear its totals
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {string} periodStart - Start date of the ended period
+     * @param {number} count - Number of winners to archive
+     * @returns {Array} Archived winners ({ position, userId, xp })
+     */
+    archivePeriodWinners(guildId, period, periodStart, count) {
+        try {
+            const now = Date.now();
+
+            const getWinnersStmt = this.db.prepare(`
+                SELECT user_id, xp
+                FROM xp_periods_${guildId}
+                WHERE period = ? AND period_start = ? AND xp > 0
+                ORDER BY xp DESC, user_id ASC
+                LIMIT ?
+            `);
+
+            const insertWinnerStmt = this.db.prepare(`
+                INSERT INTO period_winners_${guildId} (period, period_start, position, user_id, xp, archived_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `);
+
+            const clearStmt = this.db.prepare(`
+                DELETE FROM xp_periods_${guildId}
+                WHERE period = ? AND period_start = ?
+            `);
+
+            const transaction = this.db.transaction(() => {
+                const winners = getWinnersStmt.all(period, periodStart, count)
+                    .map((row, index) => ({ position: index + 1, userId: row.user_id, xp: row.xp }));
+
+                for (const winner of winners) {
+                    insertWinnerStmt.run(period, periodStart, winner.position, winner.userId, winner.xp, now);
+                }
+
+                clearStmt.run(period, periodStart);
+                return winners;
+            });
+
+            return transaction();
+        } catch (error) {
+            console.error(`Error archiving ${period} winners for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the archived winners of the most recent ended period
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @returns {object|null} Winners ({ periodStart, winners: [{ position, userId, xp }] }), or null if none are archived
+     */
+    getLatestPeriodWinners(guildId, period) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const rows = this.db.prepare(`
+                SELECT period_start, position, user_id, xp
+                FROM period_winners_${guildId}
+                WHERE period = ? AND period_start = (
+                    SELECT MAX(period_start) FROM period_winners_${guildId} WHERE period = ?
+                )
+                ORDER BY position ASC
+            `).all(period, period);
+
+            if (rows.length === 0) return null;
+
+            return {
+                periodStart: rows[0].period_start,
+                winners: rows.map(row => ({ position: row.position, userId: row.user_id, xp: row.xp }))
+            };
+        } catch (error) {
+            console.error(`Error getting ${period} winners for guild ${guildId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Work out the level every user who gained or lost XP in a time window had at its start and end
+     * XP changed after the window is taken off current balances using the XP ledger
+     * @param {string} guildId - Guild ID
+     * @param {number} since - Start of the window (inclusive)
+     * @param {number} until - End of the window (exclusive)
+     * @returns {Array} Level changes ({ userId, oldLevel, newLevel })
+     */
+    getLevelChanges(guildId, since, until) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const rows = this.db.prepare(`
+                SELECT e.user_id, u.xp AS current_xp,
+                    SUM(CASE WHEN e.created_at < ? THEN e.amount ELSE 0 END) AS window_xp,
+                    SUM(CASE WHEN e.created_at >= ? THEN e.amount ELSE 0 END) AS later_xp
+                FROM xp_events_${guildId} e
+                JOIN users_${guildId} u ON u.user_id = e.user_id
+                WHERE e.created_at >= ?
+                GROUP BY e.user_id
+                HAVING window_xp != 0
+            `).all(until, until, since);
+
+            return rows.map(row => {
+                const endXP = Math.max(0, row.current_xp - row.later_xp);
+                const startXP = Math.max(0, endXP - row.window_xp);
+
+                return {
+                    userId: row.user_id,
+                    oldLevel: this.calculateLevel(startXP, guildId),
+                    newLevel: this.calculateLevel(endXP, guildId)
+                };
+            });
+        } catch (error) {
+            console.error(`Error getting level changes for guild ${guildId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Count the fox sacrifices each user made in a time window
+     * @param {string} guildId - Guild ID
+     * @param {number} since - Start of the window (inclusive)
+     * @param {number} until - End of the window (exclusive)
+     * @returns {Array} Sacrifices ({ userId, count }), most first
+     */
+    getSacrificesBetween(guildId, since, until) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            return this.db.prepare(`
+                SELECT user_id, COUNT(*) AS count
+                FROM xp_events_${guildId}
+                WHERE source = 'sacrifice' AND created_at >= ? AND created_at < ?
+                GROUP BY user_id
+                ORDER BY count DESC, user_id ASC
+            `).all(since, until).map(row => ({ userId: row.user_id, count: row.count }));
+        } catch (error) {
+            console.error(`Error getting sacrifices for guild ${guildId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Choose whether a user appears on the global leaderboard
+     * @param {string} userId - User ID
+     * @param {boolean} optIn - Whether the user opts in
+     * @returns {boolean} Success
+     */
+    setGlobalOptIn(userId, optIn) {
+        try {
+            this.ensureGlobalUser(userId);
+
+            this.db.prepare(`
+                UPDATE users_global
+                SET global_opt_in = ?, last_updated = ?
+                WHERE user_id = ?
+            `).run(optIn ? 1 : 0, Date.now(), userId);
+
+            return true;
+        } catch (error) {
+            console.error(`Error setting global opt-in for user ${userId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether a user has opted in to the global leaderboard
+     * @param {string} userId - User ID
+     * @returns {boolean} Whether the user opted in
+     */
+    isGlobalOptIn(userId) {
+        try {
+            const row = this.db.prepare(`
+                SELECT global_opt_in FROM users_global WHERE user_id = ?
+            `).get(userId);
+
+            return !!row && row.global_opt_in === 1;
+        } catch (error) {
+            console.error(`Error checking global opt-in for user ${userId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the guilds whose XP counts towards global totals
+     * @returns {Array<string>} Guild IDs that haven't excluded themselves
+     */
+    getGlobalGuildIds() {
+        return this.getGuildIds()
+            .filter(guildId => this.getGuildSetting(guildId, 'global_aggregation_enabled', true) !== false);
+    }
+
+    /**
+     * Total each user's XP and sacrifices across guilds into the temp.global_totals table
+     * Guilds are added one at a time, since a single query over every guild table
+     * would hit SQLite's limit on compound SELECT terms
+     * @param {Array<string>} guildIds - Guilds to include
+     */
+    fillGlobalTotals(guildIds) {
+        this.db.exec(`
+            CREATE TEMP TABLE IF NOT EXISTS global_totals (
+                user_id TEXT PRIMARY KEY,
+                xp INTEGER NOT NULL DEFAULT 0,
+                sacrifices INTEGER NOT NULL DEFAULT 0,
+                guilds INTEGER NOT NULL DEFAULT 0
+            );
+        `);
+
+        const transaction = this.db.transaction(() => {
+            this.db.prepare('DELETE FROM temp.global_totals').run();
+
+            for (const guildId of guildIds) {
+                this.db.prepare(`
+                    INSERT INTO temp.global_totals (user_id, xp, sacrifices, guilds)
+                    SELECT user_id, xp, sacrifices, 1 FROM users_${guildId}
+                    WHERE xp > 0 OR sacrifices > 0
+                    ON CONFLICT(user_id) DO UPDATE SET
+                    xp = xp + excluded.xp,
+                    sacrifices = sacrifices + excluded.sacrifices,
+                    guilds = guilds + 1
+                `).run();
+            }
+        });
+
+        transaction();
+    }
+
+    /**
+     * Get a user's XP totalled across every guild that takes part in global aggregation
+     * Levels use the default XP curve since guilds can each have their own
+     * @param {string} userId - User ID
+     * @returns {object} { xp, level, sacrifices, guilds, optedIn, rank, nextLevelXP }
+     */
+    getGlobalProfile(userId) {
+        try {
+            let xp = 0;
+            let sacrifices = 0;
+            let guilds = 0;
+
+            for (const guildId of this.getGlobalGuildIds()) {
+                const row = this.db.prepare(`
+                    SELECT xp, sacrifices FROM users_${guildId} WHERE user_id = ?
+                `).get(userId);
+
+                if (row && (row.xp > 0 || row.sacrifices > 0)) {
+                    xp += row.xp;
+                    sacrifices += row.sacrifices;
+                    guilds++;
                 }
             }
 
-            // If we're interpolating and user has more XP than the lowest level
-            if (config.xp.interpolateXP && levelData.length > 0 && xp >= levelData[0].requiredXP) {
-                // Find the two defined levels that our XP falls between
-                for (let i = 0; i < levelData.length - 1; i++) {
-                    const lowerLevelData = levelData[i];
-                    const upperLevelData = levelData[i + 1];
+            const level = this.calculateLevel(xp);
+            const optedIn = this.isGlobalOptIn(userId);
+
+            return {
+                xp,
+                level,
+                sacrifices,
+                guilds,
+                optedIn,
+                rank: optedIn ? this.getGlobalLeaderboardPosition(userId) : null,
+                nextLevelXP: this.xpForLevel(level + 1)
+            };
+        } catch (error) {
+            console.error(`Error getting global profile for user ${userId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get the global leaderboard of users who opted in, totalled across guilds
+     * @param {number} page - Page number
+     * @param {number} pageSize - Number of users per page
+     * @param {string} sort - Sort order ('xp', 'level' or 'sacrifices')
+     * @returns {object} Leaderboard data in the same shape as getLeaderboard
+     */
+    getGlobalLeaderboard(page = 1, pageSize = 10, sort = 'xp') {
+        try {
+            const guildIds = this.getGlobalGuildIds();
+
+            if (guildIds.length === 0) {
+                return { users: [], currentPage: page, totalPages: 0, totalUsers: 0 };
+            }
+
+            const offset = (page - 1) * pageSize;
+            const orderBy = GLOBAL_LEADERBOARD_ORDER[sort] || GLOBAL_LEADERBOARD_ORDER.xp;
+            this.fillGlobalTotals(guildIds);
+
+            const users = this.db.prepare(`
+                SELECT t.user_id, t.xp, t.sacrifices, t.guilds, g.username
+                FROM temp.global_totals t
+                JOIN users_global g ON g.user_id = t.user_id
+                WHERE g.global_opt_in = 1 AND g.is_blacklisted = 0
+                ORDER BY ${orderBy}
+                LIMIT ? OFFSET ?
+            `).all(pageSize, offset);
+
+            const { count } = this.db.prepare(`
+                SELECT COUNT(*) as count
+                FROM temp.global_totals t
+                JOIN users_global g ON g.user_id = t.user_id
+                WHERE g.global_opt_in = 1 AND g.is_blacklisted = 0
+            `).get();
+
+            return {
+                users: users.map(user => [
+                    user.user_id,
+                    {
+                        xp: user.xp,
+                        level: this.calculateLevel(user.xp),
+                        sacrifices: user.sacrifices,
+                        guilds: user.guilds,
+                        username: user.username
+                    }
+                ]),
+                currentPage: page,
+                totalPages: Math.ceil(count / pageSize),
+                totalUsers: count
+            };
+        } catch (error) {
+            console.error('Error getting global leaderboard:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Get a user's 1-based position on the global leaderboard
+     * @param {string} userId - User ID
+     * @param {string} sort - Sort order ('xp', 'level' or 'sacrifices')
+     * @returns {number|null} Position, or null if the user isn't on the leaderboard
+     */
+    getGlobalLeaderboardPosition(userId, sort = 'xp') {
+        try {
+            const guildIds = this.getGlobalGuildIds();
+            if (guildIds.length === 0) return null;
+
+            const orderBy = GLOBAL_LEADERBOARD_ORDER[sort] || GLOBAL_LEADERBOARD_ORDER.xp;
+            this.fillGlobalTotals(guildIds);
+
+            const result = this.db.prepare(`
+                SELECT position FROM (
+                    SELECT t.user_id, ROW_NUMBER() OVER (ORDER BY ${orderBy}) AS position
+                    FROM temp.global_totals t
+                    JOIN users_global g ON g.user_id = t.user_id
+                    WHERE g.global_opt_in = 1 AND g.is_blacklisted = 0
+                )
+                WHERE user_id = ?
+            `).get(userId);
+
+            return result ? result.position : null;
+        } catch (error) {
+            console.error(`Error getting global leaderboard position for user ${userId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get the XP curve for a guild, falling back to the global config
+     * @param {string|null} guildId - Guild ID (null for the global curve)
+     * @returns {object} Curve settings (baseXP, curve, maxLevel, useCustomThresholds, customLevelThresholds, interpolateXP)
+     */
+    getXPCurve(guildId = null) {
+        const defaultCurve = {
+            baseXP: config.xp.baseXP,
+            curve: config.xp.curve,
+            maxLevel: config.xp.maxLevel || 100,
+            useCustomThresholds: config.xp.useCustomThresholds,
+            customLevelThresholds: config.xp.customLevelThresholds,
+            interpolateXP: config.xp.interpolateXP
+        };
+
+        if (!guildId) {
+            return defaultCurve;
+        }
+
+        // Guild curves only store the values that were customised
+        const guildCurve = this.getGuildSetting(guildId, 'xp_curve', null);
+        if (!guildCurve || typeof guildCurve !== 'object') {
+            return defaultCurve;
+        }
+
+        return {
+            ...defaultCurve,
+            ...guildCurve
+        };
+    }
+
+    /**
+     * Calculate required XP for a level with interpolation
+     * @param {number} level - Level to calculate XP for
+     * @param {string|null} guildId - Guild ID (null for the global curve)
+     * @returns {number} XP required
+     */
+    xpForLevel(level, guildId = null) {
+        return this.computeXPForLevel(level, this.getXPCurve(guildId));
+    }
+
+    /**
+     * Calculate required XP for a level using a resolved curve
+     * @param {number} level - Level to calculate XP for
+     * @param {object} curve - Curve settings from getXPCurve
+     * @returns {number} XP required
+     */
+    computeXPForLevel(level, curve) {
+        // Make sure level is within bounds
+        const maxLevel = curve.maxLevel || 100;
+        if (level > maxLevel) {
+            level = maxLevel;
+        }
+
+        const thresholds = curve.customLevelThresholds;
+
+        // Check if we're using custom thresholds
+        if (curve.useCustomThresholds && thresholds && Object.keys(thresholds).length > 0) {
+            // If this exact level has a threshold, return it
+            if (thresholds[level] !== undefined) {
+                return thresholds[level];
+            }
+
+            // If we should interpolate between defined levels
+            if (curve.interpolateXP) {
+                // Get all defined levels
+                const definedLevels = Object.keys(thresholds)
+                    .map(l => parseInt(l, 10))
+                    .sort((a, b) => a - b);
+
+                // Find the two defined levels that our target is between
+                let lowerLevel = definedLevels[0];
+                let upperLevel = definedLevels[definedLevels.length - 1];
+
+                for (let i = 0; i < definedLevels.length - 1; i++) {
+                    if (definedLevels[i] <= level && level <= definedLevels[i + 1]) {
+                        lowerLevel = definedLevels[i];
+                        upperLevel = definedLevels[i + 1];
+                        break;
+                    }
+                }
+
+                // If the level is below our lowest defined level
+                if (level < lowerLevel) {
+                    return Math.floor((level / lowerLevel) * thresholds[lowerLevel]);
+                }
+
+                // If the level is above our highest defined level
+                if (level > upperLevel) {
+                    return thresholds[upperLevel];
+                }
+
+                // Get the XP values for the bounding levels
+                const lowerXP = thresholds[lowerLevel];
+                const upperXP = thresholds[upperLevel];
+
+                // Calculate the interpolated XP
+                const levelRange = upperLevel - lowerLevel;
+                const xpRange = upperXP - lowerXP;
+                const levelProgress = level - lowerLevel;
+
+                return Math.floor(lowerXP + (xpRange * levelProgress / levelRange));
+            }
+        }
+
+        // Fall back to formula
+        return curve.baseXP * Math.pow(level, curve.curve);
+    }
+
+    /**
+     * Calculate level from XP
+     * @param {number} xp - XP amount
+     * @param {string|null} guildId - Guild ID (null for the global curve)
+     * @returns {number} Level
+     */
+    calculateLevel(xp, guildId = null) {
+        return this.computeLevel(xp, this.getXPCurve(guildId));
+    }
+
+    /**
+     * Calculate level from XP using a resolved curve
+     * @param {number} xp - XP amount
+     * @param {object} curve - Curve settings from getXPCurve
+     * @returns {number} Level
+     */
+    computeLevel(xp, curve) {
+        const maxLevel = curve.maxLevel || 100;
+        const thresholds = curve.customLevelThresholds;
+
+        // If using custom thresholds
+        if (curve.useCustomThresholds && thresholds && Object.keys(thresholds).length > 0) {
+            // Get all defined levels and their XP requirements
+            const levelData = Object.entries(thresholds)
+                .map(([level, requiredXP]) => ({
+                    level: parseInt(level, 10),
+                    requiredXP
+                }))
+                .sort((a, b) => a.level - b.level); // Sort lowest to highest
+
+            // Check if user has enough XP for each level
+            let userLevel = 0;
+
+            for (const { level, requiredXP } of levelData) {
+                if (xp >= requiredXP) {
+                    userLevel = level;
+                } else {
+                    break;
+                }
+            }
+
+            // If we're interpolating and user has more XP than the lowest level
+            if (curve.interpolateXP && levelData.length > 0 && xp >= levelData[0].requiredXP) {
+                // Find the two defined levels that our XP falls between
+                for (let i = 0; i < levelData.length - 1; i++) {
+                    const lowerLevelData = levelData[i];
+                    const upperLevelData = levelData[i + 1];
+
+                    if (xp >= lowerLevelData.requiredXP && xp < upperLevelData.requiredXP) {
+                        // Calculate the interpolated level
+                        const xpRange = upperLevelData.requiredXP - lowerLevelData.requiredXP;
+                        const levelRange = upperLevelData.level - lowerLevelData.level;
+                        const xpProgress = xp - lowerLevelData.requiredXP;
+
+                        // Calculate fractional level
+                        const fractionalLevel = lowerLevelData.level + (levelRange * xpProgress / xpRange);
+
+                        // Return integer level
+                        return Math.min(Math.floor(fractionalLevel), maxLevel);
+                    }
+                }
+            }
+
+            // Cap at max level
+            return Math.min(userLevel, maxLevel);
+        }
+
+        // Fall back to formula-based calculation
+        let level = 0;
+        while (level < maxLevel && xp >= this.computeXPForLevel(level + 1, curve)) {
+            level++;
+        }
+        return level;
+    }
+
+    /**
+     * Recalculate every user's level in a guild (used after the XP curve changes)
+     * @param {string} guildId - Guild ID
+     * @returns {object} Number of users checked and updated, and the users whose level dropped
+     */
+    recalculateGuildLevels(guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const curve = this.getXPCurve(guildId);
+            const now = Date.now();
+
+            const getUsersStmt = this.db.prepare(`
+                SELECT user_id, xp, level
+                FROM users_${guildId}
+            `);
+
+            const updateLevelStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET level = ?,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            const transaction = this.db.transaction(() => {
+                const users = getUsersStmt.all();
+                const lowered = [];
+                let updated = 0;
+
+                for (const user of users) {
+                    const newLevel = this.computeLevel(user.xp, curve);
+
+                    if (newLevel !== user.level) {
+                        updateLevelStmt.run(newLevel, now, user.user_id);
+                        updated++;
+
+                        if (newLevel < user.level) {
+                            lowered.push({ userId: user.user_id, oldLevel: user.level, newLevel });
+                        }
+                    }
+                }
+
+                return {
+                    total: users.length,
+                    updated,
+                    lowered
+                };
+            });
+
+            return transaction();
+        } catch (error) {
+            console.error(`Error recalculating levels for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Set a user's total XP and recalculate their level (levels can go down)
+     * The change is recorded in the guild's XP ledger in the same transaction
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {number} xp - New total XP (clamped to 0)
+     * @param {object} origin - Ledger source, channel and actor (see addXP; source defaults to 'admin')
+     * @returns {object} Old and new XP/level information
+     */
+    setUserXP(userId, guildId, xp, { source = 'admin', channelId = null, actorId = null } = {}) {
+        try {
+            // Ensure the user exists first
+            this.ensureGuildUser(userId, guildId);
+
+            const now = Date.now();
+
+            const getUserStmt = this.db.prepare(`
+                SELECT xp, level
+                FROM users_${guildId}
+                WHERE user_id = ?
+            `);
+
+            const updateStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET xp = ?,
+                    level = ?,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            const transaction = this.db.transaction(() => {
+                const userData = getUserStmt.get(userId);
+                const newXP = Math.max(0, Math.floor(xp));
+                const newLevel = this.calculateLevel(newXP, guildId);
+
+                updateStmt.run(newXP, newLevel, now, userId);
+
+                if (newXP !== userData.xp) {
+                    this.recordXPEvent(guildId, { userId, amount: newXP - userData.xp, source, channelId, actorId }, now);
+                }
+
+                return {
+                    oldXP: userData.xp,
+                    newXP,
+                    oldLevel: userData.level,
+                    newLevel,
+                    leveledUp: newLevel > userData.level,
+                    leveledDown: newLevel < userData.level,
+                    currentXP: newXP,
+                    xpToNextLevel: this.xpForLevel(newLevel + 1, guildId) - newXP
+                };
+            });
+
+            return transaction();
+        } catch (error) {
+            console.error(`Error setting XP for user ${userId} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Add or remove XP from a user and recalculate their level (levels can go down)
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {number} xpAmount - XP to add (negative to remove)
+     * @param {object} origin - Ledger source, channel and actor (see setUserXP)
+     * @returns {object} Old and new XP/level information
+     */
+    adjustUserXP(userId, guildId, xpAmount, origin = {}) {
+        try {
+            const userData = this.getUser(userId, guildId);
+            return this.setUserXP(userId, guildId, userData.xp + xpAmount, origin);
+        } catch (error) {
+            console.error(`Error adjusting XP for user ${userId} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reset XP and level for every user in a guild
+     * @param {string} guildId - Guild ID
+     * @param {string|null} actorId - Staff member who reset the server, recorded in the XP ledger
+     * @returns {number} Number of users reset
+     */
+    resetGuildXP(guildId, actorId = null) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const now = Date.now();
+
+            const ledgerStmt = this.db.prepare(`
+                INSERT INTO xp_events_${guildId} (user_id, amount, source, actor_id, created_at)
+                SELECT user_id, -xp, 'admin', ?, ? FROM users_${guildId}
+                WHERE xp > 0
+            `);
+
+            const resetStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET xp = 0,
+                    level = 0,
+                    sacrifice_pending = 0,
+                    updated_at = ?
+                WHERE xp > 0 OR level > 0
+            `);
+
+            return this.db.transaction(() => {
+                ledgerStmt.run(actorId, now);
+                return resetStmt.run(now).changes;
+            })();
+        } catch (error) {
+            console.error(`Error resetting XP for guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Sacrifice a user (reset level, increment sacrifice count)
+     * The first call asks for confirmation and marks the sacrifice pending until it expires;
+     * only a call with confirmed set while it's still pending performs the sacrifice.
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {object} options - Sacrifice options
+     * @param {number} options.maxPrestige - Most sacrifices allowed (0 = no limit)
+     * @param {boolean} options.confirmed - Whether the user confirmed a pending sacrifice
+     * @param {number} options.confirmWindow - How long a pending sacrifice can be confirmed (ms)
+     * @returns {object} Sacrifice result
+     */
+    async sacrificeUser(userId, guildId, {
+        maxPrestige = 0,
+        confirmed = false,
+        confirmWindow = config.xp.sacrifice.confirmWindow
+    } = {}) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Get the current user data
+            const userData = this.getUser(userId, guildId);
+            const { maxLevel } = this.getXPCurve(guildId);
+
+            // Make sure user is at max level
+            if (userData.level < maxLevel) {
+                return {
+                    success: false,
+                    message: "The fox seems to not hunger for you yet...",
+                    canSacrifice: false
+                };
+            }
+
+            // Make sure the user hasn't reached the server's max prestige
+            if (maxPrestige > 0 && userData.sacrifices >= maxPrestige) {
+                return {
+                    success: false,
+                    message: "*The fox has already taken all it wants from you...* You've reached the highest prestige on this server.",
+                    canSacrifice: false
+                };
+            }
+
+            const now = Date.now();
+
+            if (confirmed) {
+                // Only a pending sacrifice that hasn't expired can be carried out
+                const sacrificeStmt = this.db.prepare(`
+                    UPDATE users_${guildId}
+                    SET level = 1, 
+                        xp = ?, 
+                        sacrifices = sacrifices + 1,
+                        sacrifice_pending = 0,
+                        sacrifice_expires_at = 0,
+                        updated_at = ?
+                    WHERE user_id = ?
+                    AND sacrifice_pending = 1
+                    AND sacrifice_expires_at > ?
+                `);
+
+                // Get the XP needed for level 1
+                const level1XP = this.xpForLevel(1, guildId);
+
+                // Execute the sacrifice and record the XP it took
+                const changes = this.db.transaction(() => {
+                    const result = sacrificeStmt.run(level1XP, now, userId, now);
+
+                    if (result.changes > 0 && level1XP !== userData.xp) {
+                        this.recordXPEvent(guildId, { userId, amount: level1XP - userData.xp, source: 'sacrifice' }, now);
+                    }
+
+                    return result.changes;
+                })();
+
+                if (changes === 0) {
+                    return {
+                        success: false,
+                        message: "*The fox lost interest and slipped away...* Run `/level-sacrifice` again if you still wish to be devoured.",
+                        canSacrifice: true,
+                        expired: true
+                    };
+                }
+
+                return {
+                    success: true,
+                    message: "*The fox devours your strength... but you feel reborn, and oddly stronger for what's to come...*",
+                    sacrificeCount: userData.sacrifices + 1,
+                    previousCount: userData.sacrifices
+                };
+            }
+
+            // Mark the sacrifice pending until the confirmation expires
+            const expiresAt = now + confirmWindow;
+            const pendingStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET sacrifice_pending = 1,
+                    sacrifice_expires_at = ?,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            pendingStmt.run(expiresAt, now, userId);
+
+            return {
+                success: false,
+                message: "*The fox grows its fangs..* Are you sure? This will result in the loss of all your hard dedicated work.. but I will provide a little medal for your sacrifice...",
+                canSacrifice: true,
+                needsConfirmation: true,
+                expiresAt
+            };
+        } catch (error) {
+            console.error(`Error performing sacrifice for user ${userId} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if a user is eligible for sacrifice prompt
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} Whether user is eligible
+     */
+    isEligibleForSacrificePrompt(userId, guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Get user data
+            const userData = this.getUser(userId, guildId);
+
+            // Check if user is at max level with max XP
+            const { maxLevel } = this.getXPCurve(guildId);
+            const maxLevelXP = this.xpForLevel(maxLevel, guildId);
+
+            return userData.level >= maxLevel && userData.xp >= maxLevelXP;
+        } catch (error) {
+            console.error(`Error checking sacrifice eligibility for user ${userId} in guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Reset sacrifice pending flag (for timeout)
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} Success
+     */
+    resetSacrificePending(userId, guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            const resetStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET sacrifice_pending = 0,
+                    sacrifice_expires_at = 0,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            const now = Date.now();
+            resetStmt.run(now, userId);
+            return true;
+        } catch (error) {
+            console.error(`Error resetting sacrifice pending for user ${userId} in guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Clear pending sacrifices whose confirmation has expired in every guild
+     * @param {number} now - Current timestamp (ms)
+     * @returns {number} Number of pending sacrifices cleared
+     */
+    clearExpiredSacrifices(now = Date.now()) {
+        let cleared = 0;
+
+        for (const guildId of this.getGuildIds()) {
+            try {
+                const stmt = this.db.prepare(`
+                    UPDATE users_${guildId}
+                    SET sacrifice_pending = 0,
+                        sacrifice_expires_at = 0
+                    WHERE sacrifice_pending = 1
+                    AND sacrifice_expires_at <= ?
+                `);
+
+                cleared += stmt.run(now).changes;
+            } catch (error) {
+                console.error(`Error clearing expired sacrifices in guild ${guildId}:`, error);
+            }
+        }
+
+        return cleared;
+    }
+
+    /**
+     * Get a user's banner URL
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {string|null} Banner URL or null
+     */
+    getUserBanner(userId, guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
+
+            // Get banner URL directly
+            const getBannerStmt = this.db.prepare(`
+                SELECT banner_url FROM users_${guildId}
+                WHERE user_id = ?
+            `);
+
+            const result = getBannerStmt.get(userId);
+            return result ? result.banner_url : null;
+        } catch (error) {
+            console.error(`Error getting banner for user ${userId} in guild ${guildId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Set a user's banner URL
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} bannerUrl - Banner URL
+     * @returns {boolean} Success
+     */
+    setUserBanner(userId, guildId, bannerUrl) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
+
+            // Update banner URL
+            const updateBannerStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET banner_url = ?,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            const now = Date.now();
+            const result = updateBannerStmt.run(bannerUrl, now, userId);
+            return result.changes > 0;
+        } catch (error) {
+            console.error(`Error setting banner for user ${userId} in guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get a user's avatar URL
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {string|null} Avatar URL or null
+     */
+    getUserAvatar(userId, guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
+
+            // Get avatar URL directly
+            const getAvatarStmt = this.db.prepare(`
+                SELECT avatar_url FROM users_${guildId}
+                WHERE user_id = ?
+            `);
+
+            const result = getAvatarStmt.get(userId);
+            return result ? result.avatar_url : null;
+        } catch (error) {
+            console.error(`Error getting avatar for user ${userId} in guild ${guildId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Set a user's avatar URL
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} avatarUrl - Avatar URL
+     * @returns {boolean} Success
+     */
+    setUserAvatar(userId, guildId, avatarUrl) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
+
+            // Update avatar URL
+            const updateAvatarStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET avatar_url = ?,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
+
+            const now = Date.now();
+            const result = updateAvatarStmt.run(avatarUrl, now, userId);
+            return result.changes > 0;
+        } catch (error) {
+            console.error(`Error setting avatar for user ${userId} in guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get a user's uploaded content path by type
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} type - Content type ('banner' or 'avatar')
+     * @returns {string|null} Content URL or null
+     */
+    getUserContent(userId, guildId, type) {
+        if (type === 'banner') return this.getUserBanner(userId, guildId);
+        if (type === 'avatar') return this.getUserAvatar(userId, guildId);
+        return null;
+    }
+
+    /**
+     * Set or clear a user's uploaded content path by type
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {string} type - Content type ('banner' or 'avatar')
+     * @param {string|null} url - Content URL (null to clear)
+     * @returns {boolean} Success
+     */
+    setUserContent(userId, guildId, type, url) {
+        if (type === 'banner') return this.setUserBanner(userId, guildId, url);
+        if (type === 'avatar') return this.setUserAvatar(userId, guildId, url);
+        return false;
+    }
+
+    /**
+     * Set blacklist status for a user (global)
+     * Removing a user keeps the reason, date and admin they were blacklisted with
+     * @param {string} userId - User ID
+     * @param {boolean} blacklisted - Whether user is blacklisted
+     * @param {string} reason - Reason for blacklisting
+     * @param {string} adminId - ID of admin who blacklisted
+     * @returns {boolean} Success
+     */
+    setGlobalUserBlacklist(userId, blacklisted, reason = null, adminId = null) {
+        try {
+            // Ensure user exists in global table
+            this.ensureGlobalUser(userId);
+
+            const now = Date.now();
+
+            if (!blacklisted) {
+                const result = this.db.prepare(`
+                    UPDATE users_global
+                    SET is_blacklisted = 0,
+                        last_updated = ?
+                    WHERE user_id = ?
+                `).run(now, userId);
+
+                return result.changes > 0;
+            }
+
+            const updateStmt = this.db.prepare(`
+                UPDATE users_global
+                SET is_blacklisted = 1,
+                    blacklist_reason = ?,
+                    blacklisted_at = ?,
+                    blacklisted_by = ?,
+                    last_updated = ?
+                WHERE user_id = ?
+            `);
+
+            const result = updateStmt.run(reason, now, adminId, now, userId);
+
+            return result.changes > 0;
+        } catch (error) {
+            console.error(`Error setting global blacklist for user ${userId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Record an owner console (/syscall) action
+     * @param {object} entry - Log entry
+     * @param {string} entry.actorId - Owner who ran the command
+     * @param {string} entry.action - Action name (e.g. 'blacklist.add', 'content.purge')
+     * @param {string|null} entry.target - User ID the action applied to
+     * @param {string|null} entry.reason - Reason given
+     * @param {object|null} entry.details - Extra context such as purge counts
+     * @returns {boolean} Success
+     */
+    addSyscallLogEntry({ actorId, action, target = null, reason = null, details = null }) {
+        try {
+            this.db.prepare(`
+                INSERT INTO syscall_log (actor_id, action, target, reason, details, created_at)
+                VALUES (?, ?, ?, ?, ?, ?)
+            `).run(actorId, action, target, reason, details ? JSON.stringify(details) : null, Date.now());
+
+            return true;
+        } catch (error) {
+            console.error(`Error recording syscall action ${action}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the most recent owner console actions taken on a user
+     * @param {string} userId - User ID
+     * @param {number} limit - Maximum number of entries
+     * @returns {Array} Entries, newest first ({ actorId, action, reason, details, createdAt })
+     */
+    getSyscallLog(userId, limit = 10) {
+        try {
+            return this.db.prepare(`
+                SELECT actor_id, action, reason, details, created_at
+                FROM syscall_log
+                WHERE target = ?
+                ORDER BY created_at DESC, id DESC
+                LIMIT ?
+            `).all(userId, limit).map(row => ({
+                actorId: row.actor_id,
+                action: row.action,
+                reason: row.reason,
+                details: row.details ? JSON.parse(row.details) : null,
+                createdAt: row.created_at
+            }));
+        } catch (error) {
+            console.error(`Error getting syscall log for user ${userId}:`, error);
+            return [];
+        }
+    }
+
+    /**
+     * Get all globally blacklisted users
+     * @returns {Array} Blacklisted users with reason and audit details
+     */
+    getGlobalBlacklist() {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT user_id, username, blacklist_reason, blacklisted_at, blacklisted_by, last_updated
+                FROM users_global
+                WHERE is_blacklisted = 1
+                ORDER BY blacklisted_at DESC
+            `);
+
+            return stmt.all();
+        } catch (error) {
+            console.error('Error getting global blacklist:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Get a user's global blacklist record
+     * @param {string} userId - User ID
+     * @returns {object|null} Blacklist record or null if the user is unknown
+     */
+    getGlobalBlacklistEntry(userId) {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT user_id, username, is_blacklisted, blacklist_reason, blacklisted_at, blacklisted_by, last_updated
+                FROM users_global
+                WHERE user_id = ?
+            `);
+
+            return stmt.get(userId) || null;
+        } catch (error) {
+            console.error(`Error getting global blacklist entry for user ${userId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Check if a user is globally blacklisted
+     * @param {string} userId - User ID
+     * @returns {boolean} Whether user is blacklisted
+     */
+    isUserGloballyBlacklisted(userId) {
+        try {
+            // Don't try to use ensureGuildTables for global settings
+            const stmt = this.db.prepare(`
+                SELECT is_blacklisted FROM users_global
+                WHERE user_id = ?
+            `);
+
+            const result = stmt.get(userId);
+            return result ? result.is_blacklisted === 1 : false;
+        } catch (error) {
+            console.error(`Error checking global blacklist for user ${userId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Set blacklist status for a user in a guild
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {boolean} blacklisted - Whether user is blacklisted
+     * @returns {boolean} Success
+     */
+    setGuildUserBlacklist(userId, guildId, blacklisted) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
 
-                    if (xp >= lowerLevelData.requiredXP && xp < upperLevelData.requiredXP) {
-                        // Calculate the interpolated level
-                        const xpRange = upperLevelData.requiredXP - lowerLevelData.requiredXP;
-                        const levelRange = upperLevelData.level - lowerLevelData.level;
-                        const xpProgress = xp - lowerLevelData.requiredXP;
+            const updateStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET is_blacklisted = ?,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
 
-                        // Calculate fractional level
-                        const fractionalLevel = lowerLevelData.level + (levelRange * xpProgress / xpRange);
+            const now = Date.now();
+            const result = updateStmt.run(blacklisted ? 1 : 0, now, userId);
+            return result.changes > 0;
+        } catch (error) {
+            console.error(`Error setting guild blacklist for user ${userId} in guild ${guildId}:`, error);
+            return false;
+        }
+    }
 
-                        // Return integer level
-                        return Math.floor(fractionalLevel);
-                    }
-                }
+    /**
+     * Check if a user is blacklisted in a guild
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {boolean} Whether user is blacklisted
+     */
+    isUserGuildBlacklisted(userId, guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
+
+            // Check global blacklist first
+            if (this.isUserGloballyBlacklisted(userId)) {
+                return true;
             }
 
-            // Cap at max level
-            return Math.min(userLevel, maxLevel);
-        }
+            // Then check guild-specific blacklist
+            const stmt = this.db.prepare(`
+                SELECT is_blacklisted FROM users_${guildId}
+                WHERE user_id = ?
+            `);
 
-        // Fall back to formula-based calculation
-        let level = 0;
-        while (level < maxLevel && xp >= this.xpForLevel(level + 1)) {
-            level++;
+            const result = stmt.get(userId);
+            return result ? result.is_blacklisted === 1 : false;
+        } catch (error) {
+            console.error(`Error checking guild blacklist for user ${userId} in guild ${guildId}:`, error);
+            return false;
         }
-        return level;
     }
 
     /**
-     * Sacrifice a user (reset level, increment sacrifice count)
+     * Increment warning count for a user
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
-     * @returns {object} Sacrifice result
+     * @returns {number} New warning count
      */
-    async sacrificeUser(userId, guildId) {
+    incrementUserWarnings(userId, guildId) {
         try {
             // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            // Get the current user data
-            const userData = this.getUser(userId, guildId);
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
 
-            // Make sure user is at max level
-            if (userData.level < config.xp.maxLevel) {
-                return {
-                    success: false,
-                    message: "The fox seems to not hunger for you yet...",
-                    canSacrifice: false
-                };
-            }
+            const updateStmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET warning_count = warning_count + 1,
+                    updated_at = ?
+                WHERE user_id = ?
+            `);
 
-            // Check if user has already confirmed sacrifice
-            if (userData.sacrifice_pending === 1) {
-                // Perform the sacrifice
-                const sacrificeStmt = this.db.prepare(`
-                    UPDATE users_${guildId}
-                    SET level = 1, 
-                        xp = ?, 
-                        sacrifices = sacrifices + 1,
-                        sacrifice_pending = 0,
-                        updated_at = ?
-                    WHERE user_id = ?
-                `);
+            const getStmt = this.db.prepare(`
+                SELECT warning_count FROM users_${guildId}
+                WHERE user_id = ?
+            `);
 
-                // Get the XP needed for level 1
-                const level1XP = this.xpForLevel(1);
-                const now = Date.now();
+            const now = Date.now();
+            updateStmt.run(now, userId);
 
-                // Execute the sacrifice
-                sacrificeStmt.run(level1XP, now, userId);
+            const result = getStmt.get(userId);
+            return result ? result.warning_count : 0;
+        } catch (error) {
+            console.error(`Error incrementing warnings for user ${userId} in guild ${guildId}:`, error);
+            throw error;
+        }
+    }
 
-                return {
-                    success: true,
-                    message: "*The fox devours your strength... but you feel reborn, and oddly stronger for what's to come...*",
-                    sacrificeCount: userData.sacrifices + 1
-                };
-            } else {
-                // Set pending flag for confirmation
-                const pendingStmt = this.db.prepare(`
-                    UPDATE users_${guildId}
-                    SET sacrifice_pending = 1,
-                        updated_at = ?
-                    WHERE user_id = ?
-                `);
+    /**
+     * Get warning count for a user
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @returns {number} Warning count
+     */
+    getUserWarnings(userId, guildId) {
+        try {
+            // Ensure guild tables exist
+            this.ensureGuildTables(guildId);
 
-                const now = Date.now();
-                pendingStmt.run(now, userId);
+            // Ensure user exists
+            this.ensureGuildUser(userId, guildId);
 
-                return {
-                    success: false,
-                    message: "*The fox grows its fangs..* Are you sure? This will result in the loss of all your hard dedicated work.. but I will provide a little medal for your sacrifice... run the command again to confirm...",
-                    canSacrifice: true,
-                    needsConfirmation: true
-                };
-            }
+            const stmt = this.db.prepare(`
+                SELECT warning_count FROM users_${guildId}
+                WHERE user_id = ?
+            `);
+
+            const result = stmt.get(userId);
+            return result ? result.warning_count : 0;
         } catch (error) {
-            console.error(`Error performing sacrifice for user ${userId} in guild ${guildId}:`, error);
-            throw error;
+            console.error(`Error getting warnings for user ${userId} in guild ${guildId}:`, error);
+            return 0;
         }
     }
 
     /**
-     * Check if a user is eligible for sacrifice prompt
+     * Get a user's content and moderation state in a guild without creating a row
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
-     * @returns {boolean} Whether user is eligible
+     * @returns {Object|null} Record ({ bannerUrl, avatarUrl, warningCount, isBlacklisted }) or null if the user has no row
      */
-    isEligibleForSacrificePrompt(userId, guildId) {
+    getUserModerationRecord(userId, guildId) {
         try {
             // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            // Get user data
-            const userData = this.getUser(userId, guildId);
+            const stmt = this.db.prepare(`
+                SELECT banner_url, avatar_url, warning_count, is_blacklisted
+                FROM users_${guildId}
+                WHERE user_id = ?
+            `);
 
-            // Check if user is at max level with max XP
-            const maxLevelXP = this.xpForLevel(config.xp.maxLevel);
+            const row = stmt.get(userId);
+            if (!row) return null;
 
-            return userData.level >= config.xp.maxLevel && userData.xp >= maxLevelXP;
+            return {
+                bannerUrl: row.banner_url,
+                avatarUrl: row.avatar_url,
+                warningCount: row.warning_count,
+                isBlacklisted: row.is_blacklisted === 1
+            };
         } catch (error) {
-            console.error(`Error checking sacrifice eligibility for user ${userId} in guild ${guildId}:`, error);
-            return false;
+            console.error(`Error getting moderation record for user ${userId} in guild ${guildId}:`, error);
+            return null;
         }
     }
 
     /**
-     * Reset sacrifice pending flag (for timeout)
+     * Get the IDs of every guild that has tables in the database
+     * @returns {Array<string>} Guild IDs
+     */
+    getGuildIds() {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT name FROM sqlite_master
+                WHERE type = 'table' AND name LIKE 'users_%'
+            `);
+
+            return stmt.all()
+                .map(row => row.name.match(/^users_(\d+)$/))
+                .filter(Boolean)
+                .map(match => match[1]);
+        } catch (error) {
+            console.error('Error getting guild IDs:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Find every guild where a user has uploaded content
+     * @param {string} userId - User ID
+     * @returns {Array} Guild content entries ({ guildId, bannerUrl, avatarUrl, warningCount, isBlacklisted })
+     */
+    getUserContentGuilds(userId) {
+        const results = [];
+
+        for (const guildId of this.getGuildIds()) {
+            try {
+                const stmt = this.db.prepare(`
+                    SELECT banner_url, avatar_url, warning_count, is_blacklisted
+                    FROM users_${guildId}
+                    WHERE user_id = ?
+                `);
+
+                const row = stmt.get(userId);
+
+                if (row && (row.banner_url || row.avatar_url)) {
+                    results.push({
+                        guildId,
+                        bannerUrl: row.banner_url,
+                        avatarUrl: row.avatar_url,
+                        warningCount: row.warning_count,
+                        isBlacklisted: row.is_blacklisted === 1
+                    });
+                }
+            } catch (error) {
+                console.error(`Error checking content for user ${userId} in guild ${guildId}:`, error);
+            }
+        }
+
+        return results;
+    }
+
+    /**
+     * Clear a user's banner and avatar in a guild
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
      * @returns {boolean} Success
      */
-    resetSacrificePending(userId, guildId) {
+    clearUserContent(userId, guildId) {
         try {
             // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            const resetStmt = this.db.prepare(`
+            const clearStmt = this.db.prepare(`
                 UPDATE users_${guildId}
-                SET sacrifice_pending = 0,
+                SET banner_url = NULL,
+                    avatar_url = NULL,
                     updated_at = ?
                 WHERE user_id = ?
             `);
 
             const now = Date.now();
-            resetStmt.run(now, userId);
+            const result = clearStmt.run(now, userId);
+            return result.changes > 0;
+        } catch (error) {
+            console.error(`Error clearing content for user ${userId} in guild ${guildId}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Get every XP cooldown that hasn't expired yet
+     * @returns {Array<object>} Cooldowns ({ key, expiresAt })
+     */
+    getActiveXPCooldowns() {
+        try {
+            const stmt = this.db.prepare(`
+                SELECT cooldown_key, expires_at FROM xp_cooldowns
+                WHERE expires_at > ?
+            `);
+
+            return stmt.all(Date.now()).map(row => ({
+                key: row.cooldown_key,
+                expiresAt: row.expires_at
+            }));
+        } catch (error) {
+            console.error('Error getting XP cooldowns:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Store an XP cooldown so it survives a restart
+     * @param {string} key - Cooldown key
+     * @param {number} expiresAt - Expiry timestamp (ms)
+     * @returns {boolean} Success
+     */
+    setXPCooldown(key, expiresAt) {
+        try {
+            const stmt = this.db.prepare(`
+                INSERT INTO xp_cooldowns (cooldown_key, expires_at)
+                VALUES (?, ?)
+                ON CONFLICT(cooldown_key) DO UPDATE SET
+                expires_at = excluded.expires_at
+            `);
+
+            stmt.run(key, expiresAt);
             return true;
         } catch (error) {
-            console.error(`Error resetting sacrifice pending for user ${userId} in guild ${guildId}:`, error);
+            console.error(`Error saving XP cooldown ${key}:`, error);
             return false;
         }
     }
 
     /**
-     * Get a user's banner URL
+     * Remove expired XP cooldowns
+     * @param {number} now - Current timestamp (ms)
+     * @returns {number} Number of cooldowns removed
+     */
+    deleteExpiredXPCooldowns(now = Date.now()) {
+        try {
+            const stmt = this.db.prepare(`DELETE FROM xp_cooldowns WHERE expires_at <= ?`);
+            return stmt.run(now).changes;
+        } catch (error) {
+            console.error('Error deleting expired XP cooldowns:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get the message XP a user has earned on a given day
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
-     * @returns {string|null} Banner URL or null
+     * @param {string} day - UTC date (YYYY-MM-DD)
+     * @returns {number} XP earned that day
      */
-    getUserBanner(userId, guildId) {
+    getDailyXP(userId, guildId, day) {
         try {
-            // Ensure guild tables exist
-            this.ensureGuildTables(guildId);
+            const user = this.ensureGuildUser(userId, guildId);
+            return user.daily_xp_date === day ? user.daily_xp : 0;
+        } catch (error) {
+            console.error(`Error getting daily XP for user ${userId} in guild ${guildId}:`, error);
+            return 0;
+        }
+    }
 
-            // Ensure user exists
+    /**
+     * Add to the message XP a user has earned on a given day
+     * Totals from earlier days are replaced rather than added to
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     * @param {number} xpAmount - XP earned
+     * @param {string} day - UTC date (YYYY-MM-DD)
+     * @returns {number} XP earned that day, including this amount
+     */
+    addDailyXP(userId, guildId, xpAmount, day) {
+        try {
             this.ensureGuildUser(userId, guildId);
 
-            // Get banner URL directly
-            const getBannerStmt = this.db.prepare(`
-                SELECT banner_url FROM users_${guildId}
+            const stmt = this.db.prepare(`
+                UPDATE users_${guildId}
+                SET daily_xp = CASE WHEN daily_xp_date = ? THEN daily_xp + ? ELSE ? END,
+                    daily_xp_date = ?,
+                    updated_at = ?
                 WHERE user_id = ?
+                RETURNING daily_xp
             `);
 
-            const result = getBannerStmt.get(userId);
-            return result ? result.banner_url : null;
+            return stmt.get(day, xpAmount, xpAmount, day, Date.now(), userId).daily_xp;
         } catch (error) {
-            console.error(`Error getting banner for user ${userId} in guild ${guildId}:`, error);
-            return null;
+            console.error(`Error adding daily XP for user ${userId} in guild ${guildId}:`, error);
+            return 0;
+        }
+    }
+
+    /**
+     * Get an engagement XP counter (daily totals, giver/receiver pairs, counted reactions and thread participants)
+     * @param {string} guildId - Guild ID
+     * @param {string} counterKey - Counter key
+     * @param {number} now - Current time (expired counters read as 0)
+     * @returns {number} Counter value
+     */
+    getEngagementCount(guildId, counterKey, now = Date.now()) {
+        try {
+            this.ensureGuildTables(guildId);
+
+            const row = this.db.prepare(`
+                SELECT count FROM engagement_counts_${guildId}
+                WHERE counter_key = ? AND (expires_at IS NULL OR expires_at > ?)
+            `).get(counterKey, now);
+
+            return row ? row.count : 0;
+        } catch (error) {
+            console.error(`Error getting engagement counter ${counterKey} for guild ${guildId}:`, error);
+            return 0;
         }
     }
 
     /**
-     * Set a user's banner URL
-     * @param {string} userId - User ID
+     * Add to an engagement XP counter, starting it over if it has expired
      * @param {string} guildId - Guild ID
-     * @param {string} bannerUrl - Banner URL
-     * @returns {boolean} Success
+     * @param {string} counterKey - Counter key
+     * @param {number} amount - Amount to add
+     * @param {number|null} expiresAt - When the counter resets (null = never)
+     * @param {number} now - Current time
+     * @returns {number} Counter value including this amount
      */
-    setUserBanner(userId, guildId, bannerUrl) {
+    addEngagementCount(guildId, counterKey, amount, expiresAt, now = Date.now()) {
         try {
-            // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            // Ensure user exists
-            this.ensureGuildUser(userId, guildId);
-
-            // Update banner URL
-            const updateBannerStmt = this.db.prepare(`
-                UPDATE users_${guildId}
-                SET banner_url = ?,
-                    updated_at = ?
-                WHERE user_id = ?
+            const stmt = this.db.prepare(`
+                INSERT INTO engagement_counts_${guildId} (counter_key, count, expires_at, updated_at)
+                VALUES (?, ?, ?, ?)
+                ON CONFLICT(counter_key) DO UPDATE SET
+                count = CASE WHEN expires_at IS NULL OR expires_at > ? THEN count + excluded.count ELSE excluded.count END,
+                expires_at = excluded.expires_at,
+                updated_at = excluded.updated_at
+                RETURNING count
             `);
 
-            const now = Date.now();
-            const result = updateBannerStmt.run(bannerUrl, now, userId);
-            return result.changes > 0;
+            return stmt.get(counterKey, amount, expiresAt, now, now).count;
         } catch (error) {
-            console.error(`Error setting banner for user ${userId} in guild ${guildId}:`, error);
-            return false;
+            console.error(`Error updating engagement counter ${counterKey} for guild ${guildId}:`, error);
+            return 0;
         }
     }
 
     /**
-     * Get a user's avatar URL
-     * @param {string} userId - User ID
+     * Delete expired engagement XP counters
      * @param {string} guildId - Guild ID
-     * @returns {string|null} Avatar URL or null
+     * @param {number} now - Current time
+     * @returns {number} Number of counters deleted
      */
-    getUserAvatar(userId, guildId) {
+    pruneEngagementCounts(guildId, now = Date.now()) {
         try {
-            // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            // Ensure user exists
-            this.ensureGuildUser(userId, guildId);
-
-            // Get avatar URL directly
-            const getAvatarStmt = this.db.prepare(`
-                SELECT avatar_url FROM users_${guildId}
-                WHERE user_id = ?
-            `);
-
-            const result = getAvatarStmt.get(userId);
-            return result ? result.avatar_url : null;
+            return this.db.prepare(`
+                DELETE FROM engagement_counts_${guildId}
+                WHERE expires_at IS NOT NULL AND expires_at <= ?
+            `).run(now).changes;
         } catch (error) {
-            console.error(`Error getting avatar for user ${userId} in guild ${guildId}:`, error);
-            return null;
+            console.error(`Error pruning engagement counters for guild ${guildId}:`, error);
+            return 0;
         }
     }
 
     /**
-     * Set a user's avatar URL
+     * Record that a user was active on a day and advance their streak
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
-     * @param {string} avatarUrl - Avatar URL
-     * @returns {boolean} Success
+     * @param {string} day - UTC date (YYYY-MM-DD)
+     * @param {number} graceDays - Missed days allowed without breaking the streak
+     * @returns {object} { current, best, advanced, graceUsed }
      */
-    setUserAvatar(userId, guildId, avatarUrl) {
+    recordStreakDay(userId, guildId, day, graceDays = 0) {
         try {
-            // Ensure guild tables exist
-            this.ensureGuildTables(guildId);
-
-            // Ensure user exists
             this.ensureGuildUser(userId, guildId);
 
-            // Update avatar URL
-            const updateAvatarStmt = this.db.prepare(`
-                UPDATE users_${guildId}
-                SET avatar_url = ?,
-                    updated_at = ?
-                WHERE user_id = ?
-            `);
+            const transaction = this.db.transaction(() => {
+                const user = this.db.prepare(`
+                    SELECT streak_current, streak_best, streak_last_day FROM users_${guildId}
+                    WHERE user_id = ?
+                `).get(userId);
 
-            const now = Date.now();
-            const result = updateAvatarStmt.run(avatarUrl, now, userId);
-            return result.changes > 0;
+                // Already counted today
+                if (user.streak_last_day === day) {
+                    return { current: user.streak_current, best: user.streak_best, advanced: false, graceUsed: false };
+                }
+
+                const daysSince = user.streak_last_day ? getDaysBetween(user.streak_last_day, day) : null;
+                const continues = daysSince !== null && daysSince >= 1 && daysSince <= 1 + graceDays;
+                const current = continues ? user.streak_current + 1 : 1;
+                const best = Math.max(user.streak_best, current);
+
+                this.db.prepare(`
+                    UPDATE users_${guildId}
+                    SET streak_current = ?,
+                        streak_best = ?,
+                        streak_last_day = ?,
+                        updated_at = ?
+                    WHERE user_id = ?
+                `).run(current, best, day, Date.now(), userId);
+
+                return { current, best, advanced: true, graceUsed: continues && daysSince > 1 };
+            });
+
+            return transaction();
         } catch (error) {
-            console.error(`Error setting avatar for user ${userId} in guild ${guildId}:`, error);
-            return false;
+            console.error(`Error recording streak for user ${userId} in guild ${guildId}:`, error);
+            return { current: 0, best: 0, advanced: false, graceUsed: false };
         }
     }
 
     /**
-     * Set blacklist status for a user (global)
+     * Mark a streak milestone as rewarded for a user
      * @param {string} userId - User ID
-     * @param {boolean} blacklisted - Whether user is blacklisted
-     * @param {string} reason - Reason for blacklisting
-     * @param {string} adminId - ID of admin who blacklisted
-     * @returns {boolean} Success
+     * @param {string} guildId - Guild ID
+     * @param {number} days - Milestone streak length
+     * @returns {boolean} Whether the milestone was newly claimed (false if it was rewarded before)
      */
-    setGlobalUserBlacklist(userId, blacklisted, reason = null, adminId = null) {
+    claimStreakMilestone(userId, guildId, days) {
         try {
-            // Ensure user exists in global table
-            this.ensureGlobalUser(userId);
+            this.ensureGuildUser(userId, guildId);
 
-            const now = Date.now();
+            const transaction = this.db.transaction(() => {
+                const user = this.db.prepare(`SELECT streak_milestones FROM users_${guildId} WHERE user_id = ?`).get(userId);
+                const claimed = JSON.parse(user.streak_milestones || '[]');
 
-            const updateStmt = this.db.prepare(`
-                UPDATE users_global
-                SET is_blacklisted = ?,
-                    blacklist_reason = ?,
-                    blacklisted_at = ?,
-                    blacklisted_by = ?,
-                    last_updated = ?
-                WHERE user_id = ?
-            `);
+                if (claimed.includes(days)) {
+                    return false;
+                }
 
-            const result = updateStmt.run(
-                blacklisted ? 1 : 0,
-                reason,
-                blacklisted ? now : null,
-                adminId,
-                now,
-                userId
-            );
+                claimed.push(days);
+                this.db.prepare(`
+                    UPDATE users_${guildId}
+                    SET streak_milestones = ?,
+                        updated_at = ?
+                    WHERE user_id = ?
+                `).run(JSON.stringify(claimed), Date.now(), userId);
 
-            return result.changes > 0;
+                return true;
+            });
+
+            return transaction();
         } catch (error) {
-            console.error(`Error setting global blacklist for user ${userId}:`, error);
+            console.error(`Error claiming streak milestone for user ${userId} in guild ${guildId}:`, error);
             return false;
         }
     }
 
     /**
-     * Check if a user is globally blacklisted
+     * Get a user's streak as of a day, treating streaks that can no longer continue as broken
      * @param {string} userId - User ID
-     * @returns {boolean} Whether user is blacklisted
+     * @param {string} guildId - Guild ID
+     * @param {string} day - UTC date (YYYY-MM-DD)
+     * @param {number} graceDays - Missed days allowed without breaking the streak
+     * @returns {object} { current, best }
      */
-    isUserGloballyBlacklisted(userId) {
+    getStreak(userId, guildId, day, graceDays = 0) {
         try {
-            // Don't try to use ensureGuildTables for global settings
-            const stmt = this.db.prepare(`
-                SELECT is_blacklisted FROM users_global
-                WHERE user_id = ?
-            `);
+            const user = this.ensureGuildUser(userId, guildId);
+            const daysSince = user.streak_last_day ? getDaysBetween(user.streak_last_day, day) : null;
+            const alive = daysSince !== null && daysSince <= 1 + graceDays;
 
-            const result = stmt.get(userId);
-            return result ? result.is_blacklisted === 1 : false;
+            return {
+                current: alive ? user.streak_current : 0,
+                best: user.streak_best
+            };
         } catch (error) {
-            console.error(`Error checking global blacklist for user ${userId}:`, error);
-            return false;
+            console.error(`Error getting streak for user ${userId} in guild ${guildId}:`, error);
+            return { current: 0, best: 0 };
         }
     }
 
     /**
-     * Set blacklist status for a user in a guild
-     * @param {string} userId - User ID
+     * Get users who have been inactive since a time and still have XP above the decay floor
      * @param {string} guildId - Guild ID
-     * @param {boolean} blacklisted - Whether user is blacklisted
-     * @returns {boolean} Success
+     * @param {number} inactiveSince - Users last active before this time decay
+     * @param {number} floorXP - XP decay can't take users below
+     * @returns {Array} Users ({ user_id, xp, level, last_message })
      */
-    setGuildUserBlacklist(userId, guildId, blacklisted) {
+    getDecayCandidates(guildId, inactiveSince, floorXP) {
         try {
-            // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            // Ensure user exists
-            this.ensureGuildUser(userId, guildId);
-
-            const updateStmt = this.db.prepare(`
-                UPDATE users_${guildId}
-                SET is_blacklisted = ?,
-                    updated_at = ?
-                WHERE user_id = ?
-            `);
-
-            const now = Date.now();
-            const result = updateStmt.run(blacklisted ? 1 : 0, now, userId);
-            return result.changes > 0;
+            return this.db.prepare(`
+                SELECT user_id, xp, level, last_message FROM users_${guildId}
+                WHERE last_message < ? AND xp > ?
+            `).all(inactiveSince, floorXP);
         } catch (error) {
-            console.error(`Error setting guild blacklist for user ${userId} in guild ${guildId}:`, error);
-            return false;
+            console.error(`Error getting decay candidates for guild ${guildId}:`, error);
+            return [];
         }
     }
 
     /**
-     * Check if a user is blacklisted in a guild
-     * @param {string} userId - User ID
+     * Get users who will start decaying soon and haven't been warned since they were last active
      * @param {string} guildId - Guild ID
-     * @returns {boolean} Whether user is blacklisted
+     * @param {number} warnSince - Users last active before this time are warned
+     * @param {number} inactiveSince - Users last active before this time are already decaying
+     * @param {number} floorXP - XP decay can't take users below
+     * @returns {Array} Users ({ user_id, xp, level, last_message })
      */
-    isUserGuildBlacklisted(userId, guildId) {
+    getDecayWarningCandidates(guildId, warnSince, inactiveSince, floorXP) {
         try {
-            // Ensure guild tables exist
             this.ensureGuildTables(guildId);
 
-            // Check global blacklist first
-            if (this.isUserGloballyBlacklisted(userId)) {
-                return true;
-            }
-
-            // Then check guild-specific blacklist
-            const stmt = this.db.prepare(`
-                SELECT is_blacklisted FROM users_${guildId}
-                WHERE user_id = ?
-            `);
-
-            const result = stmt.get(userId);
-            return result ? result.is_blacklisted === 1 : false;
+            return this.db.prepare(`
+                SELECT user_id, xp, level, last_message FROM users_${guildId}
+                WHERE last_message < ? AND last_message >= ? AND xp > ?
+                AND decay_warned_at < last_message
+            `).all(warnSince, inactiveSince, floorXP);
         } catch (error) {
-            console.error(`Error checking guild blacklist for user ${userId} in guild ${guildId}:`, error);
-            return false;
+            console.error(`Error getting decay warning candidates for guild ${guildId}:`, error);
+            return [];
         }
     }
 
     /**
-     * Increment warning count for a user
+     * Record that a user was warned about upcoming XP decay
      * @param {string} userId - User ID
      * @param {string} guildId - Guild ID
-     * @returns {number} New warning count
+     * @param {number} warnedAt - When the warning was sent
+     * @returns {boolean} Success
      */
-    incrementUserWarnings(userId, guildId) {
+    markDecayWarned(userId, guildId, warnedAt = Date.now()) {
         try {
-            // Ensure guild tables exist
-            this.ensureGuildTables(guildId);
-
-            // Ensure user exists
-            this.ensureGuildUser(userId, guildId);
-
-            const updateStmt = this.db.prepare(`
+            this.db.prepare(`
                 UPDATE users_${guildId}
-                SET warning_count = warning_count + 1,
-                    updated_at = ?
+                SET decay_warned_at = ?
                 WHERE user_id = ?
-            `);
-
-            const getStmt = this.db.prepare(`
-                SELECT warning_count FROM users_${guildId}
-                WHERE user_id = ?
-            `);
-
-            const now = Date.now();
-            updateStmt.run(now, userId);
+            `).run(warnedAt, userId);
 
-            const result = getStmt.get(userId);
-            return result ? result.warning_count : 0;
+            return true;
         } catch (error) {
-            console.error(`Error incrementing warnings for user ${userId} in guild ${guildId}:`, error);
-            throw error;
+            console.error(`Error marking decay warning for user ${userId} in guild ${guildId}:`, error);
+            return false;
         }
     }
 
     /**
-     * Get warning count for a user
-     * @param {string} userId - User ID
-     * @param {string} guildId - Guild ID
-     * @returns {number} Warning count
+     * Add to a numeric statistic, starting from 0 if it doesn't exist
+     * @param {string} key - Statistic key
+     * @param {number} amount - Amount to add
+     * @returns {boolean} Success
      */
-    getUserWarnings(userId, guildId) {
+    incrementStatistic(key, amount = 1) {
         try {
-            // Ensure guild tables exist
-            this.ensureGuildTables(guildId);
-
-            // Ensure user exists
-            this.ensureGuildUser(userId, guildId);
-
             const stmt = this.db.prepare(`
-                SELECT warning_count FROM users_${guildId}
-                WHERE user_id = ?
+                INSERT INTO statistics (key, value, updated_at)
+                VALUES (?, ?, ?)
+                ON CONFLICT(key) DO UPDATE SET
+                value = CAST(value AS INTEGER) + excluded.value,
+                updated_at = excluded.updated_at
             `);
 
-            const result = stmt.get(userId);
-            return result ? result.warning_count : 0;
+            const result = stmt.run(key, amount, Date.now());
+            return result.changes > 0;
         } catch (error) {
-            console.error(`Error getting warnings for user ${userId} in guild ${guildId}:`, error);
-            return 0;
+            console.error(`Error incrementing statistic ${key}:`, error);
+            return false;
         }
     }
 
@@ -1615,7 +3538,7 @@ class LevelingDatabase {
 
         const oldUpdateGuildSetting = this.updateGuildSetting;
 
-        this.updateGuildSetting = async (guildId, settingKey, settingValue) => {
+        this.updateGuildSetting = async (guildId, settingKey, settingValue, actorId = null) => {
             // If global is used as guild ID, use the global setting method
             if (guildId === 'global') {
                 const success = this.setGlobalSetting(settingKey, settingValue);
@@ -1628,13 +3551,98 @@ class LevelingDatabase {
             }
 
             // Otherwise use the normal method
-            return oldUpdateGuildSetting.call(this, guildId, settingKey, settingValue);
+            return oldUpdateGuildSetting.call(this, guildId, settingKey, settingValue, actorId);
         };
     }
 
     // MIGRATION FUNCTIONS
 
+    /**
+     * Get the schema version recorded in the database
+     * @returns {number} Schema version (0 for databases that predate migrations)
+     */
+    getSchemaVersion() {
+        const row = this.db.prepare(`
+            SELECT setting_value FROM settings_global
+            WHERE setting_key = 'schema_version'
+        `).get();
+
+        return row ? Number(row.setting_value) : 0;
+    }
+
+    /**
+     * Apply every pending migration to the core tables and all existing guilds
+     */
+    runMigrations() {
+        try {
+            const currentVersion = this.getSchemaVersion();
+
+            if (currentVersion > LATEST_SCHEMA_VERSION) {
+                throw new Error(
+                    `Database schema version ${currentVersion} is newer than this bot supports (${LATEST_SCHEMA_VERSION}). ` +
+                    'Update the bot before starting it against this database.'
+                );
+            }
+
+            const pending = migrations
+                .filter(migration => migration.version > currentVersion)
+                .sort((a, b) => a.version - b.version);
+
+            if (pending.length === 0) {
+                return;
+            }
+
+            const guildIds = this.getGuildIds();
+
+            const setVersionStmt = this.db.prepare(`
+                INSERT INTO settings_global (setting_key, setting_value, created_at, updated_at)
+                VALUES ('schema_version', ?, ?, ?)
+                ON CONFLICT(setting_key) DO UPDATE SET
+                setting_value = excluded.setting_value,
+                updated_at = excluded.updated_at
+            `);
+
+            for (const migration of pending) {
+                // Each migration either fully applies or leaves the version untouched
+                const transaction = this.db.transaction(() => {
+                    if (migration.core) {
+                        migration.core(this.db);
+                    }
+
+                    if (migration.guild) {
+                        for (const guildId of guildIds) {
+                            migration.guild(this.db, guildId);
+                        }
+                    }
+
+                    const now = Date.now();
+                    setVersionStmt.run(String(migration.version), now, now);
+                });
+
+                transaction();
+                console.log(`Applied database migration ${migration.version}: ${migration.description} (${guildIds.length} guilds)`);
+            }
+        } catch (error) {
+            console.error('Error running database migrations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply every guild migration to one guild's tables
+     * @param {string} guildId - Guild ID
+     */
+    applyGuildMigrations(guildId) {
+        const transaction = this.db.transaction(() => {
+            for (const migration of migrations) {
+                if (migration.guild) {
+                    migration.guild(this.db, guildId);
+                }
+            }
+        });
 
+        transaction();
+    }
 }
 
 module.exports = LevelingDatabase;
\ No newline at end of file
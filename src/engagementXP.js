@@ -0,0 +1,227 @@
+// Engagement XP for receiving reactions and replies and for starting active threads
+const { MessageType } = require('discord.js');
+const config = require('./config');
+const { isXPChannel } = require('./levelingSystem');
+
+// Engagement types and the setting that configures each
+const ENGAGEMENT_TYPES = ['reactions', 'replies', 'threads'];
+
+/**
+ * Awards XP to members when others engage with what they post.
+ * Anti-farming counters (daily totals, giver/receiver pairs, already counted
+ * reactions/replies and thread participants) are stored in the database so
+ * restarts don't hand out a fresh allowance.
+ */
+class EngagementXPTracker {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     * @param {Function} onXPEarned - Called with (member, channel, result) after engagement XP is awarded
+     */
+    constructor(client, db, onXPEarned) {
+        this.client = client;
+        this.db = db;
+        this.onXPEarned = onXPEarned;
+        this.day = null; // UTC day expired counters were last pruned
+    }
+
+    /**
+     * Get engagement XP settings for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {object} Engagement settings
+     */
+    getSettings(guildId) {
+        return getEngagementSettings(this.db, guildId);
+    }
+
+    // Delete expired counters once the UTC day changes
+    rollDay() {
+        const today = new Date().toISOString().slice(0, 10);
+        if (this.day === today) return;
+
+        this.day = today;
+        for (const guildId of this.db.getGuildIds()) {
+            this.db.pruneEngagementCounts(guildId);
+        }
+    }
+
+    /**
+     * Handle a reaction being added to a message
+     * @param {MessageReaction} reaction - Reaction (may be partial)
+     * @param {User} user - User who reacted (may be partial)
+     */
+    async handleReactionAdd(reaction, user) {
+        if (user.partial) {
+            user = await user.fetch();
+        }
+
+        if (user.bot) return;
+
+        if (reaction.partial) {
+            reaction = await reaction.fetch();
+        }
+
+        const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+        if (!message.guild || !message.author || message.author.bot) return;
+
+        // Reacting to your own message earns nothing
+        if (message.author.id === user.id) return;
+
+        if (!this.isEligibleMessage(message)) return;
+
+        await this.award({
+            guild: message.guild,
+            type: 'reactions',
+            giverId: user.id,
+            receiverId: message.author.id,
+            targetId: message.id,
+            channel: message.channel
+        });
+    }
+
+    /**
+     * Handle a new guild message: reward the author of the message it replies to,
+     * and the starter of the thread it was posted in
+     * @param {Message} message - New message
+     */
+    async handleMessage(message) {
+        if (!message.guild || message.author.bot) return;
+
+        if (message.type === MessageType.Reply && message.reference && message.reference.messageId) {
+            const original = await message.fetchReference().catch(() => null);
+
+            if (original && original.author && !original.author.bot &&
+                original.author.id !== message.author.id && this.isEligibleMessage(original)) {
+                await this.award({
+                    guild: message.guild,
+                    type: 'replies',
+                    giverId: message.author.id,
+                    receiverId: original.author.id,
+                    targetId: original.id,
+                    channel: message.channel
+                });
+            }
+        }
+
+        const thread = message.channel;
+        if (thread.isThread() && thread.ownerId && thread.ownerId !== message.author.id) {
+            const settings = this.getSettings(message.guild.id);
+            const threadKey = `thread:${thread.id}`;
+
+            // Threads opened by bots (e.g. support or ticket bots) earn nothing
+            const owner = message.guild.members.cache.get(thread.ownerId) ||
+                await message.guild.members.fetch(thread.ownerId).catch(() => null);
+            if (!owner || owner.user.bot) return;
+
+            // The participant limit covers the whole life of the thread
+            if (this.db.getEngagementCount(message.guild.id, threadKey) >= settings.maxThreadParticipants) return;
+
+            const result = await this.award({
+                guild: message.guild,
+                type: 'threads',
+                giverId: message.author.id,
+                receiverId: thread.ownerId,
+                targetId: thread.id,
+                channel: thread
+            });
+
+            if (result) {
+                this.db.addEngagementCount(message.guild.id, threadKey, 1, null);
+            }
+        }
+    }
+
+    /**
+     * Check whether engaging with a message can still earn XP
+     * @param {Message} message - Message being engaged with
+     * @returns {boolean} Whether the message is eligible
+     */
+    isEligibleMessage(message) {
+        const settings = this.getSettings(message.guild.id);
+        if (!settings.enabled) return false;
+
+        // Digging up old messages to react to doesn't count
+        if (Date.now() - message.createdTimestamp > settings.maxMessageAgeHours * 60 * 60 * 1000) return false;
+
+        return isXPChannel(this.db, message.guild.id, message.channel);
+    }
+
+    /**
+     * Award engagement XP if the giver, receiver and target haven't hit any limits
+     * @param {object} options - Award details
+     * @param {Guild} options.guild - Guild
+     * @param {string} options.type - 'reactions', 'replies' or 'threads'
+     * @param {string} options.giverId - Member engaging
+     * @param {string} options.receiverId - Member receiving XP
+     * @param {string} options.targetId - Message or thread engaged with
+     * @param {TextBasedChannel} options.channel - Channel for level up announcements
+     * @returns {Promise<object|null>} Result from db.addXP, or null if nothing was awarded
+     */
+    async award({ guild, type, giverId, receiverId, targetId, channel }) {
+        const settings = this.getSettings(guild.id);
+        const typeSettings = settings[type];
+        if (!settings.enabled || !typeSettings || typeSettings.xp <= 0) return null;
+
+        this.rollDay();
+
+        const now = Date.now();
+        const date = new Date(now);
+        const endOfDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+
+        // Each reaction, reply or thread participant only counts once
+        const countedKey = `counted:${type}:${giverId}:${targetId}`;
+        if (this.db.getEngagementCount(guild.id, countedKey, now) > 0) return null;
+
+        // One member can't pump up another's XP all day
+        const pairKey = `pair:${giverId}:${receiverId}`;
+        if (this.db.getEngagementCount(guild.id, pairKey, now) >= settings.pairDailyLimit) return null;
+
+        const totalKey = `total:${receiverId}:${type}`;
+        const earnedToday = this.db.getEngagementCount(guild.id, totalKey, now);
+        const xpToAdd = typeSettings.dailyCap > 0
+            ? Math.min(typeSettings.xp, typeSettings.dailyCap - earnedToday)
+            : typeSettings.xp;
+        if (xpToAdd <= 0) return null;
+
+        // Reactions and replies stop counting once the message is too old to earn XP,
+        // so they only need remembering until then; thread participants count for good
+        const countedExpiresAt = type === 'threads' ? null : now + settings.maxMessageAgeHours * 60 * 60 * 1000;
+        this.db.addEngagementCount(guild.id, countedKey, 1, countedExpiresAt, now);
+        this.db.addEngagementCount(guild.id, pairKey, 1, endOfDay, now);
+        this.db.addEngagementCount(guild.id, totalKey, xpToAdd, endOfDay, now);
+
+        const result = this.db.addXP(receiverId, xpToAdd, guild.id, {
+            source: 'engagement',
+            channelId: channel ? channel.id : null
+        });
+
+        const member = guild.members.cache.get(receiverId) ||
+            await guild.members.fetch(receiverId).catch(() => null);
+
+        if (member) {
+            await this.onXPEarned(member, channel, result);
+        }
+
+        return result;
+    }
+}
+
+// Get a guild's engagement XP settings, filling in defaults from the config
+function getEngagementSettings(db, guildId) {
+    const defaults = config.xp.engagement;
+    const saved = db.getGuildSetting(guildId, 'engagement_xp', null) || {};
+    const settings = { ...defaults, ...saved };
+
+    // Amounts and caps are saved per type, so merge those separately
+    for (const type of ENGAGEMENT_TYPES) {
+        settings[type] = { ...defaults[type], ...(saved[type] || {}) };
+    }
+
+    return settings;
+}
+
+module.exports = {
+    EngagementXPTracker,
+    ENGAGEMENT_TYPES,
+    getEngagementSettings
+};
@@ -2,16 +2,16 @@
 const {
     Client,
     GatewayIntentBits,
+    Partials,
     ActivityType,
     REST,
-    Routes,
-    EmbedBuilder
+    Routes
 } = require('discord.js');
 
 // Load modules
 const config = require('./config');
-const { LevelingDB, XPCooldownManager, generateXP } = require('./levelingSystem');
-const { definitions: commandDefinitions, handlers: commandHandlers, setDatabase } = require('./commands');
+const { LevelingDB, XPCooldownManager, generateXP, getXPMultiplier, isXPChannel } = require('./levelingSystem');
+const { definitions: commandDefinitions, handlers: commandHandlers, setDatabase, setupLeaderboardHandlers, setupSacrificeHandlers } = require('./commands');
 const { definitions: adminCommandDefinitions, handlers: adminCommandHandlers, setDatabase: setAdminDatabase } = require('./commandsAdmin');
 const { definitions: ugcCommandDefinitions, handlers: ugcCommandHandlers } = require('./commandsUGC');
 const { initializeUGCServer } = require('./ugc-server');
@@ -21,6 +21,17 @@ const { definitions: setupCommandDefinitions, handlers: setupCommandHandlers, se
 const { definitions: debugCommandDefinitions, handlers: debugCommandHandlers, setDatabase: setDebugDatabase } = require('./commandsDebug');
 const { extendUGCCommands, handleReportRequest } = require('./ugc-report');
 const { setupReportHandlers } = require('./report-utils');
+const { VoiceXPTracker } = require('./voiceXP');
+const { LevelUpService } = require('./levelUpService');
+const { AuditLogMirror } = require('./auditLog');
+const { XPEventScheduler } = require('./xpEvents');
+const { MessageQualityFilter } = require('./messageQuality');
+const { EngagementXPTracker } = require('./engagementXP');
+const { StreakService } = require('./streaks');
+const { XPDecayJob } = require('./xpDecay');
+const { XPLedgerPruner } = require('./xpLedger');
+const { PeriodRolloverJob } = require('./leaderboardPeriods');
+const { LeaderboardDigest } = require('./leaderboardDigest');
 
 // Validate critical configuration
 function validateConfig() {
@@ -57,8 +68,12 @@ const client = new Client({
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
         GatewayIntentBits.GuildMembers,
+        GatewayIntentBits.GuildVoiceStates, // Needed for voice XP
+        GatewayIntentBits.GuildMessageReactions, // Needed for reaction engagement XP
         GatewayIntentBits.DirectMessages // Add this to handle DM uploads
-    ]
+    ],
+    // Reactions on messages sent before the bot started arrive as partials
+    partials: [Partials.Message, Partials.Reaction, Partials.User]
 });
 
 // Initialize database and cooldown manager
@@ -86,6 +101,14 @@ try {
     client.levelingDB = db;
     setupReportHandlers(client);
     console.log('Enhanced report system initialized');
+    setupLeaderboardHandlers(client);
+    setupSacrificeHandlers(client);
+
+    // Sacrifice confirmations that expired while the bot was offline
+    const clearedSacrifices = db.clearExpiredSacrifices();
+    if (clearedSacrifices > 0) {
+        console.log(`Cleared ${clearedSacrifices} expired sacrifice confirmations`);
+    }
     console.log('Database initialized successfully');
 } catch (error) {
     console.error('Failed to initialize database:', error);
@@ -101,7 +124,61 @@ try {
     console.error('Failed to initialize UGC server:', error);
 }
 
-const cooldownManager = new XPCooldownManager();
+const cooldownManager = new XPCooldownManager(db);
+
+// Keeps low-effort and farmed messages from earning XP
+const qualityFilter = new MessageQualityFilter(db);
+
+// Level up handling shared by every XP source
+const levelUpService = new LevelUpService(client, db);
+client.levelUpService = levelUpService;
+
+// Daily streaks are extended by message, voice and engagement XP
+const streakService = new StreakService(client, db, levelUpService);
+
+// Voice and engagement XP (reactions, replies, threads) use the same level up
+// announcement as message XP and count towards daily streaks too
+async function handleTrackedXP(member, channel, result) {
+    await levelUpService.handleLevelUp({
+        guild: member.guild,
+        member,
+        user: member.user,
+        channel,
+        result
+    });
+
+    await streakService.recordActivity({
+        guild: member.guild,
+        member,
+        user: member.user,
+        channel
+    });
+}
+
+const voiceXPTracker = new VoiceXPTracker(client, db, handleTrackedXP);
+
+const engagementTracker = new EngagementXPTracker(client, db, handleTrackedXP);
+
+// Mirror audit log entries to each guild's log channel
+const auditLogMirror = new AuditLogMirror(client, db);
+
+// Start and end scheduled XP boost events
+const xpEventScheduler = new XPEventScheduler(client, db);
+client.xpEventScheduler = xpEventScheduler;
+
+// Daily decay of inactive members' XP
+const xpDecayJob = new XPDecayJob(client, db, levelUpService);
+
+// Delete XP ledger entries past each server's retention period
+const xpLedgerPruner = new XPLedgerPruner(db);
+
+// Post leaderboard digests when a server's chosen period ends
+const leaderboardDigest = new LeaderboardDigest(client, db, levelUpService);
+client.leaderboardDigest = leaderboardDigest;
+
+// Reset daily, weekly and monthly leaderboards and archive their winners
+const periodRolloverJob = new PeriodRolloverJob(db, (guildId, period, periodStart) =>
+    leaderboardDigest.handlePeriodEnd(guildId, period, periodStart));
 
 // Function to register slash commands
 async function registerCommands() {
@@ -160,6 +237,28 @@ client.once('ready', () => {
     const activityType = ActivityType[config.bot.activity.type] || ActivityType.Watching;
     client.user.setActivity(config.bot.activity.name, { type: activityType });
 
+    // Start tracking members already sitting in voice channels
+    voiceXPTracker.start();
+
+    // Clean up expired XP cooldowns periodically
+    cooldownManager.start();
+    qualityFilter.start();
+
+    // Post audit entries once channels are cached
+    auditLogMirror.start();
+
+    // Announce XP events once guilds and channels are cached
+    xpEventScheduler.start();
+
+    // Decay runs across every cached guild
+    xpDecayJob.start();
+
+    // Start pruning the XP ledger
+    xpLedgerPruner.start();
+
+    // Roll over leaderboard periods that ended while the bot was offline
+    periodRolloverJob.start();
+
     console.log('Leveling bot is now online!');
 });
 
@@ -226,6 +325,28 @@ client.on('interactionCreate', async interaction => {
     }
 });
 
+// Keep cached usernames current when members rename themselves
+client.on('userUpdate', (oldUser, newUser) => {
+    if (newUser.bot || oldUser.username === newUser.username) return;
+
+    try {
+        db.ensureGlobalUser(newUser.id, newUser.username);
+    } catch (error) {
+        console.error(`Error updating cached username for ${newUser.id}:`, error);
+    }
+});
+
+// Track voice channel joins, leaves, moves, mutes and deafens for voice XP
+client.on('voiceStateUpdate', (oldState, newState) => {
+    voiceXPTracker.handleVoiceStateUpdate(oldState, newState);
+});
+
+// Reward members whose messages get reactions
+client.on('messageReactionAdd', (reaction, user) => {
+    engagementTracker.handleReactionAdd(reaction, user)
+        .catch(error => console.error('Error in reaction engagement XP processing:', error));
+});
+
 // Handle DM messages for image uploads and regular messages for XP
 client.on('messageCreate', async message => {
     // Processing for UGC uploads in DMs
@@ -245,213 +366,56 @@ client.on('messageCreate', async message => {
     // Skip XP checks if message is a command
     if (message.content.startsWith('/')) return;
 
-    // Get user ID and channel ID
+    // Get user ID and guild ID
     const userId = message.author.id;
-    const channelId = message.channel.id;
     const guildId = message.guild.id;
 
-    // Check XP channel settings
-    const xpMode = db.getGuildSetting(guildId, 'xp_channels_mode', 'disable');
+    // Check XP channel settings (whitelist or blacklist)
+    if (!isXPChannel(db, guildId, message.channel)) return;
 
-    // Skip if disabled
-    if (xpMode !== 'disable') {
-        const xpChannels = db.getGuildSetting(guildId, 'xp_channels_list', []);
-        const channelIds = xpChannels.map(c => c.id);
+    // Replies and new thread participants earn engagement XP for the people they engage with
+    engagementTracker.handleMessage(message)
+        .catch(error => console.error('Error in engagement XP processing:', error));
 
-        // Check if the channel is in the list
-        const channelInList = channelIds.includes(channelId);
+    // Check if user is on cooldown in this server/channel
+    if (cooldownManager.isOnCooldown(message.guild.id, message.channel.id, userId)) return;
 
-        // In whitelist mode, skip if channel is not in list
-        // In blacklist mode, skip if channel is in list
-        if ((xpMode === 'whitelist' && !channelInList) ||
-            (xpMode === 'blacklist' && channelInList)) {
-            return;
-        }
-    }
-
-    // Check if user is on cooldown
-    if (cooldownManager.isOnCooldown(userId)) return;
+    // Low-effort messages don't earn XP, but they don't use up the cooldown either
+    if (!qualityFilter.check(message).allowed) return;
 
     // Set new cooldown
-    cooldownManager.setCooldown(userId);
+    cooldownManager.setCooldown(message.guild.id, message.channel.id, userId);
 
     try {
-        // Give XP to user
-        const xpToAdd = generateXP();
-        const result = db.addXP(userId, xpToAdd, message.guild.id);
-
-        // Handle level up if it occurred
-        if (result.leveledUp && config.xp.levelUp.enabled) {
-            // Check if level rewards are enabled
-            const newLevel = result.newLevel;
-            let roleAwarded = [];
-
-            // Get server-specific settings
-            const guildLevelUpChannel = db.getGuildSetting(message.guild.id, 'levelup_channel_id', null);
-            const guildLevelUpDM = db.getGuildSetting(message.guild.id, 'levelup_dm', null);
-            const guildLevelUpPing = db.getGuildSetting(message.guild.id, 'levelup_ping', null);
-
-            // Use server settings if available, otherwise fall back to global config
-            const useDM = guildLevelUpDM !== null ? guildLevelUpDM : config.xp.levelUp.dm;
-            const pingUser = guildLevelUpPing !== null ? guildLevelUpPing : config.xp.levelUp.pingUser;
-
-            // Get level rewards from guild settings
-            const guildRewards = db.getGuildSetting(message.guild.id, 'level_rewards', {});
-
-            // Check for legacy format or new format rewards
-            if (guildRewards[newLevel]) {
-                if (Array.isArray(guildRewards[newLevel])) {
-                    // New format - array of reward objects
-                    for (const reward of guildRewards[newLevel]) {
-                        const roleId = reward.roleId;
-                        const role = message.guild.roles.cache.get(roleId);
-
-                        if (role) {
-                            try {
-                                await message.member.roles.add(role);
-                                roleAwarded.push(role);
-                            } catch (err) {
-                                console.error(`Failed to add role ${roleId} to user ${userId}:`, err);
-                            }
-                        }
-                    }
-                } else {
-                    // Legacy format - single role ID string
-                    const roleId = guildRewards[newLevel];
-                    const role = message.guild.roles.cache.get(roleId);
-
-                    if (role) {
-                        try {
-                            await message.member.roles.add(role);
-                            roleAwarded.push(role);
-                        } catch (err) {
-                            console.error(`Failed to add role ${roleId} to user ${userId}:`, err);
-                        }
-                    }
-                }
-            } else if (config.xp.levelUp.rewards[newLevel]) {
-                // Fall back to global config if no guild rewards
-                const roleId = config.xp.levelUp.rewards[newLevel];
-                const role = message.guild.roles.cache.get(roleId);
-
-                if (role) {
-                    try {
-                        await message.member.roles.add(role);
-                        roleAwarded.push(role);
-                    } catch (err) {
-                        console.error(`Failed to add role ${roleId} to user ${userId}:`, err);
-                    }
-                }
-            }
+        // Keep the cached username fresh for leaderboards
+        db.ensureGlobalUser(userId, message.author.username);
 
-            // Create level up message with banner and avatar
-            const levelUpEmbed = new EmbedBuilder()
-                .setColor('#00ff00')
-                .setTitle('Level Up!')
-                .setDescription(
-                    `Congratulations ${pingUser ? message.author : message.author.username}! ` +
-                    `You've reached **Level ${newLevel}**!`
-                )
-                .setThumbnail(message.author.displayAvatarURL({ dynamic: true }))
-                .setTimestamp();
-
-            // Get the base URL from the client
-            const baseUrl = client.ugcBaseUrl || 'http://localhost:2100';
-
-            // Try to get the user's custom banner
-            const bannerPath = db.getUserUGCPath('banner', userId, guildId);
-            if (bannerPath) {
-                try {
-                    // Create a full URL by combining base URL with path
-                    const fullUrl = new URL(bannerPath, baseUrl).toString();
-                    console.log(`Adding banner to level-up message: ${fullUrl}`);
-                    levelUpEmbed.setImage(fullUrl);
-                } catch (error) {
-                    console.error('Error setting banner image for level-up:', error);
-                }
-            }
+        // Give XP to user, scaled by role and channel multipliers and any running XP event
+        const { multiplier, event } = getXPMultiplier(db, message.guild.id, message.member, message.channel);
+        const xpToAdd = qualityFilter.applyDailyCap(guildId, userId, generateXP(multiplier));
+        if (xpToAdd <= 0) return;
 
-            // Add role info if roles were awarded
-            if (roleAwarded.length > 0) {
-                const roleList = roleAwarded.map(r => r.name).join(', ');
-                levelUpEmbed.addFields({
-                    name: roleAwarded.length === 1 ? 'Reward Unlocked!' : 'Rewards Unlocked!',
-                    value: `You've been given the ${roleList} ${roleAwarded.length === 1 ? 'role' : 'roles'}!`
-                });
-            }
-
-            // Add XP progress information
-            const currentXP = result.currentXP;
-            const nextLevelXP = db.xpForLevel(newLevel + 1);
-            const xpNeeded = nextLevelXP - currentXP;
-            const progressPercentage = Math.floor((currentXP / nextLevelXP) * 100);
-
-            // Create progress bar using the same function as in the /level command
-            const { createProgressBar } = require('./levelingSystem');
-            const progressBar = createProgressBar(progressPercentage);
-
-            // Add progress field to show how far they are to next level
-            levelUpEmbed.addFields({
-                name: 'Progress to Next Level',
-                value: `${progressBar} ${progressPercentage}%\n${currentXP}/${nextLevelXP} XP (${xpNeeded} more needed)`
-            });
-
-            // Determine where to send level up message
-            let channel = message.channel;
-
-            // Check for guild-specific channel override first
-            if (guildLevelUpChannel) {
-                const overrideChannel = client.channels.cache.get(guildLevelUpChannel);
-                if (overrideChannel) {
-                    channel = overrideChannel;
-                }
-            }
-            // If no guild override, check global config
-            else if (config.xp.levelUp.channelOverride) {
-                const overrideChannel = client.channels.cache.get(config.xp.levelUp.channelOverride);
-                if (overrideChannel) {
-                    channel = overrideChannel;
-                }
-            }
+        const result = db.addXP(userId, xpToAdd, message.guild.id, {
+            source: event ? 'event' : 'message',
+            channelId: message.channel.id
+        });
 
-            // Send as DM if configured
-            if (useDM) {
-                try {
-                    await message.author.send({ embeds: [levelUpEmbed] });
-                } catch (err) {
-                    console.error(`Failed to send DM to user ${userId}:`, err);
-                    // Fall back to channel if DM fails
-                    await channel.send({
-                        content: pingUser ? `<@${userId}>` : null,
-                        embeds: [levelUpEmbed]
-                    });
-                }
-            } else {
-                // Send in channel
-                await channel.send({
-                    content: pingUser ? `<@${userId}>` : null,
-                    embeds: [levelUpEmbed]
-                });
-            }
+        // Handle level up if it occurred
+        await levelUpService.handleLevelUp({
+            guild: message.guild,
+            member: message.member,
+            user: message.author,
+            channel: message.channel,
+            result
+        });
 
-            // Check if user reached max level and is eligible for sacrifice
-            if (newLevel === config.xp.maxLevel) {
-                // Check if they have reached the maximum XP for the level
-                if (db.isEligibleForSacrificePrompt(userId, message.guild.id)) {
-                    // Send the fox invitation message
-                    const foxMessage = new EmbedBuilder()
-                        .setColor('#FF0000')
-                        .setTitle('🦊 The Fox Calls')
-                        .setDescription("The fox lurks beyond the shadows... accept its invitation by using the `/level-sacrifice` command")
-                        .setFooter({ text: 'A new beginning awaits...' });
-
-                    await channel.send({
-                        content: `<@${userId}>`,
-                        embeds: [foxMessage]
-                    });
-                }
-            }
-        }
+        // Count today towards the member's streak
+        await streakService.recordActivity({
+            guild: message.guild,
+            member: message.member,
+            user: message.author,
+            channel: message.channel
+        });
     } catch (error) {
         console.error('Error in XP processing:', error);
     }
@@ -468,6 +432,15 @@ client.login(config.bot.token).catch(error => {
 function gracefulShutdown() {
     console.log('Shutting down gracefully...');
 
+    voiceXPTracker.stop();
+    auditLogMirror.stop();
+    cooldownManager.stop();
+    qualityFilter.stop();
+    xpEventScheduler.stop();
+    xpDecayJob.stop();
+    xpLedgerPruner.stop();
+    periodRolloverJob.stop();
+
     if (db) {
         db.close();
     }
@@ -0,0 +1,246 @@
+// Digest of a leaderboard period's top members, posted when the period ends
+const { EmbedBuilder } = require('discord.js');
+const config = require('./config');
+const { LEADERBOARD_PERIODS, getPeriodStart, getPeriodEnd, formatPeriodName } = require('./leaderboardPeriods');
+
+// What each digest frequency covers, for "top chatter of the week"
+const PERIOD_UNITS = {
+    daily: 'day',
+    weekly: 'week',
+    monthly: 'month'
+};
+
+// Get a guild's digest settings, filling in defaults from the config
+function getDigestSettings(db, guildId) {
+    const defaults = config.leaderboard.digest;
+    const saved = db.getGuildSetting(guildId, 'leaderboard_digest', null) || {};
+
+    return {
+        enabled: saved.enabled !== undefined ? saved.enabled : defaults.enabled,
+        channelId: saved.channelId || null,
+        frequency: PERIOD_UNITS[saved.frequency] ? saved.frequency : defaults.frequency,
+        topCount: Number(saved.topCount !== undefined ? saved.topCount : defaults.topCount),
+        roleId: saved.roleId || null
+    };
+}
+
+/**
+ * Posts a digest of the top XP gainers, biggest level jumps, new reward role
+ * holders and sacrifices when a server's chosen leaderboard period ends, and
+ * passes the optional "Top Chatter" role on to the period's winner.
+ */
+class LeaderboardDigest {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     * @param {LevelUpService} levelUpService - Looks up reward roles
+     */
+    constructor(client, db, levelUpService) {
+        this.client = client;
+        this.db = db;
+        this.levelUpService = levelUpService;
+    }
+
+    /**
+     * Post the digest for a period that just ended, if the guild wants one for it
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {string} periodStart - Start date of the ended period
+     * @returns {Promise<boolean>} Whether a digest was posted
+     */
+    async handlePeriodEnd(guildId, period, periodStart) {
+        const settings = getDigestSettings(this.db, guildId);
+        if (!settings.enabled || !settings.channelId || settings.frequency !== period) return false;
+
+        // A restart between posting and the period being cleared mustn't post it twice
+        const digestKey = `${period}:${periodStart}`;
+        if (this.db.getGuildSetting(guildId, 'leaderboard_digest_last', null) === digestKey) return false;
+
+        const guild = this.client.guilds.cache.get(guildId);
+        const channel = guild ? guild.channels.cache.get(settings.channelId) : null;
+        if (!channel) return false;
+
+        const digest = this.buildDigest(guildId, period, periodStart, settings.topCount);
+
+        // Nobody to congratulate, but the role is only ever held for one period
+        if (digest.gainers.length === 0) {
+            if (settings.roleId) {
+                await this.passTopChatterRole(guild, settings.roleId, null);
+            }
+
+            this.db.storeGuildSetting(guildId, 'leaderboard_digest_last', digestKey);
+            return false;
+        }
+
+        try {
+            await channel.send({ embeds: [this.buildDigestEmbed(digest)] });
+        } catch (error) {
+            console.error(`Error posting leaderboard digest in guild ${guildId}:`, error);
+            return false;
+        }
+
+        // Digest bookkeeping isn't a settings change, so it stays out of the audit log
+        this.db.storeGuildSetting(guildId, 'leaderboard_digest_last', digestKey);
+
+        if (settings.roleId) {
+            await this.passTopChatterRole(guild, settings.roleId, digest.gainers[0].userId);
+        }
+
+        console.log(`[digest] Posted ${period} digest for ${periodStart} in guild ${guildId}`);
+        return true;
+    }
+
+    /**
+     * Gather a period's digest sections
+     * @param {string} guildId - Guild ID
+     * @param {string} period - 'daily', 'weekly' or 'monthly'
+     * @param {string} periodStart - Start date of the period
+     * @param {number} topCount - Members shown in each section
+     * @param {number} until - End of the window (defaults to the end of the period)
+     * @returns {Object} Digest ({ period, periodStart, gainers, levelJumps, newRoles, sacrifices })
+     */
+    buildDigest(guildId, period, periodStart, topCount, until = getPeriodEnd(period, periodStart)) {
+        const since = Date.parse(`${periodStart}T00:00:00Z`);
+
+        // Any time inside the period finds its leaderboard
+        const gainers = this.db.getPeriodLeaderboard(1, topCount, guildId, period, since).users
+            .map(([userId, userData]) => ({ userId, xp: userData.periodXP }));
+
+        const levelUps = this.db.getLevelChanges(guildId, since, until)
+            .filter(change => change.newLevel > change.oldLevel);
+
+        const levelJumps = [...levelUps]
+            .sort((a, b) => (b.newLevel - b.oldLevel) - (a.newLevel - a.oldLevel) || b.newLevel - a.newLevel)
+            .slice(0, topCount);
+
+        // Reward roles for levels crossed during the period
+        const rewardLevels = this.levelUpService.getRewardLevels(guildId);
+        const newRoles = levelUps
+            .map(change => ({
+                userId: change.userId,
+                roleIds: rewardLevels
+                    .filter(level => level > change.oldLevel && level <= change.newLevel)
+                    .flatMap(level => this.levelUpService.getRewardRoleIds(guildId, level))
+            }))
+            .filter(entry => entry.roleIds.length > 0)
+            .slice(0, topCount);
+
+        const sacrifices = this.db.getSacrificesBetween(guildId, since, until).slice(0, topCount);
+
+        return { period, periodStart, gainers, levelJumps, newRoles, sacrifices };
+    }
+
+    /**
+     * Build the digest embed
+     * @param {Object} digest - Digest from buildDigest
+     * @returns {EmbedBuilder} Digest embed
+     */
+    buildDigestEmbed(digest) {
+        const medals = ['🥇', '🥈', '🥉'];
+
+        const embed = new EmbedBuilder()
+            .setColor('#f1c40f')
+            .setTitle(`🏆 Leaderboard Digest: ${formatPeriodName(digest.period, digest.periodStart)}`)
+            .setDescription(digest.gainers.length > 0
+                ? `Congratulations <@${digest.gainers[0].userId}>, top chatter of the ${PERIOD_UNITS[digest.period]}!`
+                : 'Nobody earned XP in this period.')
+            .setFooter({ text: 'Check the live standings with /leaderboard' })
+            .setTimestamp();
+
+        if (digest.gainers.length > 0) {
+            embed.addFields({
+                name: 'Top Gainers',
+                value: digest.gainers
+                    .map((gainer, index) => `${medals[index] || `**${index + 1}.**`} <@${gainer.userId}> - ${gainer.xp} XP`)
+                    .join('\n')
+            });
+        }
+
+        if (digest.levelJumps.length > 0) {
+            embed.addFields({
+                name: 'Biggest Level Jumps',
+                value: digest.levelJumps
+                    .map(jump => `<@${jump.userId}>: level ${jump.oldLevel} → ${jump.newLevel} (+${jump.newLevel - jump.oldLevel})`)
+                    .join('\n')
+            });
+        }
+
+        if (digest.newRoles.length > 0) {
+            embed.addFields({
+                name: 'New Reward Roles',
+                value: digest.newRoles
+                    .map(entry => `<@${entry.userId}>: ${entry.roleIds.map(roleId => `<@&${roleId}>`).join(', ')}`)
+                    .join('\n')
+            });
+        }
+
+        if (digest.sacrifices.length > 0) {
+            embed.addFields({
+                name: '🦊 Sacrifices',
+                value: digest.sacrifices
+                    .map(entry => `<@${entry.userId}>${entry.count > 1 ? ` (${entry.count}x)` : ''}`)
+                    .join(', ')
+            });
+        }
+
+        return embed;
+    }
+
+    /**
+     * Build a digest of the current period so far, for admins previewing the digest
+     * @param {string} guildId - Guild ID
+     * @returns {EmbedBuilder} Digest embed
+     */
+    buildPreviewEmbed(guildId) {
+        const settings = getDigestSettings(this.db, guildId);
+        const periodStart = getPeriodStart(settings.frequency);
+        const digest = this.buildDigest(guildId, settings.frequency, periodStart, settings.topCount, Date.now());
+
+        return this.buildDigestEmbed(digest)
+            .setFooter({ text: `Preview of ${LEADERBOARD_PERIODS[settings.frequency].toLowerCase()} so far • Posted when the period ends` });
+    }
+
+    /**
+     * Move the "Top Chatter" role from the last winner to the new one
+     * @param {Guild} guild - Guild
+     * @param {string} roleId - Top Chatter role ID
+     * @param {string|null} winnerId - New winner's user ID (null takes the role away without a new holder)
+     */
+    async passTopChatterRole(guild, roleId, winnerId) {
+        const role = guild.roles.cache.get(roleId);
+        if (!role) return;
+
+        const previousHolderId = this.db.getGuildSetting(guild.id, 'leaderboard_digest_role_holder', null);
+
+        if (previousHolderId && previousHolderId !== winnerId) {
+            const previousHolder = await guild.members.fetch(previousHolderId).catch(() => null);
+
+            if (previousHolder && previousHolder.roles.cache.has(role.id)) {
+                try {
+                    await previousHolder.roles.remove(role);
+                } catch (error) {
+                    console.error(`Error removing top chatter role from ${previousHolderId}:`, error);
+                }
+            }
+        }
+
+        if (!winnerId) return;
+
+        const winner = await guild.members.fetch(winnerId).catch(() => null);
+
+        if (winner && !winner.roles.cache.has(role.id)) {
+            try {
+                await winner.roles.add(role);
+            } catch (error) {
+                console.error(`Error adding top chatter role to ${winnerId}:`, error);
+            }
+        }
+
+        this.db.storeGuildSetting(guild.id, 'leaderboard_digest_role_holder', winnerId);
+    }
+}
+
+module.exports = {
+    LeaderboardDigest,
+    getDigestSettings
+};
@@ -0,0 +1,156 @@
+// Daily, weekly and monthly leaderboards that reset on schedule, with past winners archived
+const config = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leaderboard periods and how they're shown to members ('all' is the lifetime leaderboard)
+const LEADERBOARD_PERIODS = {
+    daily: 'Today',
+    weekly: 'This Week',
+    monthly: 'This Month',
+    all: 'All Time'
+};
+
+// Periods that have their own XP totals
+const TRACKED_PERIODS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * Get the UTC date a period started on (weeks start on Monday)
+ * @param {string} period - 'daily', 'weekly' or 'monthly'
+ * @param {number} now - Time inside the period
+ * @returns {string} Start date (YYYY-MM-DD)
+ */
+function getPeriodStart(period, now = Date.now()) {
+    const date = new Date(now);
+    let start;
+
+    if (period === 'monthly') {
+        start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+    } else if (period === 'weekly') {
+        const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+        start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - daysSinceMonday);
+    } else {
+        start = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+    }
+
+    return new Date(start).toISOString().slice(0, 10);
+}
+
+// Get the time a period that started on a date resets
+function getPeriodEnd(period, periodStart) {
+    const start = new Date(`${periodStart}T00:00:00Z`);
+
+    if (period === 'monthly') {
+        return Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1);
+    }
+
+    return start.getTime() + (period === 'weekly' ? 7 : 1) * DAY_MS;
+}
+
+// Name a period by its start date, e.g. "Week of 2025-06-09" or "June 2025"
+function formatPeriodName(period, periodStart) {
+    if (period === 'monthly') {
+        return new Date(`${periodStart}T00:00:00Z`).toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    return period === 'weekly' ? `Week of ${periodStart}` : periodStart;
+}
+
+/**
+ * Archives the top members of every ended period and clears its totals,
+ * so each period's leaderboard starts empty.
+ */
+class PeriodRolloverJob {
+    /**
+     * @param {LevelingDatabase} db - Database instance
+     * @param {Function|null} onPeriodEnd - Called with (guildId, period, periodStart) before an ended period is cleared.
+     *   Periods nobody earned XP in are reported on every check, so the handler must ignore ones it has seen
+     */
+    constructor(db, onPeriodEnd = null) {
+        this.db = db;
+        this.onPeriodEnd = onPeriodEnd;
+        this.interval = null;
+        this.running = false;
+    }
+
+    // Check now and then on an interval for periods that have ended
+    start() {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        this.tick().catch(error => console.error('Error during leaderboard period rollover:', error));
+
+        this.interval = setInterval(() => {
+            this.tick().catch(error => console.error('Error during leaderboard period rollover:', error));
+        }, config.leaderboard.periodCheckInterval);
+
+        console.log('Leaderboard period rollover started');
+    }
+
+    // Stop checking
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Roll over every ended period in every guild
+     * @param {number} now - Current time
+     * @returns {Promise<number>} Number of periods rolled over
+     */
+    async tick(now = Date.now()) {
+        if (this.running) return 0;
+
+        this.running = true;
+        let rolledOver = 0;
+
+        try {
+            for (const guildId of this.db.getGuildIds()) {
+                for (const period of TRACKED_PERIODS) {
+                    const currentStart = getPeriodStart(period, now);
+                    const endedStarts = this.db.getEndedPeriodStarts(guildId, period, currentStart);
+
+                    for (const periodStart of endedStarts) {
+                        try {
+                            // Digests read the period's totals, so they run before it's cleared
+                            if (this.onPeriodEnd) {
+                                await this.onPeriodEnd(guildId, period, periodStart);
+                            }
+
+                            this.db.archivePeriodWinners(guildId, period, periodStart, config.leaderboard.periodWinners);
+                            rolledOver++;
+                        } catch (error) {
+                            console.error(`Error rolling over ${period} leaderboard ${periodStart} for guild ${guildId}:`, error);
+                        }
+                    }
+
+                    // A period nobody earned XP in has no totals to clear, but it still ended
+                    const previousStart = getPeriodStart(period, Date.parse(`${currentStart}T00:00:00Z`) - 1);
+                    if (this.onPeriodEnd && !endedStarts.includes(previousStart)) {
+                        try {
+                            await this.onPeriodEnd(guildId, period, previousStart);
+                        } catch (error) {
+                            console.error(`Error ending quiet ${period} leaderboard ${previousStart} for guild ${guildId}:`, error);
+                        }
+                    }
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        return rolledOver;
+    }
+}
+
+module.exports = {
+    LEADERBOARD_PERIODS,
+    TRACKED_PERIODS,
+    PeriodRolloverJob,
+    getPeriodStart,
+    getPeriodEnd,
+    formatPeriodName
+};
@@ -0,0 +1,392 @@
+// Level up pipeline shared by every XP source
+const { EmbedBuilder } = require('discord.js');
+const config = require('./config');
+const { createProgressBar } = require('./levelingSystem');
+const { getPrestigeSettings } = require('./prestige');
+
+// Ways reward roles can stack
+const REWARD_STACKING_MODES = {
+    stack: 'Keep All Tiers',
+    highest: 'Highest Tier Only'
+};
+
+/**
+ * Handles everything that happens after db.addXP reports a level up:
+ * reward roles, the level up announcement (channel override or DM), and the
+ * fox sacrifice prompt at max level. Any XP source (messages, voice, admin
+ * grants) can pass its addXP result to handleLevelUp.
+ */
+class LevelUpService {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     */
+    constructor(client, db) {
+        this.client = client;
+        this.db = db;
+    }
+
+    /**
+     * Process an addXP result and announce the level up if one happened
+     * @param {Object} options
+     * @param {Guild} options.guild - Guild the XP was earned in
+     * @param {GuildMember|null} options.member - Member who earned the XP (fetched if missing)
+     * @param {User} options.user - User who earned the XP
+     * @param {TextBasedChannel|null} options.channel - Channel the XP was earned in
+     * @param {Object} options.result - Result object from db.addXP
+     * @returns {Promise<Object|null>} Awarded roles and the announcement channel, or null if nothing happened
+     */
+    async handleLevelUp({ guild, member, user, channel, result }) {
+        if (!result || !result.leveledUp || !config.xp.levelUp.enabled) {
+            return null;
+        }
+
+        const userId = user.id;
+        const guildId = guild.id;
+
+        // Admin grants and voice XP may not have a cached member
+        if (!member) {
+            member = await guild.members.fetch(userId).catch(() => null);
+        }
+
+        // Award rewards for every level crossed, not just the final one
+        const rolesAwarded = member
+            ? await this.awardRewards(guild, member, result.oldLevel, result.newLevel)
+            : [];
+
+        // Get server-specific settings
+        const guildLevelUpDM = this.db.getGuildSetting(guildId, 'levelup_dm', null);
+        const guildLevelUpPing = this.db.getGuildSetting(guildId, 'levelup_ping', null);
+
+        // Use server settings if available, otherwise fall back to global config
+        const useDM = guildLevelUpDM !== null ? guildLevelUpDM : config.xp.levelUp.dm;
+        const pingUser = guildLevelUpPing !== null ? guildLevelUpPing : config.xp.levelUp.pingUser;
+
+        const levelUpEmbed = this.buildLevelUpEmbed(guildId, user, result, rolesAwarded, pingUser);
+        const announceChannel = this.resolveAnnouncementChannel(guildId, channel);
+
+        // Some XP sources can level users up without a text channel to announce in
+        if (!announceChannel && !useDM) {
+            console.warn(`No channel available to announce level up for user ${userId} in guild ${guildId}`);
+            return { rolesAwarded, channel: null };
+        }
+
+        // Send as DM if configured
+        if (useDM) {
+            try {
+                await user.send({ embeds: [levelUpEmbed] });
+            } catch (err) {
+                console.error(`Failed to send DM to user ${userId}:`, err);
+
+                // Fall back to channel if DM fails
+                if (announceChannel) {
+                    await announceChannel.send({
+                        content: pingUser ? `<@${userId}>` : null,
+                        embeds: [levelUpEmbed]
+                    });
+                }
+            }
+        } else {
+            // Send in channel
+            await announceChannel.send({
+                content: pingUser ? `<@${userId}>` : null,
+                embeds: [levelUpEmbed]
+            });
+        }
+
+        // Check if user reached max level and is eligible for sacrifice
+        if (announceChannel && result.newLevel >= this.db.getXPCurve(guildId).maxLevel) {
+            await this.sendSacrificePrompt(announceChannel, userId, guildId);
+        }
+
+        return { rolesAwarded, channel: announceChannel };
+    }
+
+    /**
+     * Get the reward role IDs configured for a level
+     * @param {string} guildId - Guild ID
+     * @param {number} level - Level to look up
+     * @returns {Array<string>} Role IDs
+     */
+    getRewardRoleIds(guildId, level) {
+        const guildRewards = this.db.getGuildSetting(guildId, 'level_rewards', {}) || {};
+
+        // Check for legacy format or new format rewards
+        if (guildRewards[level]) {
+            if (Array.isArray(guildRewards[level])) {
+                // New format - array of reward objects
+                return guildRewards[level].map(reward => reward.roleId);
+            }
+
+            // Legacy format - single role ID string
+            return [guildRewards[level]];
+        }
+
+        // Fall back to global config if no guild rewards
+        if (config.xp.levelUp.rewards[level]) {
+            return [config.xp.levelUp.rewards[level]];
+        }
+
+        return [];
+    }
+
+    /**
+     * Get how a guild's reward roles stack
+     * @param {string} guildId - Guild ID
+     * @returns {string} 'stack' (keep every tier) or 'highest' (keep only the top tier)
+     */
+    getRewardStackingMode(guildId) {
+        const mode = this.db.getGuildSetting(guildId, 'reward_stacking_mode', null);
+        return REWARD_STACKING_MODES[mode] ? mode : config.xp.levelUp.rewardStacking;
+    }
+
+    /**
+     * Add the reward roles for every level in (fromLevel, toLevel]
+     * In highest tier mode, the member ends up with only the top tier reached
+     * @param {Guild} guild - Guild
+     * @param {GuildMember} member - Member to reward
+     * @param {number} fromLevel - Level before the XP change
+     * @param {number} toLevel - Level after the XP change
+     * @returns {Promise<Array<Role>>} Roles that were added
+     */
+    async awardRewards(guild, member, fromLevel, toLevel) {
+        if (this.getRewardStackingMode(guild.id) === 'highest') {
+            return (await this.syncRewardRoles(guild, member, toLevel)).added;
+        }
+
+        const rolesAwarded = [];
+
+        for (let level = fromLevel + 1; level <= toLevel; level++) {
+            for (const roleId of this.getRewardRoleIds(guild.id, level)) {
+                const role = guild.roles.cache.get(roleId);
+
+                if (role && !member.roles.cache.has(role.id)) {
+                    try {
+                        await member.roles.add(role);
+                        rolesAwarded.push(role);
+                    } catch (err) {
+                        console.error(`Failed to add role ${roleId} to user ${member.id}:`, err);
+                    }
+                }
+            }
+        }
+
+        return rolesAwarded;
+    }
+
+    /**
+     * Get every level that has reward roles configured
+     * @param {string} guildId - Guild ID
+     * @returns {Array<number>} Levels with rewards
+     */
+    getRewardLevels(guildId) {
+        const guildRewards = this.db.getGuildSetting(guildId, 'level_rewards', {}) || {};
+        const levels = new Set([
+            ...Object.keys(guildRewards),
+            ...Object.keys(config.xp.levelUp.rewards)
+        ].map(Number));
+
+        return [...levels].filter(level => !isNaN(level)).sort((a, b) => a - b);
+    }
+
+    /**
+     * Remove reward roles for every level above the member's current level
+     * In highest tier mode, the top tier still reached is given back
+     * @param {Guild} guild - Guild
+     * @param {GuildMember} member - Member whose level went down
+     * @param {number} level - Member's new level
+     * @returns {Promise<Array<Role>>} Roles that were removed
+     */
+    async revokeRewards(guild, member, level) {
+        if (this.getRewardStackingMode(guild.id) === 'highest') {
+            return (await this.syncRewardRoles(guild, member, level)).removed;
+        }
+
+        const rolesRevoked = [];
+
+        for (const rewardLevel of this.getRewardLevels(guild.id)) {
+            if (rewardLevel <= level) continue;
+
+            for (const roleId of this.getRewardRoleIds(guild.id, rewardLevel)) {
+                const role = guild.roles.cache.get(roleId);
+
+                if (role && member.roles.cache.has(role.id)) {
+                    try {
+                        await member.roles.remove(role);
+                        rolesRevoked.push(role);
+                    } catch (err) {
+                        console.error(`Failed to remove role ${roleId} from user ${member.id}:`, err);
+                    }
+                }
+            }
+        }
+
+        return rolesRevoked;
+    }
+
+    /**
+     * Give a member exactly the reward roles for their level under the guild's stacking mode
+     * @param {Guild} guild - Guild
+     * @param {GuildMember} member - Member to update
+     * @param {number} level - Member's level
+     * @returns {Promise<Object>} Roles that were added and removed ({ added, removed })
+     */
+    async syncRewardRoles(guild, member, level) {
+        const reachedLevels = this.getRewardLevels(guild.id).filter(rewardLevel => rewardLevel <= level);
+        const keepLevels = this.getRewardStackingMode(guild.id) === 'highest'
+            ? reachedLevels.slice(-1)
+            : reachedLevels;
+
+        const keepRoleIds = new Set(keepLevels.flatMap(rewardLevel => this.getRewardRoleIds(guild.id, rewardLevel)));
+        const allRoleIds = new Set(this.getRewardLevels(guild.id).flatMap(rewardLevel => this.getRewardRoleIds(guild.id, rewardLevel)));
+        const added = [];
+        const removed = [];
+
+        for (const roleId of allRoleIds) {
+            const role = guild.roles.cache.get(roleId);
+            if (!role) continue;
+
+            const hasRole = member.roles.cache.has(role.id);
+
+            try {
+                if (keepRoleIds.has(roleId) && !hasRole) {
+                    await member.roles.add(role);
+                    added.push(role);
+                } else if (!keepRoleIds.has(roleId) && hasRole) {
+                    await member.roles.remove(role);
+                    removed.push(role);
+                }
+            } catch (err) {
+                console.error(`Failed to update reward role ${roleId} for user ${member.id}:`, err);
+            }
+        }
+
+        return { added, removed };
+    }
+
+    /**
+     * Build the level up embed with banner, rewards, and progress
+     * @param {string} guildId - Guild ID
+     * @param {User} user - User who leveled up
+     * @param {Object} result - Result object from db.addXP
+     * @param {Array<Role>} rolesAwarded - Roles that were added
+     * @param {boolean} pingUser - Whether to mention the user
+     * @returns {EmbedBuilder} Level up embed
+     */
+    buildLevelUpEmbed(guildId, user, result, rolesAwarded, pingUser) {
+        const { oldLevel, newLevel, currentXP } = result;
+        const levelsGained = newLevel - oldLevel;
+
+        // Create level up message with banner and avatar
+        const levelUpEmbed = new EmbedBuilder()
+            .setColor('#00ff00')
+            .setTitle('Level Up!')
+            .setDescription(
+                `Congratulations ${pingUser ? user : user.username}! ` +
+                `You've reached **Level ${newLevel}**!` +
+                (levelsGained > 1 ? ` (+${levelsGained} levels)` : '')
+            )
+            .setThumbnail(user.displayAvatarURL({ dynamic: true }))
+            .setTimestamp();
+
+        // Get the base URL from the client
+        const baseUrl = this.client.ugcBaseUrl || 'http://localhost:2100';
+
+        // Try to get the user's custom banner
+        const bannerPath = this.db.getUserUGCPath('banner', user.id, guildId);
+        if (bannerPath) {
+            try {
+                // Create a full URL by combining base URL with path
+                const fullUrl = new URL(bannerPath, baseUrl).toString();
+                console.log(`Adding banner to level-up message: ${fullUrl}`);
+                levelUpEmbed.setImage(fullUrl);
+            } catch (error) {
+                console.error('Error setting banner image for level-up:', error);
+            }
+        }
+
+        // Add role info if roles were awarded
+        if (rolesAwarded.length > 0) {
+            const roleList = rolesAwarded.map(r => r.name).join(', ');
+            levelUpEmbed.addFields({
+                name: rolesAwarded.length === 1 ? 'Reward Unlocked!' : 'Rewards Unlocked!',
+                value: `You've been given the ${roleList} ${rolesAwarded.length === 1 ? 'role' : 'roles'}!`
+            });
+        }
+
+        // Add XP progress information
+        const nextLevelXP = this.db.xpForLevel(newLevel + 1, guildId);
+        const xpNeeded = nextLevelXP - currentXP;
+        const progressPercentage = Math.floor((currentXP / nextLevelXP) * 100);
+        const progressBar = createProgressBar(progressPercentage);
+
+        // Add progress field to show how far they are to next level
+        levelUpEmbed.addFields({
+            name: 'Progress to Next Level',
+            value: `${progressBar} ${progressPercentage}%\n${currentXP}/${nextLevelXP} XP (${xpNeeded} more needed)`
+        });
+
+        return levelUpEmbed;
+    }
+
+    /**
+     * Determine where to send the level up message
+     * @param {string} guildId - Guild ID
+     * @param {TextBasedChannel|null} sourceChannel - Channel the XP was earned in
+     * @returns {TextBasedChannel|null} Channel to announce in
+     */
+    resolveAnnouncementChannel(guildId, sourceChannel) {
+        const guildLevelUpChannel = this.db.getGuildSetting(guildId, 'levelup_channel_id', null);
+
+        // Check for guild-specific channel override first
+        if (guildLevelUpChannel) {
+            const overrideChannel = this.client.channels.cache.get(guildLevelUpChannel);
+            if (overrideChannel) {
+                return overrideChannel;
+            }
+        }
+        // If no guild override, check global config
+        else if (config.xp.levelUp.channelOverride) {
+            const overrideChannel = this.client.channels.cache.get(config.xp.levelUp.channelOverride);
+            if (overrideChannel) {
+                return overrideChannel;
+            }
+        }
+
+        return sourceChannel || null;
+    }
+
+    /**
+     * Invite a max level user to the fox sacrifice
+     * @param {TextBasedChannel} channel - Channel to send the prompt in
+     * @param {string} userId - User ID
+     * @param {string} guildId - Guild ID
+     */
+    async sendSacrificePrompt(channel, userId, guildId) {
+        // Check if they have reached the maximum XP for the level
+        if (!this.db.isEligibleForSacrificePrompt(userId, guildId)) return;
+
+        // Nothing to offer if sacrifices are off or the user is at the server's max prestige
+        const prestigeSettings = getPrestigeSettings(this.db, guildId);
+        if (!prestigeSettings.enabled) return;
+        if (prestigeSettings.maxPrestige > 0 &&
+            this.db.getUser(userId, guildId).sacrifices >= prestigeSettings.maxPrestige) return;
+
+        // Send the fox invitation message
+        const foxMessage = new EmbedBuilder()
+            .setColor('#FF0000')
+            .setTitle('🦊 The Fox Calls')
+            .setDescription("The fox lurks beyond the shadows... accept its invitation by using the `/level-sacrifice` command")
+            .setFooter({ text: 'A new beginning awaits...' });
+
+        await channel.send({
+            content: `<@${userId}>`,
+            embeds: [foxMessage]
+        });
+    }
+}
+
+module.exports = {
+    LevelUpService,
+    REWARD_STACKING_MODES
+};
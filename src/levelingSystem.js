@@ -1,34 +1,130 @@
 // Core leveling system functionality
 const config = require('./config');
 const LevelingDatabase = require('./database');
+const { getPrestigeSettings, getPrestigeTier } = require('./prestige');
 
 // XP Cooldown management
+// Cooldowns are tracked per guild (key "guildId:userId"). Channels with their own
+// cooldown override get a separate bucket (key "guildId:channelId:userId").
 class XPCooldownManager {
-    constructor() {
+    /**
+     * @param {LevelingDatabase|null} db - Database used for per-guild settings and persistence
+     */
+    constructor(db = null) {
+        this.db = db;
         this.cooldowns = new Map();
+        this.sweepInterval = null;
+
+        // Restore cooldowns that were still running when the bot stopped
+        if (this.db) {
+            for (const { key, expiresAt } of this.db.getActiveXPCooldowns()) {
+                this.cooldowns.set(key, expiresAt);
+            }
+        }
     }
 
-    // Check if a user is on cooldown
-    isOnCooldown(userId) {
-        if (!this.cooldowns.has(userId)) return false;
+    // Start periodically removing expired cooldowns
+    start() {
+        if (this.sweepInterval) return;
+
+        this.sweepInterval = setInterval(() => this.sweep(), config.xp.cooldownSweepInterval);
+    }
+
+    // Stop the sweep interval
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+    }
+
+    // Get the guild's per-channel cooldown overrides (seconds keyed by channel ID)
+    getChannelOverrides(guildId) {
+        if (!this.db) return {};
 
-        const expirationTime = this.cooldowns.get(userId);
-        return Date.now() < expirationTime;
+        const overrides = this.db.getGuildSetting(guildId, 'xp_cooldown_channels', {});
+        return overrides && typeof overrides === 'object' ? overrides : {};
+    }
+
+    // Get the cooldown length in ms for a channel, falling back to the guild then the global config
+    getCooldownDuration(guildId, channelId) {
+        if (!this.db) return config.xp.cooldown;
+
+        const overrides = this.getChannelOverrides(guildId);
+        if (channelId && overrides[channelId] !== undefined) {
+            return Number(overrides[channelId]) * 1000;
+        }
+
+        const guildCooldown = this.db.getGuildSetting(guildId, 'xp_cooldown', null);
+        return guildCooldown !== null ? Number(guildCooldown) * 1000 : config.xp.cooldown;
+    }
+
+    // Build the cooldown key for a user in a guild/channel
+    getKey(guildId, channelId, userId) {
+        const overrides = this.getChannelOverrides(guildId);
+
+        if (channelId && overrides[channelId] !== undefined) {
+            return `${guildId}:${channelId}:${userId}`;
+        }
+
+        return `${guildId}:${userId}`;
+    }
+
+    // Check if a user is on cooldown
+    isOnCooldown(guildId, channelId, userId) {
+        return this.getRemainingCooldown(guildId, channelId, userId) > 0;
     }
 
     // Set cooldown for a user
-    setCooldown(userId) {
-        this.cooldowns.set(userId, Date.now() + config.xp.cooldown);
+    setCooldown(guildId, channelId, userId) {
+        const duration = this.getCooldownDuration(guildId, channelId);
+        if (duration <= 0) return;
+
+        const key = this.getKey(guildId, channelId, userId);
+        const expiresAt = Date.now() + duration;
+
+        // Re-insert so the Map stays ordered by most recent use
+        this.cooldowns.delete(key);
+        this.cooldowns.set(key, expiresAt);
+
+        // Keep memory bounded even if sweeps fall behind
+        if (this.cooldowns.size > config.xp.cooldownMaxEntries) {
+            this.sweep();
+
+            while (this.cooldowns.size > config.xp.cooldownMaxEntries) {
+                this.cooldowns.delete(this.cooldowns.keys().next().value);
+            }
+        }
+
+        if (this.db) {
+            this.db.setXPCooldown(key, expiresAt);
+        }
     }
 
     // Get time remaining on cooldown in ms
-    getRemainingCooldown(userId) {
-        if (!this.cooldowns.has(userId)) return 0;
+    getRemainingCooldown(guildId, channelId, userId) {
+        const key = this.getKey(guildId, channelId, userId);
+        if (!this.cooldowns.has(key)) return 0;
 
-        const expirationTime = this.cooldowns.get(userId);
+        const expirationTime = this.cooldowns.get(key);
         const remaining = expirationTime - Date.now();
         return remaining > 0 ? remaining : 0;
     }
+
+    // Remove expired cooldowns from memory and the database
+    sweep() {
+        const now = Date.now();
+
+        for (const [key, expiresAt] of this.cooldowns) {
+            if (expiresAt <= now) {
+                this.cooldowns.delete(key);
+            }
+        }
+
+        if (this.db) {
+            this.db.deleteExpiredXPCooldowns(now);
+        }
+    }
 }
 
 // Helper function to create a visual progress bar
@@ -42,9 +138,125 @@ function createProgressBar(percentage) {
     return `[${bar}]`;
 }
 
-// Generate random XP amount
-function generateXP() {
-    return Math.floor(Math.random() * (config.xp.max - config.xp.min + 1)) + config.xp.min;
+// Generate random XP amount, scaled by the member's multiplier
+function generateXP(multiplier = 1) {
+    const baseXP = Math.floor(Math.random() * (config.xp.max - config.xp.min + 1)) + config.xp.min;
+    return Math.round(baseXP * multiplier);
+}
+
+// Get a channel's ID followed by its parents' IDs (thread -> channel -> category)
+function getChannelLineage(channel) {
+    const lineage = [];
+    let current = channel;
+
+    while (current) {
+        lineage.push(current.id);
+
+        if (current.parent) {
+            current = current.parent;
+        } else {
+            // The parent may not be cached, but its ID is still known
+            if (current.parentId) {
+                lineage.push(current.parentId);
+            }
+            break;
+        }
+    }
+
+    return lineage;
+}
+
+// Combine several multipliers using the guild's combine mode
+function combineMultipliers(values, mode = 'max') {
+    if (values.length === 0) return 1;
+
+    let combined;
+    switch (mode) {
+        case 'sum':
+            // Add the bonuses together: 1.5x and 2x become 2.5x
+            combined = Math.max(0, 1 + values.reduce((total, value) => total + (value - 1), 0));
+            break;
+        case 'product':
+            combined = values.reduce((total, value) => total * value, 1);
+            break;
+        case 'max':
+        default:
+            combined = Math.max(...values);
+            break;
+    }
+
+    return Math.round(combined * 100) / 100;
+}
+
+// Check a channel against the guild's XP whitelist or blacklist
+// Rules on a category, forum or channel also cover the channels and threads inside it
+function isXPChannel(db, guildId, channel) {
+    const xpMode = db.getGuildSetting(guildId, 'xp_channels_mode', 'disable');
+    if (xpMode === 'disable') return true;
+
+    const xpChannels = db.getGuildSetting(guildId, 'xp_channels_list', []);
+    const ruleIds = new Set(xpChannels.map(c => c.id));
+    const channelInList = getChannelLineage(channel).some(id => ruleIds.has(id));
+
+    // In whitelist mode only listed channels earn XP, in blacklist mode they don't
+    return xpMode === 'whitelist' ? channelInList : !channelInList;
+}
+
+// Get the XP boost event running in a guild right now, if any
+function getActiveXPEvent(db, guildId, now = Date.now()) {
+    const events = db.getGuildSetting(guildId, 'xp_events', []);
+    if (!Array.isArray(events)) return null;
+
+    // Overlapping events don't stack - the biggest boost wins
+    return events
+        .filter(event => event.startsAt <= now && event.endsAt > now)
+        .reduce((best, event) => (!best || event.multiplier > best.multiplier ? event : best), null);
+}
+
+// Get the effective XP multiplier for a member in a channel
+function getXPMultiplier(db, guildId, member, channel) {
+    try {
+        const settings = db.getGuildSetting(guildId, 'xp_multipliers', null);
+        const event = getActiveXPEvent(db, guildId);
+        const eventMultiplier = event ? Number(event.multiplier) : 1;
+
+        // Members who sacrificed keep their prestige boost everywhere
+        const prestige = member
+            ? getPrestigeTier(getPrestigeSettings(db, guildId), db.getUser(member.id, guildId).sacrifices)
+            : null;
+        const prestigeMultiplier = prestige ? Number(prestige.multiplier) || 1 : 1;
+
+        if (!settings || !Array.isArray(settings.rules) || settings.rules.length === 0) {
+            return {
+                multiplier: Math.round(eventMultiplier * prestigeMultiplier * 100) / 100,
+                matches: [],
+                event,
+                prestige
+            };
+        }
+
+        const lineage = channel ? getChannelLineage(channel) : [];
+        const matches = settings.rules.filter(rule => {
+            if (rule.type === 'role') {
+                return !!member && member.roles.cache.has(rule.targetId);
+            }
+
+            return lineage.includes(rule.targetId);
+        });
+
+        // Events and prestige boost the combined role and channel multiplier
+        const ruleMultiplier = combineMultipliers(matches.map(rule => Number(rule.multiplier)), settings.combine);
+
+        return {
+            multiplier: Math.round(ruleMultiplier * eventMultiplier * prestigeMultiplier * 100) / 100,
+            matches,
+            event,
+            prestige
+        };
+    } catch (error) {
+        console.error(`Error getting XP multiplier in guild ${guildId}:`, error);
+        return { multiplier: 1, matches: [], event: null, prestige: null };
+    }
 }
 
 // Helper function to check guild settings for user content permissions
@@ -79,6 +291,11 @@ module.exports = {
     XPCooldownManager,
     createProgressBar,
     generateXP,
+    getChannelLineage,
+    combineMultipliers,
+    isXPChannel,
+    getActiveXPEvent,
+    getXPMultiplier,
     isUserContentAllowed,
     getGuildDefaultContent
 };
\ No newline at end of file
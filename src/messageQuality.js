@@ -0,0 +1,232 @@
+// Message quality filter that keeps low-effort and farmed messages from earning XP
+const config = require('./config');
+
+// Reasons a message can be rejected, with labels for staff
+const REJECTION_REASONS = {
+    too_short: 'Too short',
+    too_few_words: 'Too few words',
+    duplicate: 'Repeated or near-duplicate',
+    account_too_new: 'Account too new',
+    member_too_new: 'Joined too recently',
+    daily_cap: 'Daily XP cap reached'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Strip everything that doesn't count as written content
+function getMeaningfulText(content) {
+    return content
+        .replace(/https?:\/\/\S+/gi, ' ')      // Links
+        .replace(/<a?:\w+:\d+>/g, ' ')          // Custom emoji
+        .replace(/<(@[!&]?|#)\d+>/g, ' ')       // User, role and channel mentions
+        .replace(/\p{Extended_Pictographic}/gu, ' ')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')      // Punctuation and symbols
+        .replace(/(.)\1{2,}/gu, '$1')          // "heyyyyy" counts the same as "hey"
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Get the set of character pairs in a string
+function getBigrams(text) {
+    const bigrams = new Set();
+    for (let i = 0; i < text.length - 1; i++) {
+        bigrams.add(text.slice(i, i + 2));
+    }
+    return bigrams;
+}
+
+// Dice coefficient between two strings (1 = identical, 0 = nothing in common)
+function getSimilarity(a, b) {
+    if (a === b) return 1;
+    if (a.length < 2 || b.length < 2) return 0;
+
+    const bigramsA = getBigrams(a);
+    const bigramsB = getBigrams(b);
+    let shared = 0;
+
+    for (const bigram of bigramsA) {
+        if (bigramsB.has(bigram)) shared++;
+    }
+
+    return (2 * shared) / (bigramsA.size + bigramsB.size);
+}
+
+// Get today's date in UTC, used to reset daily caps
+function getDayKey(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Get a guild's quality filter settings, filling in defaults from the config
+function getQualitySettings(db, guildId) {
+    const saved = db.getGuildSetting(guildId, 'xp_quality_filter', null);
+    return { ...config.xp.qualityFilter, ...(saved && typeof saved === 'object' ? saved : {}) };
+}
+
+// Get how many messages the filter has rejected in a guild, keyed by reason
+function getRejectionCounts(db, guildId) {
+    const counts = {};
+    for (const reason of Object.keys(REJECTION_REASONS)) {
+        counts[reason] = Number(db.getStatistic(`xp_filter_${guildId}_${reason}`, 0));
+    }
+    return counts;
+}
+
+/**
+ * Decides whether a message is good enough to earn XP.
+ * Recent messages are kept in memory per guild and user for duplicate checks,
+ * and rejections are counted in the statistics table per guild and reason.
+ */
+class MessageQualityFilter {
+    /**
+     * @param {LevelingDatabase} db - Database instance
+     */
+    constructor(db) {
+        this.db = db;
+        this.history = new Map(); // Key: guildId:userId, Value: [{ text, sentAt }]
+        this.sweepInterval = null;
+    }
+
+    // Start periodically removing old message history
+    start() {
+        if (this.sweepInterval) return;
+
+        this.sweepInterval = setInterval(() => this.sweep(), config.xp.qualityFilter.sweepInterval);
+    }
+
+    // Stop the sweep interval
+    stop() {
+        if (this.sweepInterval) {
+            clearInterval(this.sweepInterval);
+            this.sweepInterval = null;
+        }
+
+        this.history.clear();
+    }
+
+    /**
+     * Get the quality filter settings for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {object} Filter settings
+     */
+    getSettings(guildId) {
+        return getQualitySettings(this.db, guildId);
+    }
+
+    /**
+     * Check a message against the guild's quality rules
+     * Messages that pass are remembered for later duplicate checks
+     * @param {Message} message - Discord message
+     * @returns {object} { allowed, reason }
+     */
+    check(message) {
+        const guildId = message.guild.id;
+        const settings = this.getSettings(guildId);
+        if (!settings.enabled) return { allowed: true, reason: null };
+
+        const now = Date.now();
+
+        if (settings.minAccountAgeDays > 0 &&
+            now - message.author.createdTimestamp < settings.minAccountAgeDays * DAY_MS) {
+            return this.reject(guildId, 'account_too_new');
+        }
+
+        if (settings.minMemberAgeDays > 0 && message.member && message.member.joinedTimestamp &&
+            now - message.member.joinedTimestamp < settings.minMemberAgeDays * DAY_MS) {
+            return this.reject(guildId, 'member_too_new');
+        }
+
+        // Stickers, attachments and emoji on their own leave no text behind
+        const text = getMeaningfulText(message.content);
+
+        if (text.replace(/\s/g, '').length < settings.minLength) {
+            return this.reject(guildId, 'too_short');
+        }
+
+        // "lol lol lol" is one word, not three
+        if (new Set(text.split(' ')).size < settings.minWords) {
+            return this.reject(guildId, 'too_few_words');
+        }
+
+        if (settings.duplicateWindow > 0) {
+            const key = `${guildId}:${message.author.id}`;
+            const windowStart = now - settings.duplicateWindow * 1000;
+            const recent = (this.history.get(key) || []).filter(entry => entry.sentAt > windowStart);
+
+            if (recent.some(entry => getSimilarity(entry.text, text) >= settings.duplicateThreshold)) {
+                this.history.set(key, recent);
+                return this.reject(guildId, 'duplicate');
+            }
+
+            recent.push({ text, sentAt: now });
+            this.history.set(key, recent.slice(-settings.historySize));
+        }
+
+        return { allowed: true, reason: null };
+    }
+
+    /**
+     * Limit XP to what's left of the user's daily cap and record it
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {number} xpAmount - XP the message would earn
+     * @returns {number} XP the user may receive (0 when the cap is reached)
+     */
+    applyDailyCap(guildId, userId, xpAmount) {
+        const settings = this.getSettings(guildId);
+        const dailyCap = settings.enabled ? Number(settings.dailyCap) : 0;
+        if (dailyCap <= 0) return xpAmount;
+
+        const day = getDayKey();
+        const remaining = dailyCap - this.db.getDailyXP(userId, guildId, day);
+
+        if (remaining <= 0) {
+            this.reject(guildId, 'daily_cap');
+            return 0;
+        }
+
+        const allowed = Math.min(xpAmount, remaining);
+        this.db.addDailyXP(userId, guildId, allowed, day);
+        return allowed;
+    }
+
+    /**
+     * Count a rejection for staff and return the check result
+     * @param {string} guildId - Guild ID
+     * @param {string} reason - Rejection reason
+     * @returns {object} { allowed: false, reason }
+     */
+    reject(guildId, reason) {
+        this.db.incrementStatistic(`xp_filter_${guildId}_${reason}`);
+        return { allowed: false, reason };
+    }
+
+    // Remove history older than each guild's duplicate window
+    sweep() {
+        const now = Date.now();
+        const cutoffs = new Map();
+
+        for (const [key, entries] of this.history) {
+            const guildId = key.split(':')[0];
+            if (!cutoffs.has(guildId)) {
+                cutoffs.set(guildId, now - this.getSettings(guildId).duplicateWindow * 1000);
+            }
+
+            const recent = entries.filter(entry => entry.sentAt > cutoffs.get(guildId));
+            if (recent.length === 0) {
+                this.history.delete(key);
+            } else if (recent.length < entries.length) {
+                this.history.set(key, recent);
+            }
+        }
+    }
+}
+
+module.exports = {
+    MessageQualityFilter,
+    REJECTION_REASONS,
+    getQualitySettings,
+    getRejectionCounts,
+    getMeaningfulText,
+    getSimilarity
+};
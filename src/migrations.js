@@ -0,0 +1,306 @@
+// Schema migrations for the SQLite database
+//
+// Each migration has a version number, a description, and optional `core`
+// and `guild` steps. `core(db)` runs once against the shared tables and
+// `guild(db, guildId)` runs against every guild's tables. Guild steps also run
+// when a new guild's tables are created, so every step must be idempotent.
+//
+// Never edit or reorder a migration that has shipped - add a new one with the
+// next version number instead.
+
+/**
+ * Check whether a table has a column
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {boolean} Whether the column exists
+ */
+function columnExists(db, table, column) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().some(info => info.name === column);
+}
+
+/**
+ * Add a column to a table unless it already exists
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints (e.g. 'INTEGER NOT NULL DEFAULT 0')
+ * @returns {boolean} Whether the column was added
+ */
+function addColumnIfMissing(db, table, column, definition) {
+    if (columnExists(db, table, column)) {
+        return false;
+    }
+
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    return true;
+}
+
+// Legacy per-user settings that now live in users_<guildId> columns
+const LEGACY_USER_KEYS = ['banner_url', 'avatar_url', 'warning_count', 'content_blacklisted'];
+
+/**
+ * Copy one legacy per-user setting into the user's row
+ * @param {Database} db - better-sqlite3 connection
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {string} key - Legacy setting key
+ * @param {string|null} value - Stored setting value
+ */
+function foldLegacyUserSetting(db, guildId, userId, key, value) {
+    const now = Date.now();
+
+    db.prepare(`
+        INSERT OR IGNORE INTO users_${guildId} (user_id, created_at, updated_at)
+        VALUES (?, ?, ?)
+    `).run(userId, now, now);
+
+    // Columns win over legacy values when both are set
+    switch (key) {
+        case 'banner_url':
+        case 'avatar_url':
+            if (value) {
+                db.prepare(`
+                    UPDATE users_${guildId}
+                    SET ${key} = COALESCE(${key}, ?),
+                        updated_at = ?
+                    WHERE user_id = ?
+                `).run(value, now, userId);
+            }
+            break;
+        case 'warning_count':
+            db.prepare(`
+                UPDATE users_${guildId}
+                SET warning_count = MAX(warning_count, ?),
+                    updated_at = ?
+                WHERE user_id = ?
+            `).run(Number(value) || 0, now, userId);
+            break;
+        case 'content_blacklisted':
+            if (value === 'true') {
+                db.prepare(`
+                    UPDATE users_${guildId}
+                    SET is_blacklisted = 1,
+                        updated_at = ?
+                    WHERE user_id = ?
+                `).run(now, userId);
+            }
+            break;
+    }
+}
+
+const migrations = [
+    {
+        version: 1,
+        description: 'Create audit log tables for every guild',
+        guild(db, guildId) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS audit_${guildId} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor_id TEXT,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    before_value TEXT,
+                    after_value TEXT,
+                    details TEXT,
+                    created_at INTEGER NOT NULL DEFAULT 0
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_${guildId}_audit_created ON audit_${guildId}(created_at DESC);
+            `);
+        }
+    },
+    {
+        version: 2,
+        description: 'Move legacy user_<userId>_<guildId> settings into user columns',
+        guild(db, guildId) {
+            // Keys stored in the guild's own settings table as user_<userId>_<key>
+            const legacyKeys = db.prepare(`
+                SELECT setting_key, setting_value FROM settings_${guildId}
+                WHERE setting_key LIKE 'user_%'
+            `).all();
+
+            for (const row of legacyKeys) {
+                const match = row.setting_key.match(new RegExp(`^user_(\\d+)_(${LEGACY_USER_KEYS.join('|')})$`));
+                if (!match) continue;
+
+                foldLegacyUserSetting(db, guildId, match[1], match[2], row.setting_value);
+                db.prepare(`DELETE FROM settings_${guildId} WHERE setting_key = ?`).run(row.setting_key);
+            }
+
+            // Whole settings tables created for the user_<userId>_<guildId> pseudo guild
+            const legacyTables = db.prepare(`
+                SELECT name FROM sqlite_master
+                WHERE type = 'table' AND name LIKE ?
+            `).all(`settings_user_%_${guildId}`);
+
+            for (const { name } of legacyTables) {
+                const match = name.match(new RegExp(`^settings_user_(\\d+)_${guildId}$`));
+                if (!match) continue;
+
+                const rows = db.prepare(`SELECT setting_key, setting_value FROM ${name}`).all();
+                for (const row of rows) {
+                    if (LEGACY_USER_KEYS.includes(row.setting_key)) {
+                        foldLegacyUserSetting(db, guildId, match[1], row.setting_key, row.setting_value);
+                    }
+                }
+
+                db.exec(`DROP TABLE ${name}`);
+            }
+        }
+    },
+    {
+        version: 3,
+        description: 'Persist XP cooldowns across restarts',
+        core(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS xp_cooldowns (
+                    cooldown_key TEXT PRIMARY KEY,
+                    expires_at INTEGER NOT NULL
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_xp_cooldowns_expires ON xp_cooldowns(expires_at);
+            `);
+        }
+    },
+    {
+        version: 4,
+        description: 'Track message XP earned per day for daily XP caps',
+        guild(db, guildId) {
+            addColumnIfMissing(db, `users_${guildId}`, 'daily_xp', 'INTEGER NOT NULL DEFAULT 0');
+            addColumnIfMissing(db, `users_${guildId}`, 'daily_xp_date', 'TEXT');
+        }
+    },
+    {
+        version: 5,
+        description: 'Track daily activity streaks',
+        guild(db, guildId) {
+            addColumnIfMissing(db, `users_${guildId}`, 'streak_current', 'INTEGER NOT NULL DEFAULT 0');
+            addColumnIfMissing(db, `users_${guildId}`, 'streak_best', 'INTEGER NOT NULL DEFAULT 0');
+            addColumnIfMissing(db, `users_${guildId}`, 'streak_last_day', 'TEXT');
+        }
+    },
+    {
+        version: 6,
+        description: 'Remember when users were warned about XP decay',
+        guild(db, guildId) {
+            addColumnIfMissing(db, `users_${guildId}`, 'decay_warned_at', 'INTEGER NOT NULL DEFAULT 0');
+        }
+    },
+    {
+        version: 7,
+        description: 'Store when pending sacrifice confirmations expire',
+        guild(db, guildId) {
+            addColumnIfMissing(db, `users_${guildId}`, 'sacrifice_expires_at', 'INTEGER NOT NULL DEFAULT 0');
+        }
+    },
+    {
+        version: 8,
+        description: 'Let users opt in to the global leaderboard',
+        core(db) {
+            addColumnIfMissing(db, 'users_global', 'global_opt_in', 'INTEGER NOT NULL DEFAULT 0');
+        }
+    },
+    {
+        version: 9,
+        description: 'Create XP ledger tables for every guild',
+        guild(db, guildId) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS xp_events_${guildId} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    user_id TEXT NOT NULL,
+                    amount INTEGER NOT NULL,
+                    source TEXT NOT NULL,
+                    channel_id TEXT,
+                    actor_id TEXT,
+                    rolled_back INTEGER NOT NULL DEFAULT 0,
+                    created_at INTEGER NOT NULL DEFAULT 0
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_${guildId}_xp_events_created ON xp_events_${guildId}(created_at DESC);
+                CREATE INDEX IF NOT EXISTS idx_${guildId}_xp_events_user ON xp_events_${guildId}(user_id, created_at DESC);
+            `);
+        }
+    },
+    {
+        version: 10,
+        description: 'Create period leaderboard totals and winner archive tables for every guild',
+        guild(db, guildId) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS xp_periods_${guildId} (
+                    period TEXT NOT NULL,
+                    period_start TEXT NOT NULL,
+                    user_id TEXT NOT NULL,
+                    xp INTEGER NOT NULL DEFAULT 0,
+                    PRIMARY KEY (period, period_start, user_id)
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_${guildId}_xp_periods_rank ON xp_periods_${guildId}(period, period_start, xp DESC);
+
+                CREATE TABLE IF NOT EXISTS period_winners_${guildId} (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    period TEXT NOT NULL,
+                    period_start TEXT NOT NULL,
+                    position INTEGER NOT NULL,
+                    user_id TEXT NOT NULL,
+                    xp INTEGER NOT NULL,
+                    archived_at INTEGER NOT NULL DEFAULT 0
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_${guildId}_period_winners ON period_winners_${guildId}(period, period_start DESC);
+            `);
+        }
+    },
+    {
+        version: 11,
+        description: 'Persist engagement XP anti-farming counters for every guild',
+        guild(db, guildId) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS engagement_counts_${guildId} (
+                    counter_key TEXT PRIMARY KEY,
+                    count INTEGER NOT NULL DEFAULT 0,
+                    expires_at INTEGER,
+                    updated_at INTEGER NOT NULL DEFAULT 0
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_${guildId}_engagement_counts_expires ON engagement_counts_${guildId}(expires_at);
+            `);
+        }
+    },
+    {
+        version: 12,
+        description: 'Remember which streak milestones users have been rewarded for',
+        guild(db, guildId) {
+            addColumnIfMissing(db, `users_${guildId}`, 'streak_milestones', 'TEXT NOT NULL DEFAULT \'[]\'');
+        }
+    },
+    {
+        version: 13,
+        description: 'Record owner console (/syscall) actions',
+        core(db) {
+            db.exec(`
+                CREATE TABLE IF NOT EXISTS syscall_log (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    actor_id TEXT NOT NULL,
+                    action TEXT NOT NULL,
+                    target TEXT,
+                    reason TEXT,
+                    details TEXT,
+                    created_at INTEGER NOT NULL DEFAULT 0
+                );
+
+                CREATE INDEX IF NOT EXISTS idx_syscall_log_target ON syscall_log(target, created_at DESC);
+            `);
+        }
+    }
+];
+
+// The schema version this code expects
+const LATEST_SCHEMA_VERSION = migrations.reduce((latest, migration) => Math.max(latest, migration.version), 0);
+
+module.exports = {
+    migrations,
+    LATEST_SCHEMA_VERSION,
+    columnExists,
+    addColumnIfMissing
+};
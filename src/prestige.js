@@ -0,0 +1,90 @@
+// Prestige tiers earned through the fox sacrifice
+const config = require('./config');
+
+// Get a guild's prestige settings, filling in defaults from the config
+function getPrestigeSettings(db, guildId) {
+    const defaults = config.xp.sacrifice;
+    const saved = db.getGuildSetting(guildId, 'prestige_settings', null) || {};
+
+    return {
+        enabled: saved.enabled !== undefined ? saved.enabled : defaults.enabled,
+        maxPrestige: Number(saved.maxPrestige !== undefined ? saved.maxPrestige : defaults.maxPrestige),
+        tiers: saved.tiers || defaults.tiers
+    };
+}
+
+/**
+ * Get the tier a member has reached: the one with the highest sacrifice count
+ * that isn't above theirs
+ * @param {object} settings - Guild prestige settings
+ * @param {number} sacrifices - Member's sacrifice count
+ * @returns {object|null} Tier ({ sacrifices, multiplier, roleId, badge }), or null below the first tier
+ */
+function getPrestigeTier(settings, sacrifices) {
+    if (!settings.enabled || !sacrifices) return null;
+
+    const reached = Object.keys(settings.tiers)
+        .map(Number)
+        .filter(count => count <= sacrifices)
+        .sort((a, b) => b - a)[0];
+
+    return reached !== undefined ? { sacrifices: reached, ...settings.tiers[reached] } : null;
+}
+
+// Format a member's prestige badge, e.g. "🦊 P3" (null if they haven't sacrificed)
+function formatPrestigeBadge(settings, sacrifices) {
+    if (!settings.enabled || !sacrifices) return null;
+
+    const tier = getPrestigeTier(settings, sacrifices);
+    return `${(tier && tier.badge) || '🦊'} P${sacrifices}`;
+}
+
+/**
+ * Give a member the role for their prestige tier and take away the roles of other tiers
+ * @param {Guild} guild - Guild
+ * @param {GuildMember} member - Member who sacrificed
+ * @param {object} settings - Guild prestige settings
+ * @param {number} sacrifices - Member's sacrifice count
+ * @returns {Promise<Array<Role>>} Roles that were added
+ */
+async function syncPrestigeRoles(guild, member, settings, sacrifices) {
+    const tier = getPrestigeTier(settings, sacrifices);
+    const rolesAdded = [];
+
+    const keepRoleIds = new Set([
+        tier && tier.roleId,
+        // Older setups give every sacrificer one role from the config
+        sacrifices > 0 && config.xp.sacrifice.sacrificeRoleId
+    ].filter(Boolean));
+
+    for (const otherTier of Object.values(settings.tiers)) {
+        if (!otherTier.roleId || keepRoleIds.has(otherTier.roleId) || !member.roles.cache.has(otherTier.roleId)) continue;
+
+        try {
+            await member.roles.remove(otherTier.roleId);
+        } catch (error) {
+            console.error(`Error removing prestige role ${otherTier.roleId} from ${member.id}:`, error);
+        }
+    }
+
+    for (const roleId of keepRoleIds) {
+        const role = guild.roles.cache.get(roleId);
+        if (!role || member.roles.cache.has(role.id)) continue;
+
+        try {
+            await member.roles.add(role);
+            rolesAdded.push(role);
+        } catch (error) {
+            console.error(`Error adding prestige role ${roleId} to ${member.id}:`, error);
+        }
+    }
+
+    return rolesAdded;
+}
+
+module.exports = {
+    getPrestigeSettings,
+    getPrestigeTier,
+    formatPrestigeBadge,
+    syncPrestigeRoles
+};
@@ -0,0 +1,211 @@
+// Rank card image rendering for the /level command
+const { AttachmentBuilder } = require('discord.js');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { contentDimensions } = require('./ugc');
+
+// Card layout (the card uses the same size as an uploaded banner)
+const CARD_WIDTH = contentDimensions.banner.width;
+const CARD_HEIGHT = contentDimensions.banner.height;
+const AVATAR_SIZE = 300;
+const AVATAR_LEFT = 60;
+const AVATAR_TOP = Math.round((CARD_HEIGHT - AVATAR_SIZE) / 2);
+const TEXT_LEFT = AVATAR_LEFT + AVATAR_SIZE + 50;
+const TEXT_RIGHT = CARD_WIDTH - 60;
+const BAR_TOP = 290;
+const BAR_HEIGHT = 50;
+
+// Where card images may come from: uploaded content, the bot's own UGC server
+// and Discord's CDN (for the member's Discord avatar)
+const UGC_ROOT = path.resolve(__dirname, '..', 'ugc');
+const DISCORD_CDN_HOSTS = ['cdn.discordapp.com', 'media.discordapp.net'];
+const IMAGE_FETCH_TIMEOUT = 5000;
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+
+/**
+ * Escape text for use inside an SVG document
+ * @param {String} text - Text to escape
+ * @returns {String} - Escaped text
+ */
+function escapeXml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+/**
+ * Load an image from a UGC path (/ugc/...) or an allowed remote URL
+ * @param {String} source - UGC path or http(s) URL
+ * @param {String|null} baseUrl - The bot's UGC server URL
+ * @returns {Promise<Buffer|null>} - Image data, or null if it could not be loaded
+ */
+async function loadImage(source, baseUrl = null) {
+    if (!source) return null;
+
+    try {
+        if (/^https?:\/\//i.test(source)) {
+            const url = new URL(source);
+            const ownOrigin = baseUrl ? new URL(baseUrl).origin : null;
+
+            // Our own UGC server serves the ugc directory, so read the file instead
+            if (url.origin === ownOrigin) {
+                return await readUGCFile(decodeURIComponent(url.pathname));
+            }
+
+            if (url.protocol !== 'https:' || !DISCORD_CDN_HOSTS.includes(url.hostname)) {
+                throw new Error('Image host is not allowed');
+            }
+
+            return await fetchImage(url);
+        }
+
+        return await readUGCFile(source);
+    } catch (error) {
+        console.error(`Error loading rank card image ${source}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Read an uploaded image, refusing paths that resolve outside the ugc directory
+ * @param {String} ugcPath - UGC path (/ugc/...)
+ * @returns {Promise<Buffer>} - Image data
+ */
+async function readUGCFile(ugcPath) {
+    const filePath = path.resolve(UGC_ROOT, '..', `.${ugcPath.startsWith('/') ? '' : '/'}${ugcPath}`);
+    if (!filePath.startsWith(UGC_ROOT + path.sep)) {
+        throw new Error('Image path is outside the ugc directory');
+    }
+
+    const stats = await fs.promises.stat(filePath);
+    if (stats.size > MAX_IMAGE_BYTES) {
+        throw new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+    }
+
+    return await fs.promises.readFile(filePath);
+}
+
+/**
+ * Download an image, giving up if it's slow or too large
+ * @param {URL} url - Image URL
+ * @returns {Promise<Buffer>} - Image data
+ */
+async function fetchImage(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+    if (!response.ok) throw new Error(`Failed to fetch image: ${response.statusText}`);
+
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+        throw new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+    }
+
+    // The length header can be missing or wrong, so count while reading
+    const chunks = [];
+    let received = 0;
+    for await (const chunk of response.body) {
+        received += chunk.length;
+        if (received > MAX_IMAGE_BYTES) {
+            throw new Error(`Image is larger than ${MAX_IMAGE_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    return Buffer.concat(chunks);
+}
+
+/**
+ * Build the text and progress bar overlay for the card
+ * @param {Object} data - Card data
+ * @returns {Buffer} - SVG overlay
+ */
+function createOverlay({ username, level, rank, currentXP, nextLevelXP, progressPercentage }) {
+    const barWidth = TEXT_RIGHT - TEXT_LEFT;
+    const filledWidth = Math.max(0, Math.min(barWidth, Math.round(barWidth * progressPercentage / 100)));
+    const rankText = rank ? `RANK #${rank}` : '';
+
+    // Long names would run into the level text
+    const displayName = username.length > 20 ? `${username.slice(0, 19)}…` : username;
+
+    const svg = `
+        <svg width="${CARD_WIDTH}" height="${CARD_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+            <rect x="0" y="0" width="${CARD_WIDTH}" height="${CARD_HEIGHT}" fill="#000000" fill-opacity="0.45"/>
+            <circle cx="${AVATAR_LEFT + AVATAR_SIZE / 2}" cy="${AVATAR_TOP + AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2 + 6}" fill="#ffffff"/>
+            <text x="${TEXT_LEFT}" y="150" font-family="sans-serif" font-size="64" font-weight="bold" fill="#ffffff">${escapeXml(displayName)}</text>
+            <text x="${TEXT_RIGHT}" y="150" font-family="sans-serif" font-size="56" font-weight="bold" fill="#ffffff" text-anchor="end">LEVEL ${level}</text>
+            <text x="${TEXT_LEFT}" y="260" font-family="sans-serif" font-size="40" fill="#dddddd">${escapeXml(rankText)}</text>
+            <text x="${TEXT_RIGHT}" y="260" font-family="sans-serif" font-size="40" fill="#dddddd" text-anchor="end">${Math.round(currentXP)} / ${Math.round(nextLevelXP)} XP</text>
+            <rect x="${TEXT_LEFT}" y="${BAR_TOP}" width="${barWidth}" height="${BAR_HEIGHT}" rx="${BAR_HEIGHT / 2}" fill="#ffffff" fill-opacity="0.25"/>
+            <rect x="${TEXT_LEFT}" y="${BAR_TOP}" width="${filledWidth}" height="${BAR_HEIGHT}" rx="${BAR_HEIGHT / 2}" fill="#0099ff"/>
+            <text x="${TEXT_LEFT + barWidth / 2}" y="${BAR_TOP + 36}" font-family="sans-serif" font-size="30" font-weight="bold" fill="#ffffff" text-anchor="middle">${progressPercentage}%</text>
+        </svg>`;
+
+    return Buffer.from(svg);
+}
+
+/**
+ * Render a rank card PNG
+ * @param {Object} data - Card data
+ * @param {String} data.bannerSource - Banner UGC path or URL
+ * @param {String} data.avatarSource - Avatar UGC path or URL
+ * @param {String|null} data.baseUrl - The bot's UGC server URL
+ * @param {String} data.username - Display name
+ * @param {Number} data.level - Current level
+ * @param {Number|null} data.rank - Rank position (optional)
+ * @param {Number} data.currentXP - Current XP
+ * @param {Number} data.nextLevelXP - XP required for the next level
+ * @param {Number} data.progressPercentage - Progress to the next level (0-100)
+ * @returns {Promise<Buffer>} - PNG image data
+ */
+async function renderRankCard(data) {
+    // Background: the resolved banner, or a plain dark card if it can't be loaded
+    const bannerBuffer = await loadImage(data.bannerSource, data.baseUrl);
+    const background = bannerBuffer
+        ? sharp(bannerBuffer).resize(CARD_WIDTH, CARD_HEIGHT, { fit: 'cover' })
+        : sharp({
+            create: { width: CARD_WIDTH, height: CARD_HEIGHT, channels: 4, background: '#23272a' }
+        });
+
+    const layers = [{ input: createOverlay(data), top: 0, left: 0 }];
+
+    // Avatar cropped to a circle
+    const avatarBuffer = await loadImage(data.avatarSource, data.baseUrl);
+    if (avatarBuffer) {
+        const mask = Buffer.from(
+            `<svg width="${AVATAR_SIZE}" height="${AVATAR_SIZE}"><circle cx="${AVATAR_SIZE / 2}" cy="${AVATAR_SIZE / 2}" r="${AVATAR_SIZE / 2}" fill="#ffffff"/></svg>`
+        );
+
+        const avatar = await sharp(avatarBuffer)
+            .resize(AVATAR_SIZE, AVATAR_SIZE, { fit: 'cover' })
+            .composite([{ input: mask, blend: 'dest-in' }])
+            .png()
+            .toBuffer();
+
+        layers.push({ input: avatar, top: AVATAR_TOP, left: AVATAR_LEFT });
+    }
+
+    // Flatten the resized banner first so the overlay lines up with the final size
+    const backgroundBuffer = await background.png().toBuffer();
+
+    return await sharp(backgroundBuffer)
+        .composite(layers)
+        .png()
+        .toBuffer();
+}
+
+/**
+ * Render a rank card and wrap it in a Discord attachment
+ * @param {Object} data - Card data (see renderRankCard)
+ * @returns {Promise<AttachmentBuilder>} - Attachment named rank-card.png
+ */
+async function createRankCardAttachment(data) {
+    const buffer = await renderRankCard(data);
+    return new AttachmentBuilder(buffer, { name: 'rank-card.png' });
+}
+
+module.exports = {
+    renderRankCard,
+    createRankCardAttachment
+};
@@ -20,7 +20,7 @@ function createContentReportEmbed(interaction, reportedUser, contentType, violat
     // Get user warning count
     let warningCount = 0;
     try {
-        warningCount = db.getGuildSetting(`user_${reportedUser.id}_${guildId}`, 'warning_count', 0);
+        warningCount = db.getUserWarnings(reportedUser.id, guildId);
     } catch (error) {
         console.error('Error getting warning count:', error);
     }
@@ -50,7 +50,7 @@ function createContentReportEmbed(interaction, reportedUser, contentType, violat
             let contentUrl = null;
 
             // Check for user-specific content
-            const userContentPath = db.getGuildSetting(`user_${reportedUser.id}_${guildId}`, `${contentType.toLowerCase()}_url`, null);
+            const userContentPath = db.getUserContent(reportedUser.id, guildId, contentType.toLowerCase());
 
             if (userContentPath) {
                 // Get base URL from client
@@ -109,7 +109,8 @@ function createContentReportEmbed(interaction, reportedUser, contentType, violat
  */
 function storeReportData(db, guildId, reportId, reportData) {
     try {
-        db.updateGuildSetting(guildId, `report_${reportId}`, {
+        // Report records are bookkeeping, not settings changes, so they stay out of the audit log
+        db.storeGuildSetting(guildId, `report_${reportId}`, {
             ...reportData,
             status: 'pending'
         });
@@ -227,8 +228,8 @@ async function handleAcceptWarn(interaction, reportId) {
         await deleteUserContent(db, contentType, reportedUserId, guildId);
 
         // 2. Increment warning count
-        const currentWarnings = db.getGuildSetting(`user_${reportedUserId}_${guildId}`, 'warning_count', 0);
-        await db.updateGuildSetting(`user_${reportedUserId}_${guildId}`, 'warning_count', currentWarnings + 1);
+        const currentWarnings = db.getUserWarnings(reportedUserId, guildId);
+        const newWarnings = db.incrementUserWarnings(reportedUserId, guildId);
 
         // 3. Try to notify the user
         try {
@@ -238,7 +239,7 @@ async function handleAcceptWarn(interaction, reportId) {
                 .setTitle('Content Warning')
                 .setDescription(`Your ${contentType} in **${interaction.guild.name}** has been removed for violating server rules.`)
                 .addFields(
-                    { name: 'Warning Count', value: `${currentWarnings + 1}` },
+                    { name: 'Warning Count', value: `${newWarnings}` },
                     { name: 'Note', value: 'Continued violations may result in further restrictions or actions.' }
                 )
                 .setFooter({ text: `Server: ${interaction.guild.name}` })
@@ -273,13 +274,23 @@ async function handleAcceptWarn(interaction, reportId) {
                 reportData.resolvedAt = Date.now();
                 reportData.action = 'warn';
 
-                await db.updateGuildSetting(guildId, `report_${reportId}`, reportData);
+                db.storeGuildSetting(guildId, `report_${reportId}`, reportData);
             }
         } catch (error) {
             console.error('Error updating report status:', error);
         }
 
-        // 6. Notify channel of action
+        // 6. Record the moderation action
+        db.addAuditEntry(guildId, {
+            actorId: interaction.user.id,
+            action: 'report.warn',
+            target: reportedUserId,
+            before: { warnings: currentWarnings },
+            after: { warnings: newWarnings },
+            details: { reportId, contentType }
+        });
+
+        // 7. Notify channel of action
         await interaction.followUp({
             content: `Content from <@${reportedUserId}> has been deleted and the user has been warned.`
         });
@@ -333,11 +344,12 @@ async function handleAcceptBlacklist(interaction, reportId) {
         await deleteUserContent(db, contentType, reportedUserId, guildId);
 
         // 2. Blacklist the user from uploading content
-        await db.updateGuildSetting(`user_${reportedUserId}_${guildId}`, 'content_blacklisted', true);
+        const wasBlacklisted = db.isUserGuildBlacklisted(reportedUserId, guildId);
+        db.setGuildUserBlacklist(reportedUserId, guildId, true);
 
         // 3. Increment warning count
-        const currentWarnings = db.getGuildSetting(`user_${reportedUserId}_${guildId}`, 'warning_count', 0);
-        await db.updateGuildSetting(`user_${reportedUserId}_${guildId}`, 'warning_count', currentWarnings + 1);
+        const currentWarnings = db.getUserWarnings(reportedUserId, guildId);
+        const newWarnings = db.incrementUserWarnings(reportedUserId, guildId);
 
         // 4. Try to notify the user
         try {
@@ -348,7 +360,7 @@ async function handleAcceptBlacklist(interaction, reportId) {
                 .setDescription(`Your ${contentType} in **${interaction.guild.name}** has been removed for violating server rules.`)
                 .addFields(
                     { name: 'Action Taken', value: 'You have been blacklisted from uploading custom content in this server.' },
-                    { name: 'Warning Count', value: `${currentWarnings + 1}` }
+                    { name: 'Warning Count', value: `${newWarnings}` }
                 )
                 .setFooter({ text: `Server: ${interaction.guild.name}` })
                 .setTimestamp();
@@ -382,13 +394,23 @@ async function handleAcceptBlacklist(interaction, reportId) {
                 reportData.resolvedAt = Date.now();
                 reportData.action = 'blacklist';
 
-                await db.updateGuildSetting(guildId, `report_${reportId}`, reportData);
+                db.storeGuildSetting(guildId, `report_${reportId}`, reportData);
             }
         } catch (error) {
             console.error('Error updating report status:', error);
         }
 
-        // 7. Notify channel of action
+        // 7. Record the moderation action
+        db.addAuditEntry(guildId, {
+            actorId: interaction.user.id,
+            action: 'report.blacklist',
+            target: reportedUserId,
+            before: { warnings: currentWarnings, blacklisted: wasBlacklisted },
+            after: { warnings: newWarnings, blacklisted: true },
+            details: { reportId, contentType }
+        });
+
+        // 8. Notify channel of action
         await interaction.followUp({
             content: `Content from <@${reportedUserId}> has been deleted and the user has been blacklisted from uploading custom content.`
         });
@@ -460,12 +482,20 @@ async function handleDenyReport(interaction, reportId) {
                 reportData.resolvedAt = Date.now();
                 reportData.action = 'deny';
 
-                await db.updateGuildSetting(guildId, `report_${reportId}`, reportData);
+                db.storeGuildSetting(guildId, `report_${reportId}`, reportData);
             }
         } catch (error) {
             console.error('Error updating report status:', error);
         }
 
+        // Record the moderation action
+        db.addAuditEntry(guildId, {
+            actorId: interaction.user.id,
+            action: 'report.deny',
+            target: reportedUserId,
+            details: { reportId }
+        });
+
         // Notify channel of action
         await interaction.followUp({
             content: `Report against <@${reportedUserId}> has been reviewed and denied.`
@@ -489,7 +519,7 @@ async function handleDenyReport(interaction, reportId) {
 async function deleteUserContent(db, contentType, userId, guildId) {
     try {
         // Get the file path
-        const contentPath = db.getGuildSetting(`user_${userId}_${guildId}`, `${contentType}_url`, null);
+        const contentPath = db.getUserContent(userId, guildId, contentType);
 
         if (contentPath) {
             // Delete the file from disk
@@ -506,7 +536,7 @@ async function deleteUserContent(db, contentType, userId, guildId) {
             }
 
             // Remove from database
-            await db.updateGuildSetting(`user_${userId}_${guildId}`, `${contentType}_url`, null);
+            db.setUserContent(userId, guildId, contentType, null);
         }
     } catch (error) {
         console.error('Error deleting user content:', error);
@@ -0,0 +1,120 @@
+// Daily activity streaks and milestone rewards
+const { EmbedBuilder } = require('discord.js');
+const config = require('./config');
+
+// Get today's date in UTC, the day streaks are counted in
+function getStreakDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Get a guild's streak settings, filling in defaults from the config
+function getStreakSettings(db, guildId) {
+    const defaults = config.xp.streaks;
+    const saved = db.getGuildSetting(guildId, 'streak_settings', null) || {};
+
+    return {
+        enabled: saved.enabled !== undefined ? saved.enabled : defaults.enabled,
+        graceDays: Number(saved.graceDays !== undefined ? saved.graceDays : defaults.graceDays),
+        milestones: saved.milestones || defaults.milestones
+    };
+}
+
+/**
+ * Counts the consecutive days members earn XP (from messages, voice or
+ * engagement) and rewards each streak milestone the first time it's reached.
+ */
+class StreakService {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     * @param {LevelUpService} levelUpService - Announces level ups from milestone XP
+     */
+    constructor(client, db, levelUpService) {
+        this.client = client;
+        this.db = db;
+        this.levelUpService = levelUpService;
+    }
+
+    /**
+     * Count today towards a member's streak and reward any milestone reached
+     * @param {Object} options
+     * @param {Guild} options.guild - Guild the XP was earned in
+     * @param {GuildMember|null} options.member - Member who earned the XP
+     * @param {User} options.user - User who earned the XP
+     * @param {TextBasedChannel|null} options.channel - Channel the XP was earned in
+     * @returns {Promise<Object|null>} Streak after today, or null if streaks are disabled
+     */
+    async recordActivity({ guild, member, user, channel }) {
+        const settings = getStreakSettings(this.db, guild.id);
+        if (!settings.enabled) return null;
+
+        const streak = this.db.recordStreakDay(user.id, guild.id, getStreakDay(), settings.graceDays);
+
+        // Each milestone pays out once, so a broken streak climbing back to it earns nothing
+        const milestone = streak.advanced ? settings.milestones[streak.current] : null;
+        if (milestone && this.db.claimStreakMilestone(user.id, guild.id, streak.current)) {
+            await this.awardMilestone({ guild, member, user, channel }, streak.current, milestone);
+        }
+
+        return streak;
+    }
+
+    /**
+     * Give a member a milestone's bonus XP and role, and announce it
+     * @param {Object} context - Guild, member, user and channel the streak was extended in
+     * @param {number} days - Streak length reached
+     * @param {Object} milestone - Milestone reward ({ xp, roleId })
+     */
+    async awardMilestone({ guild, member, user, channel }, days, milestone) {
+        const bonusXP = Number(milestone.xp) || 0;
+        let role = null;
+
+        if (milestone.roleId && member) {
+            role = guild.roles.cache.get(milestone.roleId) || null;
+
+            if (role && !member.roles.cache.has(role.id)) {
+                try {
+                    await member.roles.add(role);
+                } catch (error) {
+                    console.error(`Error adding streak role ${role.id} to ${user.id}:`, error);
+                    role = null;
+                }
+            }
+        }
+
+        const announcementChannel = this.levelUpService.resolveAnnouncementChannel(guild.id, channel);
+
+        if (announcementChannel && (bonusXP > 0 || role)) {
+            const rewards = [
+                bonusXP > 0 ? `+${bonusXP} XP` : null,
+                role ? `the ${role.name} role` : null
+            ].filter(Boolean).join(' and ');
+
+            const embed = new EmbedBuilder()
+                .setColor('#ff6600')
+                .setTitle(`🔥 ${days}-Day Streak!`)
+                .setDescription(`<@${user.id}> has been active ${days} day${days === 1 ? '' : 's'} in a row and earned ${rewards}!`)
+                .setTimestamp();
+
+            try {
+                await announcementChannel.send({ embeds: [embed] });
+            } catch (error) {
+                console.error(`Error announcing streak milestone for ${user.id}:`, error);
+            }
+        }
+
+        if (bonusXP > 0) {
+            const result = this.db.addXP(user.id, bonusXP, guild.id, {
+                source: 'streak',
+                channelId: channel ? channel.id : null
+            });
+            await this.levelUpService.handleLevelUp({ guild, member, user, channel, result });
+        }
+    }
+}
+
+module.exports = {
+    StreakService,
+    getStreakSettings,
+    getStreakDay
+};
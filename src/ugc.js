@@ -225,7 +225,7 @@ async function processUploadedImage(message, sessionData) {
 
         if (isStaff) {
             // Update guild setting - this method is unchanged
-            await db.updateGuildSetting(guildId, `default_${type}_url`, urlPath);
+            await db.updateGuildSetting(guildId, `default_${type}_url`, urlPath, message.author.id);
 
             // Make sure we're not automatically setting guild-only mode
             // This ensures user banners can still be shown
@@ -349,6 +349,41 @@ function getUserUGCPath(db, type, userId, guildId) {
     }
 }
 
+/**
+ * Delete a user's uploaded banners and avatars in every guild
+ * @param {Object} db - Database instance
+ * @param {String} userId - User ID
+ * @returns {Promise<Object>} - Number of guilds cleared and files deleted
+ */
+async function purgeUserContent(db, userId) {
+    const contentGuilds = db.getUserContentGuilds(userId);
+    let filesDeleted = 0;
+
+    for (const entry of contentGuilds) {
+        for (const [type, urlPath] of [['banner', entry.bannerUrl], ['avatar', entry.avatarUrl]]) {
+            if (!urlPath) continue;
+
+            // Convert URL path to filesystem path
+            const filePath = path.resolve(__dirname, '../ugc', `${type}s`, path.basename(urlPath));
+
+            try {
+                await fs.promises.unlink(filePath);
+                filesDeleted++;
+                console.log(`Purged content file: ${filePath}`);
+            } catch (error) {
+                console.error(`Error deleting content file ${filePath}:`, error);
+            }
+        }
+
+        db.clearUserContent(userId, entry.guildId);
+    }
+
+    return {
+        guildsCleared: contentGuilds.length,
+        filesDeleted
+    };
+}
+
 /**
  * Handle admin upload request for setting server-wide default content
  * @param {Object} interaction - The interaction that triggered the command
@@ -453,5 +488,7 @@ module.exports = {
     getGuildDefaultPath,
     activeSessions,
     ensureDirectoriesExist,
-    handleAdminUploadRequest
+    handleAdminUploadRequest,
+    purgeUserContent,
+    contentDimensions
 };
\ No newline at end of file
@@ -0,0 +1,216 @@
+// Voice channel XP tracking
+const config = require('./config');
+const { getXPMultiplier } = require('./levelingSystem');
+
+/**
+ * Awards time-based XP to members sitting in voice channels.
+ * Sessions are tracked from voice state events and checked on an interval,
+ * so XP is only granted for the minutes a member was actually eligible.
+ */
+class VoiceXPTracker {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     * @param {Function} onXPEarned - Called with (member, channel, result) after voice XP is awarded
+     */
+    constructor(client, db, onXPEarned) {
+        this.client = client;
+        this.db = db;
+        this.onXPEarned = onXPEarned;
+        this.sessions = new Map(); // Key: guildId-userId, Value: { guildId, userId, lastAwardedAt }
+        this.interval = null;
+    }
+
+    /**
+     * Start the voice XP interval and pick up members already in voice
+     */
+    start() {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        // Members who were in voice before the bot started
+        for (const guild of this.client.guilds.cache.values()) {
+            for (const voiceState of guild.voiceStates.cache.values()) {
+                if (voiceState.channelId) {
+                    this.startSession(guild.id, voiceState.id);
+                }
+            }
+        }
+
+        this.interval = setInterval(() => {
+            this.tick().catch(error => console.error('Error during voice XP tick:', error));
+        }, config.xp.voice.checkInterval);
+
+        console.log(`Voice XP tracking started (${this.sessions.size} active sessions)`);
+    }
+
+    /**
+     * Stop the voice XP interval
+     */
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+
+        this.sessions.clear();
+    }
+
+    /**
+     * Get voice XP settings for a guild
+     * @param {string} guildId - Guild ID
+     * @returns {object} Voice XP settings
+     */
+    getSettings(guildId) {
+        const defaults = config.xp.voice;
+
+        return {
+            enabled: this.db.getGuildSetting(guildId, 'voice_xp_enabled', defaults.enabled),
+            xpPerMinute: Number(this.db.getGuildSetting(guildId, 'voice_xp_per_minute', defaults.xpPerMinute)),
+            minMembers: Number(this.db.getGuildSetting(guildId, 'voice_xp_min_members', defaults.minMembers)),
+            excludeMuted: this.db.getGuildSetting(guildId, 'voice_xp_exclude_muted', defaults.excludeMuted),
+            excludeAfk: this.db.getGuildSetting(guildId, 'voice_xp_exclude_afk', defaults.excludeAfk)
+        };
+    }
+
+    /**
+     * Handle a voice state change (join, leave, move, mute, deafen)
+     * @param {VoiceState} oldState - Previous voice state
+     * @param {VoiceState} newState - New voice state
+     */
+    handleVoiceStateUpdate(oldState, newState) {
+        const guildId = newState.guild.id;
+        const userId = newState.id;
+
+        if (newState.member && newState.member.user.bot) return;
+
+        if (!oldState.channelId && newState.channelId) {
+            // Joined voice
+            this.startSession(guildId, userId);
+        } else if (oldState.channelId && !newState.channelId) {
+            // Left voice - award anything accrued since the last check
+            this.awardSession(guildId, userId, oldState)
+                .catch(error => console.error(`Error awarding voice XP to ${userId}:`, error))
+                .finally(() => this.sessions.delete(`${guildId}-${userId}`));
+        } else if (oldState.channelId && newState.channelId) {
+            // Moved, muted or deafened - settle the time spent in the old state before
+            // the new one applies, so eligibility is judged for each stretch separately
+            this.startSession(guildId, userId);
+            this.awardSession(guildId, userId, oldState)
+                .catch(error => console.error(`Error awarding voice XP to ${userId}:`, error));
+        }
+    }
+
+    /**
+     * Start tracking a member in voice
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     */
+    startSession(guildId, userId) {
+        const key = `${guildId}-${userId}`;
+
+        if (!this.sessions.has(key)) {
+            this.sessions.set(key, {
+                guildId,
+                userId,
+                lastAwardedAt: Date.now()
+            });
+        }
+    }
+
+    /**
+     * Check every active session and award XP for eligible minutes
+     */
+    async tick() {
+        for (const [key, session] of this.sessions) {
+            const guild = this.client.guilds.cache.get(session.guildId);
+            const voiceState = guild ? guild.voiceStates.cache.get(session.userId) : null;
+
+            // Drop sessions we missed the leave event for
+            if (!voiceState || !voiceState.channelId) {
+                this.sessions.delete(key);
+                continue;
+            }
+
+            await this.awardSession(session.guildId, session.userId, voiceState);
+        }
+    }
+
+    /**
+     * Award XP for the whole minutes a member has been eligible since the last award
+     * @param {string} guildId - Guild ID
+     * @param {string} userId - User ID
+     * @param {VoiceState} voiceState - Member's current (or last) voice state
+     */
+    async awardSession(guildId, userId, voiceState) {
+        const session = this.sessions.get(`${guildId}-${userId}`);
+        if (!session) return;
+
+        const settings = this.getSettings(guildId);
+        const now = Date.now();
+
+        // Time spent ineligible never counts towards XP
+        if (!settings.enabled || !this.isEligible(voiceState, settings)) {
+            session.lastAwardedAt = now;
+            return;
+        }
+
+        const minutes = Math.floor((now - session.lastAwardedAt) / 60000);
+        if (minutes < 1) return;
+
+        session.lastAwardedAt += minutes * 60000;
+
+        const { multiplier, event } = getXPMultiplier(this.db, guildId, voiceState.member, voiceState.channel);
+        const xpToAdd = Math.round(minutes * settings.xpPerMinute * multiplier);
+        if (xpToAdd <= 0) return;
+
+        const result = this.db.addXP(userId, xpToAdd, guildId, {
+            source: event ? 'event' : 'voice',
+            channelId: voiceState.channelId
+        });
+
+        if (voiceState.member) {
+            await this.onXPEarned(voiceState.member, this.getAnnouncementChannel(voiceState), result);
+        }
+    }
+
+    /**
+     * Check whether a member's voice state currently earns XP
+     * @param {VoiceState} voiceState - Member's voice state
+     * @param {object} settings - Voice XP settings for the guild
+     * @returns {boolean} Whether the member is eligible
+     */
+    isEligible(voiceState, settings) {
+        const channel = voiceState.channel;
+        if (!channel || !voiceState.member || voiceState.member.user.bot) return false;
+
+        // AFK channel
+        if (settings.excludeAfk && channel.id === voiceState.guild.afkChannelId) return false;
+
+        // Muted or deafened (self or server)
+        if (settings.excludeMuted && (voiceState.mute || voiceState.deaf)) return false;
+
+        // Enough real people in the channel (count the member themselves even if they just left)
+        const humanCount = channel.members.filter(m => !m.user.bot && m.id !== voiceState.id).size + 1;
+        return humanCount >= settings.minMembers;
+    }
+
+    /**
+     * Pick a text channel for level up messages earned in voice
+     * @param {VoiceState} voiceState - Member's voice state
+     * @returns {TextBasedChannel|null} Channel to announce in
+     */
+    getAnnouncementChannel(voiceState) {
+        // Voice channels have their own text chat
+        if (voiceState.channel && voiceState.channel.isTextBased()) {
+            return voiceState.channel;
+        }
+
+        return voiceState.guild.systemChannel || null;
+    }
+}
+
+module.exports = {
+    VoiceXPTracker
+};
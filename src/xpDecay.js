@@ -0,0 +1,201 @@
+// Inactivity XP decay: members who stop earning XP slowly lose it, down to a floor
+const { EmbedBuilder } = require('discord.js');
+const config = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Get today's date in UTC, the day decay runs are counted in
+function getDecayDay(now = Date.now()) {
+    return new Date(now).toISOString().slice(0, 10);
+}
+
+// Get a guild's decay settings, filling in defaults from the config
+function getDecaySettings(db, guildId) {
+    const saved = db.getGuildSetting(guildId, 'xp_decay', null);
+    const settings = { ...config.xp.decay, ...(saved && typeof saved === 'object' ? saved : {}) };
+
+    return {
+        enabled: settings.enabled === true || settings.enabled === 'true',
+        inactiveDays: Number(settings.inactiveDays),
+        percentPerDay: Number(settings.percentPerDay),
+        floorLevel: Number(settings.floorLevel),
+        warningDays: Number(settings.warningDays)
+    };
+}
+
+// Work out the XP a member keeps after one day of decay
+function applyDecay(xp, percentPerDay, floorXP) {
+    return Math.max(floorXP, Math.floor(xp * (1 - percentPerDay / 100)));
+}
+
+/**
+ * Runs once per UTC day: warns members by DM shortly before their XP starts
+ * decaying, then removes a percentage of XP from everyone inactive for too long
+ * and takes away reward roles above their new level.
+ */
+class XPDecayJob {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     * @param {LevelUpService} levelUpService - Removes reward roles when levels go down
+     */
+    constructor(client, db, levelUpService) {
+        this.client = client;
+        this.db = db;
+        this.levelUpService = levelUpService;
+        this.interval = null;
+        this.running = false;
+    }
+
+    // Check now and then on an interval whether today's decay still has to run
+    start() {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        this.tick().catch(error => console.error('Error during XP decay run:', error));
+
+        this.interval = setInterval(() => {
+            this.tick().catch(error => console.error('Error during XP decay run:', error));
+        }, config.xp.decay.checkInterval);
+
+        console.log('XP decay job started');
+    }
+
+    // Stop checking
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    // Run decay for every guild if it hasn't run yet today
+    async tick() {
+        const today = getDecayDay();
+        if (this.running || this.db.getGlobalSetting('xp_decay_last_run', null) === today) return;
+
+        this.running = true;
+
+        try {
+            // Mark the day first so a crash part way through can't decay anyone twice
+            this.db.setGlobalSetting('xp_decay_last_run', today);
+
+            for (const guild of this.client.guilds.cache.values()) {
+                try {
+                    await this.runGuild(guild);
+                } catch (error) {
+                    console.error(`Error running XP decay for guild ${guild.id}:`, error);
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /**
+     * Warn and decay inactive members in one guild
+     * @param {Guild} guild - Guild
+     * @param {number} now - Current time
+     * @returns {Promise<Object|null>} Summary of the run, or null if decay is disabled
+     */
+    async runGuild(guild, now = Date.now()) {
+        const settings = getDecaySettings(this.db, guild.id);
+        if (!settings.enabled || settings.inactiveDays <= 0 || settings.percentPerDay <= 0) return null;
+
+        const floorXP = settings.floorLevel > 0 ? this.db.xpForLevel(settings.floorLevel, guild.id) : 0;
+        const inactiveSince = now - settings.inactiveDays * DAY_MS;
+        let warned = 0;
+
+        if (settings.warningDays > 0) {
+            const warnSince = now - Math.max(0, settings.inactiveDays - settings.warningDays) * DAY_MS;
+
+            for (const user of this.db.getDecayWarningCandidates(guild.id, warnSince, inactiveSince, floorXP)) {
+                if (await this.warnMember(guild, user, settings)) {
+                    warned++;
+                }
+
+                // Marked even if the DM failed so closed DMs aren't retried every day
+                this.db.markDecayWarned(user.user_id, guild.id, now);
+            }
+        }
+
+        let decayed = 0;
+        let xpRemoved = 0;
+        let levelsLost = 0;
+
+        for (const user of this.db.getDecayCandidates(guild.id, inactiveSince, floorXP)) {
+            const newXP = applyDecay(user.xp, settings.percentPerDay, floorXP);
+            if (newXP >= user.xp) continue;
+
+            // setUserXP leaves last_message alone, so decaying doesn't count as activity
+            const result = this.db.setUserXP(user.user_id, guild.id, newXP, { source: 'decay' });
+            decayed++;
+            xpRemoved += result.oldXP - result.newXP;
+
+            if (result.leveledDown) {
+                levelsLost += result.oldLevel - result.newLevel;
+
+                const member = await guild.members.fetch(user.user_id).catch(() => null);
+                if (member) {
+                    await this.levelUpService.revokeRewards(guild, member, result.newLevel);
+                }
+            }
+        }
+
+        if (decayed > 0) {
+            this.db.addAuditEntry(guild.id, {
+                action: 'xp.decay',
+                details: {
+                    members: decayed,
+                    xpRemoved,
+                    levelsLost,
+                    warned,
+                    percentPerDay: settings.percentPerDay
+                }
+            });
+
+            console.log(`[decay] Removed ${xpRemoved} XP from ${decayed} inactive members in guild ${guild.id}`);
+        }
+
+        return { warned, decayed, xpRemoved, levelsLost };
+    }
+
+    /**
+     * DM a member that their XP will start decaying soon
+     * @param {Guild} guild - Guild
+     * @param {Object} user - User row from the database
+     * @param {Object} settings - Guild decay settings
+     * @returns {Promise<boolean>} Whether the DM was sent
+     */
+    async warnMember(guild, user, settings) {
+        const member = await guild.members.fetch(user.user_id).catch(() => null);
+        if (!member || member.user.bot) return false;
+
+        const decayStarts = Math.floor((user.last_message + settings.inactiveDays * DAY_MS) / 1000);
+
+        const embed = new EmbedBuilder()
+            .setColor('#ff9900')
+            .setTitle('⏳ Your XP is about to decay')
+            .setDescription(`You haven't been active in **${guild.name}** for a while. ` +
+                `Starting <t:${decayStarts}:R>, you'll lose ${settings.percentPerDay}% of your XP each day ` +
+                `until you're active again${settings.floorLevel > 0 ? ` (you won't drop below level ${settings.floorLevel})` : ''}.`)
+            .addFields({ name: 'Current Level', value: `${user.level} (${user.xp} XP)`, inline: true })
+            .setFooter({ text: 'Send a message in the server to keep your XP' })
+            .setTimestamp();
+
+        try {
+            await member.send({ embeds: [embed] });
+            return true;
+        } catch (error) {
+            console.log(`Could not DM decay warning to ${user.user_id}: ${error.message}`);
+            return false;
+        }
+    }
+}
+
+module.exports = {
+    XPDecayJob,
+    getDecaySettings,
+    applyDecay
+};
@@ -0,0 +1,198 @@
+// Scheduled XP boost events (e.g. double-XP weekends)
+const { EmbedBuilder } = require('discord.js');
+const config = require('./config');
+
+// Units accepted in relative times like +2h or -30m
+const RELATIVE_UNITS = {
+    m: 60 * 1000,
+    h: 60 * 60 * 1000,
+    d: 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse an event time entered by an admin
+ * Accepts "now", relative times ("+2h", "+30m", "+1d", or "-2h" for the past) and UTC dates ("2025-06-13 18:00")
+ * @param {string} input - Time entered by the admin
+ * @param {number} relativeTo - Timestamp relative times are added to
+ * @returns {number|null} Timestamp in milliseconds, or null if the input can't be parsed
+ */
+function parseEventTime(input, relativeTo = Date.now()) {
+    if (!input) return null;
+
+    const text = input.trim().toLowerCase();
+
+    if (text === 'now') {
+        return relativeTo;
+    }
+
+    const relative = text.match(/^([+-])(\d+(?:\.\d+)?)\s*([mhd])$/);
+    if (relative) {
+        const offset = Math.round(Number(relative[2]) * RELATIVE_UNITS[relative[3]]);
+        return relative[1] === '+' ? relativeTo + offset : relativeTo - offset;
+    }
+
+    const absolute = text.match(/^(\d{4})-(\d{2})-(\d{2})[ t](\d{1,2}):(\d{2})$/);
+    if (absolute) {
+        const [, year, month, day, hour, minute] = absolute.map(Number);
+        const timestamp = Date.UTC(year, month - 1, day, hour, minute);
+
+        // Reject dates like 2025-02-31 that Date.UTC silently rolls over
+        const check = new Date(timestamp);
+        if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59) {
+            return null;
+        }
+
+        return timestamp;
+    }
+
+    return null;
+}
+
+// Format an event window using Discord timestamps so members see their local time
+function formatEventWindow(event) {
+    return `<t:${Math.floor(event.startsAt / 1000)}:f> → <t:${Math.floor(event.endsAt / 1000)}:f>`;
+}
+
+// Build the announcement posted when an event starts or ends
+function buildEventEmbed(event, phase) {
+    const embed = new EmbedBuilder().setTimestamp();
+
+    if (phase === 'start') {
+        embed
+            .setColor('#ffcc00')
+            .setTitle(`🎉 ${event.name} has started!`)
+            .setDescription(`All XP is multiplied by **${event.multiplier}x** until <t:${Math.floor(event.endsAt / 1000)}:f> (<t:${Math.floor(event.endsAt / 1000)}:R>).`);
+    } else {
+        embed
+            .setColor('#808080')
+            .setTitle(`${event.name} has ended`)
+            .setDescription(phase === 'cancelled'
+                ? 'This XP event was ended early by a server admin. XP is back to normal.'
+                : 'Thanks for taking part! XP is back to normal.');
+    }
+
+    return embed.setFooter({ text: 'XP Event' });
+}
+
+/**
+ * Starts and ends XP boost events stored in each guild's xp_events setting.
+ * Announcement state is saved with the event so restarts don't repeat announcements.
+ */
+class XPEventScheduler {
+    /**
+     * @param {Client} client - Discord.js client
+     * @param {LevelingDatabase} db - Database instance
+     */
+    constructor(client, db) {
+        this.client = client;
+        this.db = db;
+        this.interval = null;
+    }
+
+    // Check events now and then on an interval
+    start() {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        // Catch up on anything that started or ended while the bot was offline
+        this.tick().catch(error => console.error('Error during XP event check:', error));
+
+        this.interval = setInterval(() => {
+            this.tick().catch(error => console.error('Error during XP event check:', error));
+        }, config.xp.events.checkInterval);
+
+        console.log('XP event scheduler started');
+    }
+
+    // Stop checking events
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Get a guild's scheduled events, sorted by start time
+     * @param {string} guildId - Guild ID
+     * @returns {Array} Events
+     */
+    getEvents(guildId) {
+        const events = this.db.getGuildSetting(guildId, 'xp_events', []);
+        return Array.isArray(events) ? events.sort((a, b) => a.startsAt - b.startsAt) : [];
+    }
+
+    // Announce starts and ends for every guild the bot is in
+    async tick() {
+        for (const guild of this.client.guilds.cache.values()) {
+            try {
+                await this.checkGuild(guild.id);
+            } catch (error) {
+                console.error(`Error checking XP events for guild ${guild.id}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Announce events in a guild that have started or ended, and drop finished ones
+     * @param {string} guildId - Guild ID
+     * @param {number} now - Current time
+     */
+    async checkGuild(guildId, now = Date.now()) {
+        const events = this.getEvents(guildId);
+        if (events.length === 0) return;
+
+        const finishedIds = new Set();
+        const startedIds = new Set();
+
+        for (const event of events) {
+            if (event.endsAt <= now) {
+                // Only announce the end of events members were told about
+                if (event.startAnnounced) {
+                    await this.announce(guildId, event, 'end');
+                }
+
+                finishedIds.add(event.id);
+            } else if (event.startsAt <= now && !event.startAnnounced) {
+                await this.announce(guildId, event, 'start');
+                startedIds.add(event.id);
+            }
+        }
+
+        if (finishedIds.size === 0 && startedIds.size === 0) return;
+
+        // Re-read so events scheduled or cancelled while announcing aren't lost
+        const remaining = this.getEvents(guildId)
+            .filter(event => !finishedIds.has(event.id))
+            .map(event => (startedIds.has(event.id) ? { ...event, startAnnounced: true } : event));
+
+        // Start and end transitions are scheduler state, not a staff change, so they aren't audited
+        this.db.storeGuildSetting(guildId, 'xp_events', remaining);
+    }
+
+    /**
+     * Post an event announcement in the event's channel
+     * @param {string} guildId - Guild ID
+     * @param {object} event - XP event
+     * @param {string} phase - 'start', 'end' or 'cancelled'
+     */
+    async announce(guildId, event, phase) {
+        if (!event.channelId) return;
+
+        try {
+            const channel = this.client.channels.cache.get(event.channelId);
+            if (!channel || !channel.isTextBased()) return;
+
+            await channel.send({ embeds: [buildEventEmbed(event, phase)] });
+        } catch (error) {
+            console.error(`Error announcing XP event ${event.id} in guild ${guildId}:`, error);
+        }
+    }
+}
+
+module.exports = {
+    XPEventScheduler,
+    parseEventTime,
+    formatEventWindow
+};
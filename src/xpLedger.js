@@ -0,0 +1,85 @@
+// XP ledger: every XP change recorded with where it came from, pruned after a retention period
+const config = require('./config');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Ledger sources and how they're shown to moderators
+const XP_SOURCES = {
+    message: 'Messages',
+    voice: 'Voice',
+    engagement: 'Engagement',
+    streak: 'Streak Bonus',
+    event: 'XP Event',
+    admin: 'Staff',
+    decay: 'Decay',
+    sacrifice: 'Sacrifice',
+    rollback: 'Rollback'
+};
+
+// Get the number of days a guild keeps ledger entries (0 = forever)
+function getLedgerRetentionDays(db, guildId) {
+    const saved = db.getGuildSetting(guildId, 'xp_ledger_retention_days', null);
+    return saved !== null ? Number(saved) : config.xp.ledger.retentionDays;
+}
+
+/**
+ * Deletes ledger entries older than each guild's retention period.
+ */
+class XPLedgerPruner {
+    /**
+     * @param {LevelingDatabase} db - Database instance
+     */
+    constructor(db) {
+        this.db = db;
+        this.interval = null;
+    }
+
+    // Prune now and then on an interval
+    start() {
+        if (this.interval) {
+            clearInterval(this.interval);
+        }
+
+        this.prune();
+
+        this.interval = setInterval(() => this.prune(), config.xp.ledger.pruneInterval);
+
+        console.log('XP ledger pruner started');
+    }
+
+    // Stop pruning
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+
+    /**
+     * Delete expired entries in every guild
+     * @param {number} now - Current time
+     * @returns {number} Number of entries deleted
+     */
+    prune(now = Date.now()) {
+        let deleted = 0;
+
+        for (const guildId of this.db.getGuildIds()) {
+            const retentionDays = getLedgerRetentionDays(this.db, guildId);
+            if (retentionDays <= 0) continue;
+
+            deleted += this.db.pruneXPEvents(guildId, now - retentionDays * DAY_MS);
+        }
+
+        if (deleted > 0) {
+            console.log(`[ledger] Pruned ${deleted} expired XP ledger entr${deleted === 1 ? 'y' : 'ies'}`);
+        }
+
+        return deleted;
+    }
+}
+
+module.exports = {
+    XP_SOURCES,
+    XPLedgerPruner,
+    getLedgerRetentionDays
+};